@@ -0,0 +1,245 @@
+/**
+ * Sends one email when the scraper has failed several runs in a row during
+ * opening hours, and one more when it recovers. Runs that succeed with
+ * warnings, such as partial layout drift, get one warning email until a
+ * run is clean again. Each streak is kept in an
+ * `ALERT_STATE:<key>` script property so it survives between trigger runs.
+ */
+class Alerter {
+  /**
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @param {number} threshold Consecutive failures before alerting.
+   * @param {string} recipient
+   * @param {{failures: number, alerted: boolean, recentErrors: Object[], warned: boolean}} state
+   * @param {?Site} [site] The site the streak is for; null for the site
+   *     registry, whose failures happen before any site is known.
+   */
+  constructor(properties, threshold, recipient, state, site = null) {
+    this.properties = properties;
+    this.threshold = threshold;
+    this.recipient = recipient;
+    this.state = state;
+    this.site = site;
+  }
+
+  /**
+   * Reads `ALERT_AFTER_FAILURES` (default 3), `ALERT_EMAIL` (default: the
+   * script owner) and the saved state. Each site keeps its own streak in
+   * `ALERT_STATE:<site id>`; see takeLegacyState for older setups.
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @param {?Site} [site]
+   * @returns {Success<Alerter>|Failure}
+   */
+  static fromProperties(properties, site = null) {
+    try {
+      const threshold =
+        parseInt(properties.getProperty("ALERT_AFTER_FAILURES"), 10) ||
+        Alerter.DEFAULT_THRESHOLD;
+      const recipient =
+        properties.getProperty("ALERT_EMAIL") ||
+        Session.getEffectiveUser().getEmail();
+      if (!recipient) {
+        return new Failure(
+          "No ALERT_EMAIL set and the script owner's email is unavailable.",
+          ErrorCategory.CONFIG
+        );
+      }
+
+      const saved =
+        properties.getProperty(Alerter.stateKeyFor(site)) ||
+        Alerter.takeLegacyState(properties, site);
+      const state = Object.assign(
+        { failures: 0, alerted: false, recentErrors: [], warned: false },
+        saved ? JSON.parse(saved) : {}
+      );
+      return new Success(
+        new Alerter(properties, threshold, recipient, state, site)
+      );
+    } catch (e) {
+      return new Failure(
+        `Error in 'fromProperties': ${e}`,
+        ErrorCategory.CONFIG
+      );
+    }
+  }
+
+  /**
+   * Moves the streak that was kept in `ALERT_STATE` before each site had
+   * its own key to the default site, which it belonged to. Other sites
+   * start afresh.
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @param {?Site} site
+   * @returns {?string} The saved state, if there was one to move.
+   */
+  static takeLegacyState(properties, site) {
+    if (!site || site.getId() !== Site.DEFAULT.id) return null;
+    const legacy = properties.getProperty(Alerter.STATE_KEY);
+    if (!legacy) return null;
+    properties.setProperty(Alerter.stateKeyFor(site), legacy);
+    properties.deleteProperty(Alerter.STATE_KEY);
+    return legacy;
+  }
+
+  /** @returns {{failures: number, alerted: boolean, recentErrors: Object[], warned: boolean}} */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * `ALERT_STATE:<site id>`, or `ALERT_STATE:_registry` for the registry.
+   * The bare `ALERT_STATE` is the legacy key; see takeLegacyState.
+   * @param {?Site} site
+   * @returns {string}
+   */
+  static stateKeyFor(site) {
+    return `${Alerter.STATE_KEY}:${site ? site.getId() : Alerter.REGISTRY}`;
+  }
+
+  /**
+   * How the archiver is named in emails, e.g. "SJLib Archiver: Sejong City Library".
+   * @returns {string}
+   */
+  getLabel() {
+    return this.site
+      ? `SJLib Archiver: ${this.site.getName()}`
+      : "SJLib Archiver";
+  }
+
+  /** @returns {string} */
+  getSpreadsheetName() {
+    return this.site
+      ? this.site.getSpreadsheetName()
+      : Site.DEFAULT.spreadsheet;
+  }
+
+  /**
+   * Updates the failure streak with the result of a run and sends an alert
+   * or recovery email when the streak crosses the threshold or ends.
+   * Skipped runs (library closed, another run busy) don't count either way.
+   * @param {Success|Failure} result The final result of main().
+   * @param {Date} startedAt When the run started.
+   * @param {string[]} [warnings] Problems that didn't fail the run.
+   * @returns {Success<Alerter>|Failure}
+   */
+  record(result, startedAt, warnings = []) {
+    if (RunLog.isSkipped(result)) {
+      return new Success(this);
+    }
+
+    try {
+      const state = this.state;
+      if (result instanceof Failure) {
+        state.failures++;
+        state.recentErrors.push({
+          time: Alerter.formatTime(startedAt),
+          category: result.getCategory(),
+          message: ScraperApiFetcher.redact(result.getMessage()),
+        });
+        state.recentErrors = state.recentErrors.slice(-Alerter.MAX_ERRORS);
+
+        if (state.failures >= this.threshold && !state.alerted) {
+          this.sendAlert();
+          state.alerted = true;
+        }
+      } else {
+        if (state.alerted) {
+          this.sendRecovery(startedAt);
+        }
+        state.failures = 0;
+        state.alerted = false;
+        state.recentErrors = [];
+
+        if (warnings.length > 0 && !state.warned) {
+          this.sendWarning(startedAt, warnings);
+        }
+        state.warned = warnings.length > 0;
+      }
+
+      this.properties.setProperty(
+        Alerter.stateKeyFor(this.site),
+        JSON.stringify(state)
+      );
+      return new Success(this);
+    } catch (e) {
+      return new Failure(`Error in 'record': ${e}`, ErrorCategory.STORAGE);
+    }
+  }
+
+  sendAlert() {
+    // Entries saved before redaction existed may still hold the key.
+    const lines = this.state.recentErrors.map(
+      (error) =>
+        `- ${error.time} [${error.category}] ${ScraperApiFetcher.redact(
+          error.message
+        )}`
+    );
+    MailApp.sendEmail(
+      this.recipient,
+      `[${this.getLabel()}] Scraping failed ${
+        this.state.failures
+      } times in a row`,
+      [
+        `The library archiver has failed ${this.state.failures} consecutive runs during opening hours.`,
+        "",
+        "Recent errors:",
+        ...lines,
+        "",
+        `See the RunLog sheet in '${this.getSpreadsheetName()}' for details. You will get one more email when a run succeeds again.`,
+      ].join("\n")
+    );
+    Logger.log(`Sent failure alert to ${this.recipient}.`);
+  }
+
+  /**
+   * @param {Date} startedAt
+   * @param {string[]} warnings
+   */
+  sendWarning(startedAt, warnings) {
+    MailApp.sendEmail(
+      this.recipient,
+      `[${this.getLabel()}] Scraping succeeded with warnings`,
+      [
+        `The run at ${Alerter.formatTime(
+          startedAt
+        )} (KST) saved its rows but reported:`,
+        "",
+        ...warnings.map((warning) => `- ${warning}`),
+        "",
+        `The library's page may have changed. See the Warnings column of the RunLog sheet in '${this.getSpreadsheetName()}'. You won't get another warning until a run is clean again.`,
+      ].join("\n")
+    );
+    Logger.log(`Sent warning notice to ${this.recipient}.`);
+  }
+
+  /**
+   * @param {Date} startedAt
+   */
+  sendRecovery(startedAt) {
+    MailApp.sendEmail(
+      this.recipient,
+      `[${this.getLabel()}] Scraping recovered`,
+      `The library archiver succeeded again at ${Alerter.formatTime(
+        startedAt
+      )} (KST) after ${this.state.failures} failed run(s).`
+    );
+    Logger.log(`Sent recovery notice to ${this.recipient}.`);
+  }
+
+  /**
+   * @param {Date} date
+   * @returns {string}
+   */
+  static formatTime(date) {
+    return Utilities.formatDate(date, "Asia/Seoul", "yyyy-MM-dd HH:mm:ss");
+  }
+}
+
+Alerter.STATE_KEY = "ALERT_STATE";
+
+/** Stands in for a site ID in the state key of the site registry's streak. */
+Alerter.REGISTRY = "_registry";
+
+Alerter.DEFAULT_THRESHOLD = 3;
+
+/** How many recent error messages are kept for the alert email. */
+Alerter.MAX_ERRORS = 10;
@@ -0,0 +1,405 @@
+/**
+ * Flags readings that don't fit a location's history, to tell a quiet
+ * library apart from a broken sensor:
+ *
+ * - `unusual`: a status the forecaster gives less than
+ *   `ANOMALY_MIN_PROBABILITY` for that weekday and hour, e.g. 혼잡 at
+ *   09:00 on a Tuesday.
+ * - `missing`: a location the page showed recently is not on it any more.
+ * - `stuck`: a location kept one status through at least
+ *   `ANOMALY_STUCK_HOURS` hours for which its history gives that status
+ *   less than a 25% chance.
+ *
+ * History only counts once the weekday and hour have
+ * `ANOMALY_MIN_SAMPLES` samples. Flags go to the `Anomalies` sheet of the
+ * site's spreadsheet; `missing` and `stuck` are flagged once until the
+ * location recovers. What each location last showed is kept in the
+ * `ANOMALY_STATE:<site id>` script property.
+ */
+class AnomalyDetector {
+  /**
+   * @param {Forecaster} forecaster
+   * @param {number} minProbability
+   * @param {number} minSamples
+   * @param {number} stuckHours
+   */
+  constructor(forecaster, minProbability, minSamples, stuckHours) {
+    this.forecaster = forecaster;
+    this.minProbability = minProbability;
+    this.minSamples = minSamples;
+    this.stuckHours = stuckHours;
+  }
+
+  /**
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @returns {Success<AnomalyDetector>|Failure}
+   */
+  static fromProperties(properties) {
+    const read = (key, fallback) =>
+      Number(properties.getProperty(key) || fallback);
+    const minProbability = read(
+      "ANOMALY_MIN_PROBABILITY",
+      AnomalyDetector.DEFAULT_MIN_PROBABILITY
+    );
+    const minSamples = read(
+      "ANOMALY_MIN_SAMPLES",
+      AnomalyDetector.DEFAULT_MIN_SAMPLES
+    );
+    const stuckHours = read(
+      "ANOMALY_STUCK_HOURS",
+      AnomalyDetector.DEFAULT_STUCK_HOURS
+    );
+    if (
+      !(minProbability > 0 && minProbability < 1) ||
+      !(minSamples >= 1) ||
+      !(stuckHours >= 1)
+    ) {
+      return new Failure(
+        `Invalid anomaly settings: min probability ${minProbability}, min samples ${minSamples}, stuck hours ${stuckHours}.`,
+        ErrorCategory.CONFIG
+      );
+    }
+    return Forecaster.fromProperties(properties).map(
+      (forecaster) =>
+        new AnomalyDetector(forecaster, minProbability, minSamples, stuckHours)
+    );
+  }
+
+  /**
+   * Checks the rows one run saved against the site's history and appends
+   * any flags to the `Anomalies` sheet.
+   * @param {Site} site
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet
+   * @param {Complexity[]} complexities The rows of one run.
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @returns {Success<Object[]>|Failure} The anomalies found.
+   */
+  checkRun(site, spreadsheet, complexities, properties) {
+    if (complexities.length === 0) {
+      return new Success([]);
+    }
+    const takenAt = Complexity.parseTimestamp(complexities[0].getTimestamp());
+    const [date, weekday, hour] = Utilities.formatDate(
+      takenAt,
+      Complexity.TIME_ZONE,
+      "yyyy-MM-dd|u|H"
+    ).split("|");
+
+    return Result.combine({
+      schedule: site.getSchedule(properties, spreadsheet),
+      buckets: Summary.read(spreadsheet, site.getSummarySheetName()),
+    })
+      .bind(({ schedule, buckets }) =>
+        Result.fromTry(() => {
+          // Today's samples would vouch for themselves.
+          const history = buckets.filter(
+            (bucket) =>
+              bucket.date < date &&
+              schedule.isOpen(bucket.date, bucket.weekday, bucket.hour)
+          );
+          const model = this.forecaster.fit(history, date);
+          const stateKey = AnomalyDetector.stateKeyFor(site);
+          const saved = properties.getProperty(stateKey);
+          const state = saved ? JSON.parse(saved) : {};
+          const anomalies = this.detect(
+            model,
+            state,
+            complexities,
+            takenAt,
+            date,
+            parseInt(weekday, 10),
+            parseInt(hour, 10)
+          );
+          properties.setProperty(stateKey, JSON.stringify(state));
+          return anomalies;
+        }, ErrorCategory.UNKNOWN)
+      )
+      .bind((anomalies) =>
+        anomalies.length === 0
+          ? new Success(anomalies)
+          : AnomalyDetector.sheetOf(spreadsheet)
+              .bind((mySheet) =>
+                mySheet.append(
+                  anomalies.map((anomaly) =>
+                    AnomalyDetector.toRow(site, anomaly)
+                  )
+                )
+              )
+              .map(() => anomalies)
+      );
+  }
+
+  /**
+   * Compares one run with the model and the per-location state, updating
+   * the state in place.
+   * @param {ForecastModel} model
+   * @param {Object<string, Object>} state Location label -> what it last
+   *     showed.
+   * @param {Complexity[]} complexities
+   * @param {Date} takenAt
+   * @param {string} date "yyyy-MM-dd" (KST).
+   * @param {number} weekday 1=Mon ... 7=Sun.
+   * @param {number} hour
+   * @returns {Object[]}
+   */
+  detect(model, state, complexities, takenAt, date, weekday, hour) {
+    const anomalies = [];
+    const now = takenAt.toISOString();
+    const hourKey = `${date}|${hour}`;
+    const seen = new Set();
+
+    complexities.forEach((complexity) => {
+      const bucket = {
+        floor: complexity.getFloor(),
+        location: complexity.getLocation(),
+      };
+      const label = Forecaster.labelOf(bucket);
+      const status = complexity.getStatus();
+      seen.add(label);
+
+      const prediction = model.predict(label, weekday, hour);
+      const probability =
+        prediction && prediction.samples >= this.minSamples
+          ? prediction.probabilities[status]
+          : null;
+      const flag = (kind, since, details, chance = probability) =>
+        anomalies.push({
+          detectedAt: takenAt,
+          kind: kind,
+          floor: bucket.floor,
+          location: bucket.location,
+          status: status,
+          expected: prediction ? prediction.status : null,
+          probability:
+            chance === null ? null : Math.round(chance * 1000) / 1000,
+          since: since,
+          details: details,
+        });
+
+      if (probability !== null && probability < this.minProbability) {
+        flag(
+          "unusual",
+          now,
+          `${status} is rare at ${AnomalyDetector.formatHour(hour)} on ${
+            Schedule.FULL_DAY_NAMES[weekday - 1]
+          }; usually ${prediction.status} (${prediction.samples} samples).`
+        );
+      }
+
+      let entry = state[label];
+      if (entry && entry.missingSince) {
+        delete entry.missingSince;
+      }
+      // Only hours in which the status is out of character count, so a
+      // room that is simply always quiet is never taken for a stuck one.
+      const outOfCharacter =
+        probability !== null && probability < AnomalyDetector.STUCK_CHANCE;
+      if (!entry || entry.status !== status) {
+        entry = {
+          floor: bucket.floor,
+          location: bucket.location,
+          status: status,
+          since: now,
+          lastHour: hourKey,
+          hours: outOfCharacter ? 1 : 0,
+        };
+      } else if (entry.lastHour !== hourKey) {
+        entry.lastHour = hourKey;
+        if (outOfCharacter) entry.hours++;
+      }
+      entry.lastSeen = date;
+      state[label] = entry;
+
+      if (!entry.stuckFlagged && entry.hours >= this.stuckHours) {
+        entry.stuckFlagged = true;
+        flag(
+          "stuck",
+          entry.since,
+          `Has shown ${status} without a change through ${entry.hours} hours that are usually different; the sensor may be stuck.`,
+          null
+        );
+      }
+    });
+
+    Object.keys(state).forEach((label) => {
+      const entry = state[label];
+      if (seen.has(label)) return;
+      if (
+        Forecaster.daysBetween(entry.lastSeen, date) >
+        AnomalyDetector.MISSING_DAYS
+      ) {
+        // Gone for good, e.g. a renamed room.
+        delete state[label];
+        return;
+      }
+      if (entry.missingSince) return;
+      entry.missingSince = now;
+      anomalies.push({
+        detectedAt: takenAt,
+        kind: "missing",
+        floor: entry.floor,
+        location: entry.location,
+        status: "",
+        expected: entry.status,
+        probability: null,
+        since: now,
+        details: `Not on the page any more; last seen on ${entry.lastSeen} as ${entry.status}.`,
+      });
+    });
+
+    anomalies.forEach((anomaly) =>
+      Logger.log(
+        `Anomaly [${anomaly.kind}] ${Forecaster.labelOf(anomaly)}: ${
+          anomaly.details
+        }`
+      )
+    );
+    return anomalies;
+  }
+
+  /**
+   * The flags recorded for a site within the query's dates, newest first.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet
+   * @param {Site} site
+   * @param {DashboardQuery} query
+   * @param {number} [limit]
+   * @returns {Success<Object[]>|Failure}
+   */
+  static read(
+    spreadsheet,
+    site,
+    query,
+    limit = AnomalyDetector.DASHBOARD_LIMIT
+  ) {
+    if (!spreadsheet.getSheetByName(AnomalyDetector.SHEET_NAME)) {
+      return new Success([]);
+    }
+    return AnomalyDetector.sheetOf(spreadsheet).bind((mySheet) => {
+      try {
+        const sheet = mySheet.getSheet();
+        if (sheet.getLastRow() < 2) {
+          return new Success([]);
+        }
+        const anomalies = sheet
+          .getRange(2, 1, sheet.getLastRow() - 1, AnomalyDetector.HEADER.length)
+          .getValues()
+          .map(AnomalyDetector.fromRow)
+          .filter(
+            (anomaly) =>
+              anomaly.site === site.getId() &&
+              (!query.from || anomaly.date >= query.from) &&
+              (!query.to || anomaly.date <= query.to)
+          )
+          .reverse()
+          .slice(0, limit);
+        return new Success(anomalies);
+      } catch (e) {
+        return new Failure(`Error in 'read': ${e}`, ErrorCategory.STORAGE);
+      }
+    });
+  }
+
+  /**
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet
+   * @returns {Success<MySheet>|Failure}
+   */
+  static sheetOf(spreadsheet) {
+    return MySheet.fromSheetName(
+      spreadsheet,
+      AnomalyDetector.SHEET_NAME,
+      AnomalyDetector.HEADER
+    );
+  }
+
+  /**
+   * @param {Site} site
+   * @param {Object} anomaly
+   * @returns {Array<*>} A row in the AnomalyDetector.HEADER layout.
+   */
+  static toRow(site, anomaly) {
+    return [
+      anomaly.detectedAt,
+      site.getId(),
+      anomaly.kind,
+      anomaly.floor,
+      anomaly.location,
+      anomaly.status,
+      anomaly.expected || "",
+      anomaly.probability === null ? "" : anomaly.probability,
+      new Date(anomaly.since),
+      anomaly.details,
+    ];
+  }
+
+  /**
+   * @param {Array<*>} row
+   * @returns {Object} The anomaly as the dashboard shows it, with KST times.
+   */
+  static fromRow(row) {
+    const format = (value) =>
+      value instanceof Date
+        ? Utilities.formatDate(value, Complexity.TIME_ZONE, "yyyy-MM-dd HH:mm")
+        : String(value);
+    const detected = format(row[0]);
+    return {
+      detected: detected,
+      date: detected.slice(0, 10),
+      site: row[1],
+      kind: row[2],
+      location: Forecaster.labelOf({ floor: row[3], location: row[4] }),
+      status: row[5],
+      expected: row[6],
+      probability: row[7] === "" ? null : Number(row[7]),
+      since: format(row[8]),
+      details: row[9],
+    };
+  }
+
+  /**
+   * @param {Site} site
+   * @returns {string}
+   */
+  static stateKeyFor(site) {
+    return `${AnomalyDetector.STATE_KEY}:${site.getId()}`;
+  }
+
+  /**
+   * @param {number} hour
+   * @returns {string} e.g. "09:00".
+   */
+  static formatHour(hour) {
+    return `${String(hour).padStart(2, "0")}:00`;
+  }
+}
+
+AnomalyDetector.STATE_KEY = "ANOMALY_STATE";
+
+AnomalyDetector.SHEET_NAME = "Anomalies";
+
+AnomalyDetector.HEADER = [
+  "Detected",
+  "Site",
+  "Kind",
+  "Floor",
+  "Location",
+  "Status",
+  "Expected",
+  "Probability",
+  "Since",
+  "Details",
+];
+
+AnomalyDetector.DEFAULT_MIN_PROBABILITY = 0.05;
+
+AnomalyDetector.DEFAULT_MIN_SAMPLES = 8;
+
+AnomalyDetector.DEFAULT_STUCK_HOURS = 4;
+
+/** Below this chance an hour counts towards a `stuck` flag. */
+AnomalyDetector.STUCK_CHANCE = 0.25;
+
+/** Locations missing for longer than this are forgotten. */
+AnomalyDetector.MISSING_DAYS = 7;
+
+/** How many flags the dashboard shows. */
+AnomalyDetector.DASHBOARD_LIMIT = 50;
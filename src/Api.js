@@ -0,0 +1,361 @@
+/**
+ * Machine-readable access to the dashboard data for other tools, served by
+ * doGet/doPost. Requests must carry the `API_TOKEN` script property as the
+ * `token` parameter; the API is off while that property is unset.
+ *
+ *   ?format=json|csv&view=raw|summary|forecast|dashboard&token=...
+ *    &from=2025-01-01&to=2025-06-30&floor=2F&location=일반열람실 (2F)
+ *    &weekday=Mon&hourFrom=9&hourTo=18&site=sejong
+ *
+ * `floor`, `location` and `weekday` may be repeated or comma-separated.
+ */
+class DataApi {
+  /**
+   * @param {object} e The event parameter for a web app request.
+   * @returns {ContentService.TextOutput}
+   */
+  static handle(e) {
+    const properties = PropertiesService.getScriptProperties();
+    let format = "json";
+
+    const result = DataApi.parametersOf(e).bind((params) =>
+      DataApi.authorize(params.token, properties).bind(() => {
+        format = String(params.format || "json").toLowerCase();
+        const view = String(params.view || "summary").toLowerCase();
+        if (!DataApi.FORMATS.includes(format)) {
+          format = "json";
+          return new Failure(
+            `Unknown format '${params.format}'. Use json or csv.`,
+            ErrorCategory.CONFIG
+          );
+        }
+        if (!DataApi.VIEWS.includes(view)) {
+          return new Failure(
+            `Unknown view '${view}'. Use one of: ${DataApi.VIEWS.join(", ")}.`,
+            ErrorCategory.CONFIG
+          );
+        }
+        if (view === "dashboard" && format === "csv") {
+          return new Failure(
+            "The dashboard view is only available as json.",
+            ErrorCategory.CONFIG
+          );
+        }
+        return DashboardQuery.fromObject(DataApi.toQuery(params)).bind(
+          (query) => DataApi.build(view, query)
+        );
+      })
+    );
+
+    if (result instanceof Failure) {
+      Logger.log(`Data API request failed: ${result.getMessage()}`);
+      return DataApi.json({
+        error: result.getMessage(),
+        category: result.getCategory(),
+      });
+    }
+    if (format === "csv") {
+      return ContentService.createTextOutput(
+        DataApi.toCsv(result.getValue())
+      ).setMimeType(ContentService.MimeType.CSV);
+    }
+    return DataApi.json(result.getValue());
+  }
+
+  /**
+   * Merges the query string / form fields with a JSON body, if any.
+   * Repeated parameters become lists.
+   * @param {object} e
+   * @returns {Success<Object>|Failure}
+   */
+  static parametersOf(e) {
+    const event = e || {};
+    const params = {};
+    const lists = event.parameters || {};
+    Object.keys(event.parameter || {}).forEach((name) => {
+      params[name] =
+        lists[name] && lists[name].length > 1
+          ? lists[name]
+          : event.parameter[name];
+    });
+
+    const body = event.postData;
+    if (body && body.contents && /json/.test(body.type || "")) {
+      try {
+        Object.assign(params, JSON.parse(body.contents));
+      } catch (e) {
+        return new Failure(
+          `Request body is not valid JSON: ${e.message}`,
+          ErrorCategory.CONFIG
+        );
+      }
+    }
+    return new Success(params);
+  }
+
+  /**
+   * @param {string} token
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @returns {Success<boolean>|Failure}
+   */
+  static authorize(token, properties) {
+    const expected = properties.getProperty("API_TOKEN");
+    if (!expected) {
+      return new Failure(
+        "The data API is disabled. Set the API_TOKEN script property to enable it.",
+        ErrorCategory.CONFIG
+      );
+    }
+    if (!DataApi.tokensMatch(String(token || ""), expected)) {
+      return new Failure("Invalid or missing token.", ErrorCategory.AUTH);
+    }
+    return new Success(true);
+  }
+
+  /**
+   * Compares without stopping at the first differing character, so the
+   * response time doesn't reveal how much of a guess was right.
+   * @param {string} given
+   * @param {string} expected
+   * @returns {boolean}
+   */
+  static tokensMatch(given, expected) {
+    if (given.length !== expected.length) return false;
+    let difference = 0;
+    for (let i = 0; i < expected.length; i++) {
+      difference |= given.charCodeAt(i) ^ expected.charCodeAt(i);
+    }
+    return difference === 0;
+  }
+
+  /**
+   * Maps API parameters onto a DashboardQuery object.
+   * @param {Object} params
+   * @returns {Object}
+   */
+  static toQuery(params) {
+    const list = (value) =>
+      DashboardQuery.asList(value)
+        .reduce((all, item) => all.concat(String(item).split(",")), [])
+        .map((item) => item.trim())
+        .filter((item) => item !== "");
+    return {
+      from: params.from,
+      to: params.to,
+      floors: list(params.floor || params.floors),
+      locations: list(params.location || params.locations),
+      weekdays: list(params.weekday || params.weekdays),
+      hourFrom: params.hourFrom,
+      hourTo: params.hourTo,
+      site: params.site,
+    };
+  }
+
+  /**
+   * @param {string} view
+   * @param {DashboardQuery} query
+   * @returns {Success<Object>|Failure} `{view, query, columns, rows}`, or
+   *     the getSheetData payload for the dashboard view.
+   */
+  static build(view, query) {
+    if (view === "dashboard" || view === "forecast") {
+      const data = getSheetData(query.toObject());
+      if (data.error) {
+        return new Failure(data.error, ErrorCategory.STORAGE);
+      }
+      return new Success(
+        view === "dashboard" ? data : DataApi.forecastTable(data, query)
+      );
+    }
+
+    return Site.find(PropertiesService.getScriptProperties(), query.site)
+      .bind((site) => openDashboardSources(site, query))
+      .map((sources) =>
+        view === "raw"
+          ? DataApi.rawTable(
+              sources.archiveSheets.concat([sources.sheet]),
+              query
+            )
+          : DataApi.summaryTable(sources.buckets, sources.schedule, query)
+      )
+      .withContext({ category: ErrorCategory.STORAGE, step: "build" });
+  }
+
+  /**
+   * Every row of the site's sheet inside the query, closed hours included.
+   * Archived rows come first (see Retention).
+   * @param {GoogleAppsScript.Spreadsheet.Sheet[]} sheets The archive sheets
+   *     the query reaches into, then the live sheet.
+   * @param {DashboardQuery} query
+   * @returns {Object}
+   */
+  static rawTable(sheets, query) {
+    const rows = [];
+    sheets.forEach((sheet) => {
+      if (sheet.getLastRow() < 2) return;
+      sheet
+        .getRange(2, 1, sheet.getLastRow() - 1, MySheet.HEADER.length)
+        .getValues()
+        .forEach(
+          ([
+            timestamp,
+            floor,
+            location,
+            status,
+            severity,
+            snapshot,
+            occupied,
+            capacity,
+          ]) => {
+            if (!(timestamp instanceof Date)) return;
+            const [date, weekday, hour] = Utilities.formatDate(
+              timestamp,
+              Complexity.TIME_ZONE,
+              "yyyy-MM-dd|u|H"
+            ).split("|");
+            const slot = {
+              date: date,
+              weekday: parseInt(weekday, 10),
+              hour: parseInt(hour, 10),
+              floor: String(floor),
+              location: String(location),
+            };
+            if (!query.matches(slot)) return;
+            rows.push([
+              Utilities.formatDate(
+                timestamp,
+                Complexity.TIME_ZONE,
+                "yyyy-MM-dd'T'HH:mm:ss'+09:00'"
+              ),
+              slot.floor,
+              slot.location,
+              status,
+              severity,
+              snapshot,
+              occupied,
+              capacity,
+            ]);
+          }
+        );
+    });
+    return DataApi.table("raw", query, MySheet.HEADER, rows);
+  }
+
+  /**
+   * The hourly Summary rows inside the query, closed hours left out as on
+   * the dashboard.
+   * @param {Object[]} buckets
+   * @param {Schedule} schedule
+   * @param {DashboardQuery} query
+   * @returns {Object}
+   */
+  static summaryTable(buckets, schedule, query) {
+    const rows = buckets
+      .filter(
+        (bucket) =>
+          schedule.isOpen(bucket.date, bucket.weekday, bucket.hour) &&
+          query.matches(bucket)
+      )
+      .sort((a, b) => (Summary.keyOf(a) < Summary.keyOf(b) ? -1 : 1))
+      .map((bucket) => [
+        bucket.date,
+        bucket.weekday,
+        bucket.hour,
+        bucket.floor,
+        bucket.location,
+        bucket["원활"],
+        bucket["보통"],
+        bucket["혼잡"],
+        bucket.total,
+        bucket.severitySum,
+        bucket.severitySamples,
+        bucket.occupiedSum,
+        bucket.occupiedSamples,
+        bucket.capacitySum,
+        bucket.capacitySamples,
+      ]);
+    return DataApi.table("summary", query, Summary.HEADER, rows);
+  }
+
+  /**
+   * The dashboard's prediction model, one row per location, weekday and
+   * hour.
+   * @param {Object} data The getSheetData payload.
+   * @param {DashboardQuery} query
+   * @returns {Object}
+   */
+  static forecastTable(data, query) {
+    const rows = Object.keys(data.predictionModel).map((key) => {
+      const [location, weekday, hour] = key.split("|");
+      const forecast = data.predictionModel[key];
+      return [
+        location,
+        weekday,
+        Number(hour),
+        forecast.status,
+        forecast.probability,
+        forecast.samples,
+      ].concat(
+        Complexity.STATUSES.map((status) => forecast.probabilities[status])
+      );
+    });
+    return DataApi.table(
+      "forecast",
+      query,
+      [
+        "Location",
+        "Weekday",
+        "Hour",
+        "Status",
+        "Probability",
+        "Samples",
+      ].concat(Complexity.STATUSES.map((status) => `P(${status})`)),
+      rows
+    );
+  }
+
+  /**
+   * @param {string} view
+   * @param {DashboardQuery} query
+   * @param {string[]} columns
+   * @param {Array<Array<*>>} rows
+   * @returns {{view: string, query: Object, columns: string[], rows: Array<Array<*>>}}
+   */
+  static table(view, query, columns, rows) {
+    return {
+      view: view,
+      query: query.toObject(),
+      columns: columns,
+      rows: rows,
+    };
+  }
+
+  /**
+   * @param {{columns: string[], rows: Array<Array<*>>}} table
+   * @returns {string}
+   */
+  static toCsv(table) {
+    const cell = (value) => {
+      const text = value === null || value === undefined ? "" : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [table.columns]
+      .concat(table.rows)
+      .map((row) => row.map(cell).join(","))
+      .join("\r\n");
+  }
+
+  /**
+   * @param {Object} value
+   * @returns {ContentService.TextOutput}
+   */
+  static json(value) {
+    return ContentService.createTextOutput(JSON.stringify(value)).setMimeType(
+      ContentService.MimeType.JSON
+    );
+  }
+}
+
+DataApi.FORMATS = ["json", "csv"];
+
+DataApi.VIEWS = ["raw", "summary", "forecast", "dashboard"];
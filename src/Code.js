@@ -1,9 +1,14 @@
 /**
- * Serves the HTML file for the web app.
+ * Serves the HTML file for the web app, or data for other tools when the
+ * request has a `format` or `view` parameter (see DataApi).
  * @param {object} e The event parameter for a web app request.
- * @returns {HtmlService.HtmlOutput} The HTML output for the web app.
+ * @returns {HtmlService.HtmlOutput|ContentService.TextOutput} The HTML output for the web app.
  */
 function doGet(e) {
+  const parameters = (e && e.parameter) || {};
+  if (parameters.format || parameters.view) {
+    return DataApi.handle(e);
+  }
   return HtmlService.createTemplateFromFile("index")
     .evaluate()
     .setTitle("Library Complexity Dashboard")
@@ -11,228 +16,562 @@ function doGet(e) {
 }
 
 /**
- * Gets the data from the 'SJCityLib' spreadsheet and processes it for visualization and prediction.
+ * Inlines another HTML file into a template, e.g. `<?!= include("sidebar"); ?>`.
+ * @param {string} filename
+ * @returns {string}
+ */
+function include(filename) {
+  return HtmlService.createHtmlOutputFromFile(filename).getContent();
+}
+
+/**
+ * The data API for other tools. Takes the same parameters as doGet, either
+ * as form fields or as a JSON body.
+ * @param {object} e The event parameter for a web app request.
+ * @returns {ContentService.TextOutput}
+ */
+function doPost(e) {
+  return DataApi.handle(e);
+}
+
+/**
+ * Gets the data of one site's spreadsheet and processes it for visualization and prediction.
+ * Reads the hourly summary sheet that main() keeps up to date rather than
+ * every Complexity row, and caches the result until the next save.
  *
+ * @param {Object} [query] Limits the charts and the prediction model to a
+ *     subset of the history; see DashboardQuery.fromObject. `query.site`
+ *     picks the site, by default the first one in the registry.
  * @returns {Object} An object containing data for charts and the prediction model.
  */
-function getSheetData() {
-  try {
-    // --- 1. Fetch Data ---
-    const files = DriveApp.getFilesByName("SJCityLib");
-    if (!files.hasNext()) {
-      Logger.log("Error: Spreadsheet 'SJCityLib' not found.");
-      throw new Error("Spreadsheet 'SJCityLib' not found.");
-    }
+function getSheetData(query) {
+  return DashboardQuery.fromObject(query)
+    .bind((dashboardQuery) => {
+      const cacheKey = `${DASHBOARD_CACHE_KEY}:${dashboardQuery.cacheKey()}`;
+      const cached = DashboardCache.get(cacheKey);
+      if (cached) {
+        Logger.log("Serving dashboard data from cache.");
+        return new Success(cached);
+      }
+      return loadDashboardData_(dashboardQuery).tap((result) =>
+        DashboardCache.put(cacheKey, result)
+      );
+    })
+    .match({
+      success: (result) => result,
+      failure: (failure) => {
+        Logger.log(`Fatal Error in getSheetData: ${failure.getMessage()}`);
+        return { error: failure.getMessage() }; // Send error to frontend
+      },
+    });
+}
 
-    const ss = SpreadsheetApp.open(files.next());
-    const sheet = ss.getSheetByName("Complexity");
-    if (!sheet) {
-      Logger.log("Error: Sheet 'Complexity' not found in spreadsheet.");
-      throw new Error("Sheet 'Complexity' not found in spreadsheet.");
-    }
+/**
+ * The getSheetData payload for a query that isn't cached.
+ * @param {DashboardQuery} query
+ * @returns {Success<Object>|Failure}
+ */
+function loadDashboardData_(query) {
+  const properties = PropertiesService.getScriptProperties();
+  return Result.combine({
+    sites: Site.loadAll(properties),
+    site: Site.find(properties, query.site),
+  }).bind(({ sites, site }) =>
+    openDashboardSources(site, query, true).bind((sources) =>
+      AnomalyDetector.read(sources.spreadsheet, site, query).map(
+        (anomalies) => {
+          const result = buildDashboardData(
+            sources.buckets,
+            sources.schedule,
+            query,
+            sources.forecaster,
+            Utilities.formatDate(new Date(), Complexity.TIME_ZONE, "yyyy-MM-dd")
+          );
+          result.anomalies = anomalies;
+          // Lets the dashboard offer the other sites.
+          result.site = site.getId();
+          result.sites = sites.map((candidate) => ({
+            id: candidate.getId(),
+            name: candidate.getName(),
+          }));
+          return result;
+        }
+      )
+    )
+  );
+}
 
-    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, 4).getValues();
-    Logger.log(`Found ${data.length} rows of data.`);
-
-    // --- 2. Process Data & Build Model ---
-    const chartData = {};
-    const predictionModel = {};
-    const hourlyComplexity = {}; // For time series
-
-    const uniqueLocations = new Set();
-    const uniqueDays = new Set([
-      "Sunday",
-      "Monday",
-      "Tuesday",
-      "Wednesday",
-      "Thursday",
-      "Friday",
-      "Saturday",
-    ]);
-    const uniqueHours = new Set();
+/**
+ * Opens everything the dashboard and the data API read from for one site.
+ * When the query reaches back past the live sheet, the summaries of the
+ * yearly archives are read as well (see Retention).
+ * With `weekly`, a query without a date range gets the rows of the site's
+ * WeeklyProfile as its buckets instead, which have no date and only cover
+ * open hours. The hourly summaries are still read while there is no
+ * current profile.
+ *
+ * @param {Site} site
+ * @param {DashboardQuery} query
+ * @param {boolean} [weekly]
+ * @returns {Success<{spreadsheet: GoogleAppsScript.Spreadsheet.Spreadsheet, sheet: GoogleAppsScript.Spreadsheet.Sheet, archiveSheets: GoogleAppsScript.Spreadsheet.Sheet[], schedule: Schedule, forecaster: Forecaster, buckets: Object[]}>|Failure}
+ *     A Failure when the spreadsheet or configuration is unusable.
+ */
+function openDashboardSources(site, query, weekly = false) {
+  // --- 1. Fetch Data ---
+  const properties = PropertiesService.getScriptProperties();
+  const spreadsheetName = site.getSpreadsheetName();
+  const sheetName = site.getSheetName();
+  const summaryName = site.getSummarySheetName();
+  const files = DriveApp.getFilesByName(spreadsheetName);
+  if (!files.hasNext()) {
+    Logger.log(`Error: Spreadsheet '${spreadsheetName}' not found.`);
+    return new Failure(
+      `Spreadsheet '${spreadsheetName}' not found.`,
+      ErrorCategory.STORAGE
+    );
+  }
 
-    let processedRows = 0;
+  const ss = SpreadsheetApp.open(files.next());
+  const sheet = ss.getSheetByName(sheetName);
+  if (!sheet) {
+    Logger.log(`Error: Sheet '${sheetName}' not found in spreadsheet.`);
+    return new Failure(
+      `Sheet '${sheetName}' not found in spreadsheet.`,
+      ErrorCategory.STORAGE
+    );
+  }
 
-    data.forEach((row, index) => {
-      try {
-        const timestampCell = row[0];
-        const location = row[1] ? row[1].trim() : null;
-        const status = row[2] ? row[2].trim() : null;
+  const header = sheet
+    .getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1))
+    .getValues()[0];
+  if (MySheet.isLegacyHeader(header)) {
+    return new Failure(
+      `Sheet '${sheetName}' still uses schema v1. Run 'migrateComplexitySchema' first.`,
+      ErrorCategory.CONFIG
+    );
+  }
 
-        // Skip row if key data is missing
-        if (!timestampCell || !location || !status) {
-          Logger.log(`Skipping row ${index + 2}: Missing data.`);
-          return;
-        }
+  // The first load after upgrading builds the Summary sheet once.
+  let summary = new Success(null);
+  if (!ss.getSheetByName(summaryName) && sheet.getLastRow() > 1) {
+    Logger.log(`No '${summaryName}' sheet yet; building it from ${sheetName}.`);
+    summary = Summary.rebuild(ss, sheetName, summaryName);
+  }
 
-        let date;
+  return Result.combine({
+    // Samples taken while the library was closed (holidays, regular
+    // closures) describe an empty building, not a quiet one.
+    schedule: site.getSchedule(properties, ss),
+    forecaster: Forecaster.fromProperties(properties),
+    profile:
+      weekly && !query.from && !query.to
+        ? WeeklyProfile.read(ss, site.getProfileSheetName())
+        : new Success(null),
+  }).bind(({ schedule, forecaster, profile }) => {
+    const sources = {
+      spreadsheet: ss,
+      sheet: sheet,
+      archiveSheets: [],
+      schedule: schedule,
+      forecaster: forecaster,
+    };
+    if (WeeklyProfile.isCurrent(profile, forecaster)) {
+      Logger.log(`Found ${profile.length} weekly profile rows.`);
+      return new Success(Object.assign(sources, { buckets: profile }));
+    }
+    return summary
+      .bind(() => readSummaries_(ss, site, query))
+      .map((read) => Object.assign(sources, read));
+  });
+}
 
-        // --- NEW TIMESTAMP LOGIC ---
-        // Check if Google Sheets has already converted it to a Date object
-        if (timestampCell instanceof Date) {
-          date = timestampCell;
-          Logger.log(`Processing row ${index + 2} as Date object.`);
-        }
-        // Check if it's a string in the expected format
-        else if (
-          typeof timestampCell === "string" &&
-          timestampCell.includes("_")
-        ) {
-          const parts = timestampCell.split("_");
-          const dateStr = parts[0];
-          const timeStr = parts[1];
-          const dateParts = dateStr.split("-");
-
-          // --- THIS IS THE FIX ---
-          // We are changing split(':') to split('-') to match your data format (e.g., "13-20-03")
-          const timeParts = timeStr.split("-");
-
-          if (dateParts.length < 3 || timeParts.length < 3) {
-            Logger.log(
-              `Skipping row ${
-                index + 2
-              }: Incomplete date/time parts. Got '${timestampCell}'`
-            );
-            return;
-          }
-          // Months are 0-indexed (0=Jan, 10=Nov)
-          date = new Date(
-            dateParts[0],
-            dateParts[1] - 1,
-            dateParts[2],
-            timeParts[0],
-            timeParts[1],
-            timeParts[2]
-          );
-          Logger.log(`Processing row ${index + 2} as String.`);
-        }
-        // If neither, we can't parse it
-        else {
+/**
+ * The hourly buckets of a site's live summary and of the archives the
+ * query reaches into.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The live spreadsheet.
+ * @param {Site} site
+ * @param {DashboardQuery} query
+ * @returns {Success<{archiveSheets: GoogleAppsScript.Spreadsheet.Sheet[], buckets: Object[]}>|Failure}
+ */
+function readSummaries_(ss, site, query) {
+  const summaryName = site.getSummarySheetName();
+  return Result.combine({
+    buckets: Summary.read(ss, summaryName).tap((buckets) =>
+      Logger.log(`Found ${buckets.length} hourly summary rows.`)
+    ),
+    archives: Archive.open(
+      PropertiesService.getScriptProperties(),
+      site,
+      query
+    ),
+  }).bind(({ buckets, archives }) =>
+    Result.all(
+      archives.map((archive) =>
+        Summary.read(archive, summaryName).tap((archived) =>
           Logger.log(
-            `Skipping row ${
-              index + 2
-            }: Unknown timestamp format. Type: ${typeof timestampCell}, Value: ${timestampCell}`
-          );
-          return;
-        }
+            `Found ${
+              archived.length
+            } hourly summary rows in '${archive.getName()}'.`
+          )
+        )
+      )
+    ).map((archived) => ({
+      archiveSheets: archives
+        .map((archive) => archive.getSheetByName(site.getSheetName()))
+        .filter((archiveSheet) => archiveSheet !== null),
+      buckets: archived.reduce(
+        (all, archiveBuckets) => all.concat(archiveBuckets),
+        buckets
+      ),
+    }))
+  );
+}
 
-        // Final check on the parsed date
-        if (!date || isNaN(date.getTime())) {
-          Logger.log(
-            `Skipping row ${
-              index + 2
-            }: Could not parse a valid date from '${timestampCell}'`
-          );
-          return;
-        }
-        // --- END TIMESTAMP LOGIC ---
-
-        const dayOfWeek = date.getDay();
-        const dayName = [
-          "Sunday",
-          "Monday",
-          "Tuesday",
-          "Wednesday",
-          "Thursday",
-          "Friday",
-          "Saturday",
-        ][dayOfWeek];
-        const hour = date.getHours();
-
-        uniqueLocations.add(location);
-        uniqueHours.add(hour);
-
-        // --- UPDATED to handle '혼잡' (Congested) ---
-
-        // a) Populate Bar Chart Data
-        if (!chartData[location])
-          chartData[location] = { 원활: 0, 보통: 0, 혼잡: 0, total: 0 };
-        if (status === "원활") chartData[location]["원활"]++;
-        else if (status === "보통") chartData[location]["보통"]++;
-        else if (status === "혼잡") chartData[location]["혼잡"]++;
-        chartData[location]["total"]++;
-
-        // b) Populate Prediction Model
-        const modelKey = `${location}|${dayName}|${hour}`;
-        if (!predictionModel[modelKey])
-          predictionModel[modelKey] = { 원활: 0, 보통: 0, 혼잡: 0, total: 0 };
-        if (status === "원활") predictionModel[modelKey]["원활"]++;
-        else if (status === "보통") predictionModel[modelKey]["보통"]++;
-        else if (status === "혼잡") predictionModel[modelKey]["혼잡"]++;
-        predictionModel[modelKey]["total"]++;
-
-        // c) Populate Time Series Data (Tracking % of "not smooth")
-        if (!hourlyComplexity[hour])
-          hourlyComplexity[hour] = { notSmooth: 0, total: 0 };
-        hourlyComplexity[hour].total++;
-        if (status === "보통" || status === "혼잡") {
-          hourlyComplexity[hour].notSmooth++;
-        }
+/** Cache key of the dashboard payload; see DashboardCache. */
+const DASHBOARD_CACHE_KEY = "dashboard";
 
-        processedRows++;
-      } catch (e) {
-        Logger.log(
-          `Error processing row ${index + 2}: ${e.message}. Row data: ${row}`
-        );
-      }
+/**
+ * Turns hourly summary buckets into the chart data, prediction model and
+ * filters used by the dashboard. The filters list every value in the
+ * history so the dashboard can widen the query again; everything else only
+ * covers the buckets the query matches.
+ *
+ * @param {Object[]} buckets Rows from Summary.read(), or from
+ *     WeeklyProfile.read() for a query without a date range.
+ * @param {Schedule} schedule Buckets from closed hours are left out.
+ * @param {DashboardQuery} query
+ * @param {Forecaster} forecaster Builds the prediction model.
+ * @param {string} asOf Today, "yyyy-MM-dd" (KST).
+ * @returns {Object}
+ */
+function buildDashboardData(buckets, schedule, query, forecaster, asOf) {
+  // --- 2. Process Data & Build Model ---
+  const chartData = {};
+  const matched = [];
+  const hourlyComplexity = {}; // For time series
+
+  const uniqueLocations = new Set();
+  const uniqueDays = new Set([
+    "Sunday",
+    "Monday",
+    "Tuesday",
+    "Wednesday",
+    "Thursday",
+    "Friday",
+    "Saturday",
+  ]);
+  const uniqueHours = new Set();
+  const uniqueFloors = new Set();
+  let firstDate = null;
+  let lastDate = null;
+
+  let processedSamples = 0;
+  let closedSamples = 0;
+
+  buckets.forEach((bucket) => {
+    const { date, weekday, hour, floor } = bucket;
+
+    // Weekly profile rows have no date and only count open hours.
+    if (date !== null && !schedule.isOpen(date, weekday, hour)) {
+      closedSamples += bucket.total;
+      return;
+    }
+
+    // Locations are labelled with their floor, e.g. "열람실 (2F)".
+    const location = Forecaster.labelOf(bucket);
+
+    uniqueLocations.add(location);
+    uniqueHours.add(hour);
+    if (floor) uniqueFloors.add(floor);
+    const first = bucket.firstDate || date;
+    const last = bucket.lastDate || date;
+    if (!firstDate || first < firstDate) firstDate = first;
+    if (!lastDate || last > lastDate) lastDate = last;
+
+    if (!query.matches(bucket)) return;
+    matched.push(bucket);
+
+    // a) Populate Bar Chart Data
+    if (!chartData[location])
+      chartData[location] = { 원활: 0, 보통: 0, 혼잡: 0, total: 0 };
+
+    ["원활", "보통", "혼잡", "total"].forEach((field) => {
+      chartData[location][field] += bucket[field];
     });
 
+    // b) Populate Time Series Data (Tracking % of "not smooth")
+    if (!hourlyComplexity[hour])
+      hourlyComplexity[hour] = { notSmooth: 0, total: 0 };
+    hourlyComplexity[hour].total += bucket.total;
+    hourlyComplexity[hour].notSmooth += bucket["보통"] + bucket["혼잡"];
+
+    processedSamples += bucket.total;
+  });
+
+  Logger.log(
+    `Successfully processed ${processedSamples} samples (${closedSamples} taken while closed were skipped).`
+  );
+
+  // --- 3. Format Data for Frontend ---
+
+  // a) Bar Chart (Now with 3 statuses)
+  const barChartArray = [
+    ["Location", "원활 (Smooth)", "보통 (Moderate)", "혼잡 (Congested)"],
+  ];
+  for (const location in chartData) {
+    barChartArray.push([
+      location,
+      chartData[location]["원활"],
+      chartData[location]["보통"],
+      chartData[location]["혼잡"],
+    ]);
+  }
+
+  // b) Time Series Line Chart (Tracking "not smooth" %)
+  const timeSeriesChartData = [
+    ["Hour", "Not Smooth % (Moderate or Congested)"],
+  ];
+  const sortedHoursForChart = Object.keys(hourlyComplexity)
+    .map(Number)
+    .sort((a, b) => a - b);
+
+  for (const hour of sortedHoursForChart) {
+    const entry = hourlyComplexity[hour];
+    const percentage =
+      entry.total > 0 ? (entry.notSmooth / entry.total) * 100 : 0;
+    const hourLabel = String(hour).padStart(2, "0") + ":00";
+    timeSeriesChartData.push([hourLabel, percentage]);
+  }
+
+  // c) Filters
+  const sortedHours = Array.from(uniqueHours).sort((a, b) => a - b);
+
+  if (processedSamples === 0) {
     Logger.log(
-      `Successfully processed ${processedRows} out of ${data.length} rows.`
+      "Warning: No data was successfully processed. Check data format and permissions."
     );
+  }
+
+  return {
+    barChartData: barChartArray,
+    timeSeriesChartData: timeSeriesChartData,
+    heatmapData: buildHeatmap(matched),
+    occupancyData: buildOccupancy(matched),
+    predictionModel: buildPredictionModel(
+      forecaster.fit(matched, asOf),
+      Object.keys(chartData),
+      schedule,
+      query
+    ),
+    filters: {
+      locations: Array.from(uniqueLocations),
+      floors: Array.from(uniqueFloors).sort(),
+      days: Array.from(uniqueDays),
+      hours: sortedHours,
+      dateRange: { from: firstDate, to: lastDate },
+    },
+    query: query.toObject(),
+    schedule: schedule.describe(),
+  };
+}
 
-    // --- 3. Format Data for Frontend ---
-
-    // a) Bar Chart (Now with 3 statuses)
-    const barChartArray = [
-      ["Location", "원활 (Smooth)", "보통 (Moderate)", "혼잡 (Congested)"],
-    ];
-    for (const location in chartData) {
-      barChartArray.push([
-        location,
-        chartData[location]["원활"],
-        chartData[location]["보통"],
-        chartData[location]["혼잡"],
-      ]);
+/**
+ * The average severity level and, where the page shows them, the average
+ * seat or visitor count and occupancy per location and hour.
+ * `locations[location][h]` is for `hours[h]`; null means no samples, and
+ * each figure is null when no sample had it.
+ *
+ * @param {Object[]} buckets Summary buckets inside the query.
+ * @returns {{hours: number[], hasCounts: boolean, locations: Object<string, Array<?{severity: ?number, occupied: ?number, capacity: ?number, rate: ?number, samples: number}>>}}
+ */
+function buildOccupancy(buckets) {
+  const totals = {};
+  const hourSet = new Set();
+  buckets.forEach((bucket) => {
+    const location = Forecaster.labelOf(bucket);
+    hourSet.add(bucket.hour);
+    if (!totals[location]) totals[location] = {};
+    if (!totals[location][bucket.hour]) {
+      totals[location][bucket.hour] = Summary.emptyBucket(
+        "",
+        0,
+        bucket.hour,
+        bucket.floor,
+        bucket.location
+      );
     }
+    Summary.merge(totals[location][bucket.hour], bucket);
+  });
+
+  const round = (value) =>
+    value === null ? null : Math.round(value * 10) / 10;
+  const hours = Array.from(hourSet).sort((a, b) => a - b);
+  const locations = {};
+  let hasCounts = false;
+  Object.keys(totals).forEach((location) => {
+    locations[location] = hours.map((hour) => {
+      const total = totals[location][hour];
+      if (!total) return null;
+      const occupied = Summary.average(total, "occupied");
+      const capacity = Summary.average(total, "capacity");
+      if (occupied !== null) hasCounts = true;
+      return {
+        severity: round(Summary.average(total, "severity")),
+        occupied: round(occupied),
+        capacity: round(capacity),
+        rate:
+          occupied !== null && capacity
+            ? round((occupied / capacity) * 100)
+            : null,
+        samples: total.total,
+      };
+    });
+  });
+  return { hours: hours, hasCounts: hasCounts, locations: locations };
+}
 
-    // b) Time Series Line Chart (Tracking "not smooth" %)
-    const timeSeriesChartData = [
-      ["Hour", "Not Smooth % (Moderate or Congested)"],
-    ];
-    const sortedHoursForChart = Object.keys(hourlyComplexity)
-      .map(Number)
-      .sort((a, b) => a - b);
-
-    for (const hour of sortedHoursForChart) {
-      const entry = hourlyComplexity[hour];
-      const percentage =
-        entry.total > 0 ? (entry.notSmooth / entry.total) * 100 : 0;
-      const hourLabel = String(hour).padStart(2, "0") + ":00";
-      timeSeriesChartData.push([hourLabel, percentage]);
+/**
+ * A weekday x hour grid per location of how often it was not smooth
+ * (보통 or 혼잡) and how often it was congested (혼잡), in percent.
+ * `cells[location][d][h]` is for `days[d]` at `hours[h]`; null means no
+ * samples.
+ *
+ * @param {Object[]} buckets Summary buckets inside the query.
+ * @returns {{days: string[], hours: number[], cells: Object<string, Array<Array<?{notSmooth: number, congested: number, samples: number}>>>}}
+ */
+function buildHeatmap(buckets) {
+  const counts = {};
+  const hourSet = new Set();
+  buckets.forEach((bucket) => {
+    const location = Forecaster.labelOf(bucket);
+    const key = `${bucket.weekday}|${bucket.hour}`;
+    hourSet.add(bucket.hour);
+    if (!counts[location]) counts[location] = {};
+    if (!counts[location][key]) {
+      counts[location][key] = { notSmooth: 0, congested: 0, samples: 0 };
     }
+    const entry = counts[location][key];
+    entry.notSmooth += bucket["보통"] + bucket["혼잡"];
+    entry.congested += bucket["혼잡"];
+    entry.samples += bucket.total;
+  });
 
-    // c) Filters
-    const sortedHours = Array.from(uniqueHours).sort((a, b) => a - b);
+  const hours = Array.from(hourSet).sort((a, b) => a - b);
+  const percent = (part, whole) => Math.round((part / whole) * 1000) / 10;
+  const cells = {};
+  Object.keys(counts).forEach((location) => {
+    cells[location] = Schedule.FULL_DAY_NAMES.map((dayName, i) =>
+      hours.map((hour) => {
+        const entry = counts[location][`${i + 1}|${hour}`];
+        if (!entry || entry.samples === 0) return null;
+        return {
+          notSmooth: percent(entry.notSmooth, entry.samples),
+          congested: percent(entry.congested, entry.samples),
+          samples: entry.samples,
+        };
+      })
+    );
+  });
 
-    if (processedRows === 0) {
-      Logger.log(
-        "Warning: No data was successfully processed. Check data format and permissions."
-      );
+  return { days: Schedule.FULL_DAY_NAMES, hours: hours, cells: cells };
+}
+
+/**
+ * Forecasts every open (location, weekday, hour) slot inside the query.
+ * Keys are `location|dayName|hour`, e.g. "일반열람실 (2F)|Monday|14".
+ *
+ * @param {ForecastModel} model
+ * @param {string[]} locations
+ * @param {Schedule} schedule Only the regular weekly hours are used.
+ * @param {DashboardQuery} query
+ * @returns {Object<string, {status: string, probability: number, samples: number, probabilities: Object<string, number>}>}
+ */
+function buildPredictionModel(model, locations, schedule, query) {
+  const weeklyHours = schedule.describe().weeklyHours;
+  const predictionModel = {};
+
+  Schedule.FULL_DAY_NAMES.forEach((dayName, i) => {
+    const weekday = i + 1;
+    const hours = weeklyHours[dayName];
+    if (!hours) return;
+    if (query.weekdays.length > 0 && !query.weekdays.includes(weekday)) return;
+
+    for (let hour = hours.open; hour < hours.close; hour++) {
+      if (hour < query.hourFrom || hour > query.hourTo) continue;
+      locations.forEach((location) => {
+        const forecast = model.predict(location, weekday, hour);
+        if (forecast) {
+          predictionModel[`${location}|${dayName}|${hour}`] = forecast;
+        }
+      });
     }
+  });
+  return predictionModel;
+}
+
+/**
+ * Lists archived page snapshots for the sidebar, newest first.
+ *
+ * @param {{offset?: number, limit?: number, date?: string, site?: string}} [options]
+ *     `date` ("yyyy-MM-dd") keeps only snapshots from that day (KST);
+ *     `site` picks the site, by default the first one.
+ * @returns {Object} `{snapshots, total, offset}`, or `{error}`.
+ */
+function listSnapshots(options) {
+  const { offset = 0, limit = 50, date = "", site = "" } = options || {};
+  return Site.find(PropertiesService.getScriptProperties(), site)
+    .bind((found) => SnapshotStore.fromFolderName(found.getFolderName()))
+    .bind((store) => store.listFiles())
+    .map((all) =>
+      all.filter((file) => !date || file.getName().startsWith(date)).reverse()
+    )
+    .match({
+      success: (files) => ({
+        snapshots: files.slice(offset, offset + limit).map(describeSnapshot),
+        total: files.length,
+        offset: offset,
+      }),
+      failure: (failure) => {
+        Logger.log(`Error in listSnapshots: ${failure.getMessage()}`);
+        return { error: failure.getMessage() };
+      },
+    });
+}
 
-    return {
-      barChartData: barChartArray,
-      timeSeriesChartData: timeSeriesChartData,
-      predictionModel: predictionModel,
-      filters: {
-        locations: Array.from(uniqueLocations),
-        days: Array.from(uniqueDays),
-        hours: sortedHours,
+/**
+ * Returns one archived page for the sidebar's viewer.
+ *
+ * @param {string} id Drive file ID from listSnapshots.
+ * @param {string} [siteId] The site it was listed for.
+ * @returns {Object} The snapshot's details plus its `html`, or `{error}`.
+ */
+function getSnapshotContent(id, siteId) {
+  return Site.find(PropertiesService.getScriptProperties(), siteId)
+    .bind((site) => SnapshotStore.fromFolderName(site.getFolderName()))
+    .bind((store) => store.getFile(id))
+    .match({
+      success: (file) =>
+        Object.assign(describeSnapshot(file), {
+          html: file.getBlob().getDataAsString("UTF-8"),
+        }),
+      failure: (failure) => {
+        Logger.log(`Error in getSnapshotContent: ${failure.getMessage()}`);
+        return { error: failure.getMessage() };
       },
-    };
-  } catch (error) {
-    Logger.log(`Fatal Error in getSheetData: ${error.message}`);
-    return { error: error.message }; // Send error to frontend
-  }
+    });
+}
+
+/**
+ * @param {GoogleAppsScript.Drive.File} file An archived snapshot file.
+ * @returns {{id: string, name: string, timestamp: string, responseCode: number}}
+ */
+function describeSnapshot(file) {
+  const [, timestamp, code] = Snapshot.FILE_NAME.exec(file.getName());
+  const [day, time] = timestamp.split("_");
+  return {
+    id: file.getId(),
+    name: file.getName(),
+    timestamp: `${day} ${time.replace(/-/g, ":")}`,
+    responseCode: parseInt(code, 10),
+  };
 }
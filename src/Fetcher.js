@@ -0,0 +1,401 @@
+/**
+ * The raw result of one HTTP call made by a fetch backend.
+ */
+class FetchResult {
+  /**
+   * @param {string} backend Name of the backend that made the call.
+   * @param {string} contentText
+   * @param {number} responseCode
+   */
+  constructor(backend, contentText, responseCode) {
+    this.backend = backend;
+    this.contentText = contentText;
+    this.responseCode = responseCode;
+  }
+
+  /** @returns {string} */
+  getBackend() {
+    return this.backend;
+  }
+
+  /** @returns {string} */
+  getContentText() {
+    return this.contentText;
+  }
+
+  /** @returns {number} */
+  getResponseCode() {
+    return this.responseCode;
+  }
+
+  /** @returns {boolean} */
+  isOk() {
+    return this.responseCode >= 200 && this.responseCode < 300;
+  }
+}
+
+/**
+ * Fetches the target URL directly with UrlFetchApp.
+ */
+class DirectFetcher {
+  /** @returns {string} */
+  getName() {
+    return "direct";
+  }
+
+  /**
+   * @param {string} targetUrl
+   * @returns {string} The URL that is actually requested.
+   */
+  buildUrl(targetUrl) {
+    return targetUrl;
+  }
+
+  /**
+   * @param {string} targetUrl
+   * @returns {Success<FetchResult>|Failure}
+   */
+  fetch(targetUrl) {
+    try {
+      const response = UrlFetchApp.fetch(this.buildUrl(targetUrl), {
+        muteHttpExceptions: true, // This is crucial!
+      });
+      return new Success(
+        new FetchResult(
+          this.getName(),
+          response.getContentText(),
+          response.getResponseCode()
+        )
+      );
+    } catch (e) {
+      // UrlFetchApp's message includes the URL, and with it the API key.
+      return new Failure(
+        ScraperApiFetcher.redact(`${e}`),
+        ErrorCategory.NETWORK
+      );
+    }
+  }
+}
+
+/**
+ * Fetches the target URL through ScraperAPI.
+ */
+class ScraperApiFetcher extends DirectFetcher {
+  /**
+   * @param {string} apiKey
+   */
+  constructor(apiKey) {
+    super();
+    this.apiKey = apiKey;
+  }
+
+  /** @returns {string} */
+  getName() {
+    return "scraperapi";
+  }
+
+  /**
+   * @param {string} targetUrl
+   * @returns {string}
+   */
+  buildUrl(targetUrl) {
+    return `http://api.scraperapi.com?api_key=${
+      this.apiKey
+    }&url=${encodeURIComponent(targetUrl)}`;
+  }
+
+  /**
+   * Masks the `api_key` of any ScraperAPI URL in a message, so that it can
+   * be written to the RunLog or emailed.
+   * @param {string} text
+   * @returns {string}
+   */
+  static redact(text) {
+    return String(text).replace(/([?&]api_key=)[^&\s'"]*/gi, "$1***");
+  }
+
+  /**
+   * @param {string} apiKey
+   * @returns {Success<ScraperApiFetcher>|Failure}
+   */
+  static fromApiKey(apiKey) {
+    if (!apiKey || apiKey.trim() === "") {
+      return new Failure("API key is missing or empty.", ErrorCategory.CONFIG);
+    }
+    return new Success(new ScraperApiFetcher(apiKey));
+  }
+}
+
+/**
+ * Fetches the target URL through a generic proxy described by a URL
+ * template, e.g. `https://proxy.example.com/fetch?url={url}`.
+ */
+class ProxyFetcher extends DirectFetcher {
+  /**
+   * @param {string} template Must contain `{url}`.
+   */
+  constructor(template) {
+    super();
+    this.template = template;
+  }
+
+  /** @returns {string} */
+  getName() {
+    return "proxy";
+  }
+
+  /**
+   * @param {string} targetUrl
+   * @returns {string}
+   */
+  buildUrl(targetUrl) {
+    return this.template.replace("{url}", encodeURIComponent(targetUrl));
+  }
+
+  /**
+   * @param {string} template
+   * @returns {Success<ProxyFetcher>|Failure}
+   */
+  static fromTemplate(template) {
+    if (!template || !template.includes("{url}")) {
+      return new Failure(
+        "Proxy URL template is missing or has no '{url}'.",
+        ErrorCategory.CONFIG
+      );
+    }
+    return new Success(new ProxyFetcher(template));
+  }
+}
+
+/**
+ * Retries temporary failures (network errors, HTTP 429 and 5XX) with
+ * exponential backoff. One policy serves every site and backend of a run,
+ * and stops retrying once the run's time budget is spent.
+ */
+class RetryPolicy {
+  /**
+   * @param {number} maxAttempts Total attempts, including the first one.
+   * @param {number} baseDelayMs Delay before the first retry.
+   * @param {number} maxDelayMs Upper bound for any single delay.
+   * @param {number} [budgetMs] No retry sleeps past this long after the
+   *     policy was created.
+   */
+  constructor(maxAttempts, baseDelayMs, maxDelayMs, budgetMs = Infinity) {
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.budgetMs = budgetMs;
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Reads `RETRY_MAX_ATTEMPTS` (default 3), `RETRY_BASE_DELAY_MS`
+   * (default 2000), `RETRY_MAX_DELAY_MS` (default 30000) and
+   * `RETRY_BUDGET_MS` (default 60000).
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @returns {RetryPolicy}
+   */
+  static fromProperties(properties) {
+    const read = (name, fallback) => {
+      const value = parseInt(properties.getProperty(name), 10);
+      return isNaN(value) || value < 0 ? fallback : value;
+    };
+    return new RetryPolicy(
+      Math.max(1, read("RETRY_MAX_ATTEMPTS", 3)),
+      read("RETRY_BASE_DELAY_MS", 2000),
+      read("RETRY_MAX_DELAY_MS", 30000),
+      read("RETRY_BUDGET_MS", 60000)
+    );
+  }
+
+  /**
+   * @param {Failure} failure
+   * @returns {boolean} Whether trying again might succeed.
+   */
+  static isTransient(failure) {
+    const category = failure.getCategory();
+    if (category === ErrorCategory.NETWORK) {
+      return true;
+    }
+    if (category === ErrorCategory.HTTP) {
+      const code = failure.getError().responseCode;
+      return code === 429 || code >= 500;
+    }
+    return false;
+  }
+
+  /**
+   * @param {number} attempt The attempt that just failed, starting at 1.
+   * @returns {number}
+   */
+  delayFor(attempt) {
+    return Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+  }
+
+  /**
+   * Runs the operation until it succeeds, fails permanently or runs out
+   * of attempts, sleeping between attempts.
+   * @param {function(): (Success|Failure)} operation
+   * @returns {Success|Failure} The last result.
+   */
+  run(operation) {
+    let result = operation();
+    for (let attempt = 1; attempt < this.maxAttempts; attempt++) {
+      if (result instanceof Success || !RetryPolicy.isTransient(result)) {
+        return result;
+      }
+      const delay = this.delayFor(attempt);
+      // Apps Script stops the whole run after 6 minutes, and every site
+      // and backend shares this policy.
+      if (Date.now() - this.startedAt + delay > this.budgetMs) {
+        Logger.log(
+          `Attempt ${attempt} failed (${result.getMessage()}); the retry budget of ${
+            this.budgetMs
+          } ms is spent.`
+        );
+        return result;
+      }
+      Logger.log(
+        `Attempt ${attempt} failed (${result.getMessage()}); retrying in ${delay} ms.`
+      );
+      Utilities.sleep(delay);
+      result = operation();
+    }
+    return result;
+  }
+}
+
+/**
+ * An ordered list of fetch backends. Each backend is tried in turn, with
+ * retries for temporary failures, until one returns a 2XX response.
+ */
+class FetcherChain {
+  /**
+   * @param {DirectFetcher[]} fetchers
+   * @param {RetryPolicy} retryPolicy
+   */
+  constructor(fetchers, retryPolicy) {
+    this.fetchers = fetchers;
+    this.retryPolicy = retryPolicy;
+  }
+
+  /** @returns {DirectFetcher[]} */
+  getFetchers() {
+    return this.fetchers;
+  }
+
+  /** @returns {RetryPolicy} */
+  getRetryPolicy() {
+    return this.retryPolicy;
+  }
+
+  /**
+   * Builds the chain from script properties:
+   * - `FETCH_BACKENDS`: comma-separated order, e.g. "scraperapi,direct"
+   *   (default). Known names are "scraperapi", "proxy" and "direct".
+   * - `SCRAPERAPI_API_KEY`: used by the "scraperapi" backend.
+   * - `PROXY_URL_TEMPLATE`: used by the "proxy" backend.
+   * Backends that are listed but not configured are skipped with a log line.
+   * Retry limits are read by RetryPolicy.fromProperties.
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @returns {Success<FetcherChain>|Failure}
+   */
+  static fromProperties(properties) {
+    const order = (
+      properties.getProperty("FETCH_BACKENDS") || FetcherChain.DEFAULT_ORDER
+    )
+      .split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter((name) => name !== "");
+
+    const fetchers = [];
+    order.forEach((name) => {
+      const fetcher = FetcherChain.createBackend(name, properties);
+      if (fetcher instanceof Failure) {
+        Logger.log(`Skipping fetch backend '${name}': ${fetcher.getMessage()}`);
+        return;
+      }
+      fetchers.push(fetcher.getValue());
+    });
+
+    if (fetchers.length === 0) {
+      return new Failure(
+        `No usable fetch backend in FETCH_BACKENDS ('${order.join(",")}').`,
+        ErrorCategory.CONFIG
+      );
+    }
+    return new Success(
+      new FetcherChain(fetchers, RetryPolicy.fromProperties(properties))
+    );
+  }
+
+  /**
+   * @param {string} name
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @returns {Success<DirectFetcher>|Failure}
+   */
+  static createBackend(name, properties) {
+    switch (name) {
+      case "direct":
+        return new Success(new DirectFetcher());
+      case "scraperapi":
+        return ScraperApiFetcher.fromApiKey(
+          properties.getProperty("SCRAPERAPI_API_KEY")
+        );
+      case "proxy":
+        return ProxyFetcher.fromTemplate(
+          properties.getProperty("PROXY_URL_TEMPLATE")
+        );
+      default:
+        return new Failure(`Unknown backend '${name}'.`, ErrorCategory.CONFIG);
+    }
+  }
+
+  /**
+   * Tries each backend in order and returns the first 2XX result.
+   * If none succeeds, the last HTTP result is returned so the caller can
+   * still archive and report it; if no backend got a response at all,
+   * a network Failure listing every backend's error is returned.
+   * @param {string} targetUrl
+   * @returns {Success<FetchResult>|Failure}
+   */
+  fetch(targetUrl) {
+    const errors = [];
+    let lastResult = null;
+
+    for (const fetcher of this.getFetchers()) {
+      const result = this.getRetryPolicy().run(() =>
+        fetcher
+          .fetch(targetUrl)
+          .bind((fetched) =>
+            fetched.isOk()
+              ? new Success(fetched)
+              : new Failure(
+                  new HttpError(fetched.getResponseCode(), fetched),
+                  ErrorCategory.HTTP
+                )
+          )
+      );
+
+      if (result instanceof Success) {
+        return result;
+      }
+      if (result.getError() instanceof HttpError) {
+        lastResult = new Success(result.getError().result);
+      }
+      errors.push(`${fetcher.getName()}: ${result.getMessage()}`);
+      Logger.log(`Fetch via '${fetcher.getName()}' failed, trying next.`);
+    }
+
+    if (lastResult) {
+      Logger.log(`All fetch backends failed: ${errors.join("; ")}`);
+      return lastResult;
+    }
+    return new Failure(
+      `All fetch backends failed: ${errors.join("; ")}`,
+      ErrorCategory.NETWORK
+    );
+  }
+}
+
+FetcherChain.DEFAULT_ORDER = "scraperapi,direct";
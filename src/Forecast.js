@@ -0,0 +1,333 @@
+/**
+ * Predicts the status of a location at a weekday and hour from the hourly
+ * Summary buckets. Sparse (location, weekday, hour) cells are smoothed
+ * toward the location's rate at that hour on any day, which is in turn
+ * smoothed toward the location's overall rate. Recent samples weigh more:
+ * a sample loses half its weight every `halfLifeDays`.
+ */
+class Forecaster {
+  /**
+   * @param {number} halfLifeDays Infinity weighs every sample the same.
+   * @param {number} priorStrength How many samples the parent rate counts
+   *     as when smoothing a cell. 0 uses the raw cell frequencies.
+   */
+  constructor(halfLifeDays, priorStrength) {
+    this.halfLifeDays = halfLifeDays;
+    this.priorStrength = priorStrength;
+  }
+
+  /**
+   * Reads `FORECAST_HALF_LIFE_DAYS` (default 28) and
+   * `FORECAST_PRIOR_STRENGTH` (default 4).
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @returns {Success<Forecaster>|Failure}
+   */
+  static fromProperties(properties) {
+    const halfLife = Number(
+      properties.getProperty("FORECAST_HALF_LIFE_DAYS") ||
+        Forecaster.DEFAULT_HALF_LIFE_DAYS
+    );
+    const prior = Number(
+      properties.getProperty("FORECAST_PRIOR_STRENGTH") ||
+        Forecaster.DEFAULT_PRIOR_STRENGTH
+    );
+    if (!(halfLife > 0) || !(prior >= 0)) {
+      return new Failure(
+        `Invalid forecast settings: half-life ${halfLife}, prior strength ${prior}.`,
+        ErrorCategory.CONFIG
+      );
+    }
+    return new Success(new Forecaster(halfLife, prior));
+  }
+
+  /**
+   * The plain frequency table the dashboard used before: every sample
+   * weighs the same and cells are not smoothed. Used as the backtest's
+   * baseline.
+   * @returns {Forecaster}
+   */
+  static baseline() {
+    return new Forecaster(Infinity, 0);
+  }
+
+  /**
+   * The label locations are shown with, e.g. "일반열람실 (2F)".
+   * @param {{floor: string, location: string}} bucket
+   * @returns {string}
+   */
+  static labelOf(bucket) {
+    return bucket.floor
+      ? `${bucket.location} (${bucket.floor})`
+      : bucket.location;
+  }
+
+  /**
+   * @param {string} date "yyyy-MM-dd".
+   * @param {number} days
+   * @returns {string} "yyyy-MM-dd".
+   */
+  static addDays(date, days) {
+    const [year, month, day] = date.split("-").map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days))
+      .toISOString()
+      .slice(0, 10);
+  }
+
+  /**
+   * @param {string} from "yyyy-MM-dd".
+   * @param {string} to "yyyy-MM-dd".
+   * @returns {number} Whole days from `from` to `to`.
+   */
+  static daysBetween(from, to) {
+    const toTime = (date) => {
+      const [year, month, day] = date.split("-").map(Number);
+      return Date.UTC(year, month - 1, day);
+    };
+    return Math.round((toTime(to) - toTime(from)) / 86400000);
+  }
+
+  /**
+   * @param {string} date "yyyy-MM-dd" of the sample.
+   * @param {string} asOf "yyyy-MM-dd" the forecast is made on.
+   * @returns {number}
+   */
+  weightFor(date, asOf) {
+    const age = Math.max(0, Forecaster.daysBetween(date, asOf));
+    return Math.pow(0.5, age / this.halfLifeDays);
+  }
+
+  /**
+   * Builds the weighted count tables from the buckets.
+   * @param {Object[]} buckets Rows from Summary.read(), or WeeklyProfile
+   *     rows built with this forecaster's half-life.
+   * @param {string} asOf "yyyy-MM-dd"; samples are weighted by their age on
+   *     this day.
+   * @returns {ForecastModel}
+   */
+  fit(buckets, asOf) {
+    const model = new ForecastModel(this.priorStrength);
+    // Profile rows are already weighted as of their last date.
+    buckets.forEach((bucket) =>
+      model.add(bucket, this.weightFor(bucket.date || bucket.lastDate, asOf))
+    );
+    return model;
+  }
+
+  /**
+   * Measures how well this forecaster predicts each of the last `weeks`
+   * weeks when trained only on the data before that week, next to the
+   * plain frequency baseline. Accuracy counts the held-out samples whose
+   * status was the predicted one; samples the baseline has no data for
+   * count as misses.
+   * @param {Object[]} buckets Rows from Summary.read(), closed hours removed.
+   * @param {number} weeks
+   * @returns {Success<Object>|Failure}
+   */
+  backtest(buckets, weeks) {
+    if (buckets.length === 0) {
+      return new Failure("No data to backtest.", ErrorCategory.CONFIG);
+    }
+    const lastDate = buckets.reduce(
+      (last, bucket) => (bucket.date > last ? bucket.date : last),
+      buckets[0].date
+    );
+    const baseline = Forecaster.baseline();
+    const report = {
+      weeks: [],
+      samples: 0,
+      accuracy: 0,
+      baselineAccuracy: 0,
+      logLoss: 0,
+    };
+
+    for (let week = weeks; week >= 1; week--) {
+      const start = Forecaster.addDays(lastDate, -7 * week + 1);
+      const end = Forecaster.addDays(start, 6);
+      const training = buckets.filter((bucket) => bucket.date < start);
+      const heldOut = buckets.filter(
+        (bucket) => bucket.date >= start && bucket.date <= end
+      );
+      if (training.length === 0 || heldOut.length === 0) continue;
+
+      const model = this.fit(training, start);
+      const baselineModel = baseline.fit(training, start);
+      const result = {
+        start: start,
+        end: end,
+        samples: 0,
+        hits: 0,
+        baselineHits: 0,
+        logLoss: 0,
+      };
+
+      heldOut.forEach((bucket) => {
+        const label = Forecaster.labelOf(bucket);
+        const forecast = model.predict(label, bucket.weekday, bucket.hour);
+        const plain = baselineModel.predict(label, bucket.weekday, bucket.hour);
+        const samples = Complexity.STATUSES.reduce(
+          (sum, status) => sum + bucket[status],
+          0
+        );
+        result.samples += samples;
+        if (forecast) {
+          result.hits += bucket[forecast.status];
+          Complexity.STATUSES.forEach((status) => {
+            result.logLoss -=
+              bucket[status] *
+              Math.log(Math.max(forecast.probabilities[status], 1e-6));
+          });
+        } else {
+          // A location never seen before: no better than a uniform guess.
+          result.logLoss += samples * Math.log(Complexity.STATUSES.length);
+        }
+        if (plain) result.baselineHits += bucket[plain.status];
+      });
+
+      report.weeks.push({
+        start: result.start,
+        end: result.end,
+        samples: result.samples,
+        accuracy: Forecaster.ratio(result.hits, result.samples),
+        baselineAccuracy: Forecaster.ratio(result.baselineHits, result.samples),
+        logLoss: Forecaster.ratio(result.logLoss, result.samples),
+      });
+      report.samples += result.samples;
+      report.accuracy += result.hits;
+      report.baselineAccuracy += result.baselineHits;
+      report.logLoss += result.logLoss;
+    }
+
+    if (report.samples === 0) {
+      return new Failure(
+        `Not enough history to hold out ${weeks} week(s).`,
+        ErrorCategory.CONFIG
+      );
+    }
+    report.accuracy = Forecaster.ratio(report.accuracy, report.samples);
+    report.baselineAccuracy = Forecaster.ratio(
+      report.baselineAccuracy,
+      report.samples
+    );
+    report.logLoss = Forecaster.ratio(report.logLoss, report.samples);
+    return new Success(report);
+  }
+
+  /**
+   * @param {number} part
+   * @param {number} whole
+   * @returns {number} Rounded to 4 decimals; 0 when `whole` is 0.
+   */
+  static ratio(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : 0;
+  }
+}
+
+Forecaster.DEFAULT_HALF_LIFE_DAYS = 28;
+
+Forecaster.DEFAULT_PRIOR_STRENGTH = 4;
+
+/**
+ * Weighted status counts per location, per (location, hour) and per
+ * (location, weekday, hour), as built by Forecaster.fit().
+ */
+class ForecastModel {
+  /**
+   * @param {number} priorStrength
+   */
+  constructor(priorStrength) {
+    this.priorStrength = priorStrength;
+    this.tables = { location: {}, hour: {}, cell: {} };
+  }
+
+  /**
+   * @param {Object} bucket A Summary bucket or WeeklyProfile row.
+   * @param {number} weight
+   */
+  add(bucket, weight) {
+    const label = Forecaster.labelOf(bucket);
+    const weighted = bucket.weighted || bucket;
+    [
+      ["location", label],
+      ["hour", `${label}|${bucket.hour}`],
+      ["cell", `${label}|${bucket.weekday}|${bucket.hour}`],
+    ].forEach(([table, key]) => {
+      if (!this.tables[table][key]) {
+        this.tables[table][key] = { weight: 0, samples: 0 };
+        Complexity.STATUSES.forEach((status) => {
+          this.tables[table][key][status] = 0;
+        });
+      }
+      const entry = this.tables[table][key];
+      Complexity.STATUSES.forEach((status) => {
+        entry[status] += weighted[status] * weight;
+        entry.weight += weighted[status] * weight;
+        entry.samples += bucket[status];
+      });
+    });
+  }
+
+  /**
+   * Status probabilities of `entry`, pulled toward `parent` by the prior
+   * strength.
+   * @param {?Object} entry
+   * @param {Object<string, number>} parent
+   * @param {number} strength
+   * @returns {Object<string, number>}
+   */
+  static smooth(entry, parent, strength) {
+    const probabilities = {};
+    const weight = entry ? entry.weight : 0;
+    Complexity.STATUSES.forEach((status) => {
+      probabilities[status] =
+        ((entry ? entry[status] : 0) + strength * parent[status]) /
+        (weight + strength);
+    });
+    return probabilities;
+  }
+
+  /**
+   * @param {string} location "name (floor)".
+   * @param {number} weekday 1=Mon ... 7=Sun.
+   * @param {number} hour 0-23.
+   * @returns {?{status: string, probability: number, samples: number, probabilities: Object<string, number>}}
+   *     null when there is no data for the location at that hour.
+   */
+  predict(location, weekday, hour) {
+    const hourEntry = this.tables.hour[`${location}|${hour}`];
+    const cell = this.tables.cell[`${location}|${weekday}|${hour}`];
+    if (!hourEntry || hourEntry.weight === 0) return null;
+
+    const uniform = {};
+    Complexity.STATUSES.forEach((status) => {
+      uniform[status] = 1 / Complexity.STATUSES.length;
+    });
+
+    let probabilities;
+    if (this.priorStrength === 0) {
+      if (!cell || cell.weight === 0) return null;
+      probabilities = ForecastModel.smooth(cell, uniform, 0);
+    } else {
+      const overall = ForecastModel.smooth(
+        this.tables.location[location],
+        uniform,
+        1
+      );
+      const hourly = ForecastModel.smooth(
+        hourEntry,
+        overall,
+        this.priorStrength
+      );
+      probabilities = ForecastModel.smooth(cell, hourly, this.priorStrength);
+    }
+
+    const status = Complexity.STATUSES.reduce((best, candidate) =>
+      probabilities[candidate] > probabilities[best] ? candidate : best
+    );
+    return {
+      status: status,
+      probability: probabilities[status],
+      samples: cell ? cell.samples : 0,
+      probabilities: probabilities,
+    };
+  }
+}
@@ -32,21 +32,153 @@ class Success {
     }
   }
 
+  /**
+   * Runs a side effect (e.g. logging) with the value and passes this
+   * result on. An exception in the side effect becomes a Failure.
+   * @param {function(any): *} fn
+   * @returns {Success|Failure}
+   */
+  tap(fn) {
+    return this.map((value) => {
+      fn(value);
+      return value;
+    });
+  }
+
+  /**
+   * Skips the side effect for failures.
+   * @returns {Success}
+   */
+  tapError(fn) {
+    return this;
+  }
+
+  /**
+   * Skips the error transformation.
+   * @returns {Success}
+   */
+  mapError(fn) {
+    return this;
+  }
+
+  /**
+   * Skips the fallback.
+   * @returns {Success}
+   */
+  orElse(fn) {
+    return this;
+  }
+
+  /**
+   * Skips the recovery.
+   * @returns {Success}
+   */
+  recover(fn) {
+    return this;
+  }
+
+  /**
+   * Successes have no context to add.
+   * @returns {Success}
+   */
+  withContext(context) {
+    return this;
+  }
+
+  /**
+   * Collapses the result into a plain value.
+   * @param {function(any): *} onSuccess
+   * @param {function(Failure): *} onFailure
+   * @returns {*} What onSuccess returned.
+   */
+  fold(onSuccess, onFailure) {
+    return onSuccess(this.value);
+  }
+
+  /**
+   * `fold` with named branches.
+   * @param {{success: function(any): *, failure: function(Failure): *}} branches
+   * @returns {*}
+   */
+  match(branches) {
+    return this.fold(branches.success, branches.failure);
+  }
+
+  /** @returns {boolean} */
+  isSuccess() {
+    return true;
+  }
+
+  /** @returns {boolean} */
+  isFailure() {
+    return false;
+  }
+
   /**
    * Helper to get the value.
    */
   getValue() {
     return this.value;
   }
+
+  /**
+   * @param {*} fallback
+   * @returns {*} The value.
+   */
+  getOrElse(fallback) {
+    return this.value;
+  }
+}
+
+/**
+ * Where in the pipeline a Failure came from, so logs and alerts can tell
+ * "site down" (network/http) apart from "we broke the parser" (parse).
+ */
+const ErrorCategory = {
+  CONFIG: "config",
+  SCHEDULE: "schedule",
+  NETWORK: "network",
+  HTTP: "http",
+  PARSE: "parse",
+  STORAGE: "storage",
+  AUTH: "auth",
+  LOCK: "lock",
+  UNKNOWN: "unknown",
+};
+
+/**
+ * Error for a non-2XX HTTP response.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} responseCode
+   * @param {*} [result] The response that carried the code, if any.
+   */
+  constructor(responseCode, result) {
+    super(`Response code was ${responseCode}, not 2XX.`);
+    this.name = "HttpError";
+    this.responseCode = responseCode;
+    this.result = result === undefined ? null : result;
+  }
 }
 
 /**
- * A container for a failed operation's error.
+ * A container for a failed operation's error, with where it happened: the
+ * error category and, once a pipeline step has seen it, the step's name.
+ * The original error is kept as the cause, so `instanceof` checks on
+ * `getError()` (HttpError, LayoutDriftError, ...) keep working.
  */
 class Failure {
-  constructor(error) {
+  /**
+   * @param {string|Error} error
+   * @param {string} [category] One of the ErrorCategory values.
+   * @param {?string} [step] The pipeline step that failed.
+   */
+  constructor(error, category, step = null) {
     // Store the error (string or Error object)
     this.error = error;
+    this.category = category || (error && error.category) || null;
+    this.step = step;
   }
 
   /**
@@ -65,6 +197,112 @@ class Failure {
     return this;
   }
 
+  /**
+   * Skips the side effect for successes.
+   * @returns {Failure}
+   */
+  tap(fn) {
+    return this;
+  }
+
+  /**
+   * Runs a side effect (e.g. logging) with this failure and passes it on.
+   * @param {function(Failure): *} fn
+   * @returns {Failure}
+   */
+  tapError(fn) {
+    fn(this);
+    return this;
+  }
+
+  /**
+   * Replaces the error, keeping the category and step unless the new error
+   * carries its own category.
+   * @param {function((string|Error)): (string|Error)} fn
+   * @returns {Failure}
+   */
+  mapError(fn) {
+    const error = fn(this.error);
+    return new Failure(
+      error,
+      (error && error.category) || this.category,
+      this.step
+    );
+  }
+
+  /**
+   * Tries an alternative that may fail too.
+   * @param {function(Failure): (Success|Failure)} fn
+   * @returns {Success|Failure}
+   */
+  orElse(fn) {
+    try {
+      return fn(this);
+    } catch (e) {
+      return new Failure(e);
+    }
+  }
+
+  /**
+   * Turns the failure into a Success with a fallback value.
+   * @param {function(Failure): any} fn
+   * @returns {Success|Failure}
+   */
+  recover(fn) {
+    return this.orElse((failure) => new Success(fn(failure)));
+  }
+
+  /**
+   * Adds where the failure happened. A step or category that is already
+   * set is kept, so the innermost step wins.
+   * @param {{step?: string, category?: string}} context
+   * @returns {Failure}
+   */
+  withContext(context) {
+    return new Failure(
+      this.error,
+      this.category || context.category,
+      this.step || context.step || null
+    );
+  }
+
+  /**
+   * Collapses the result into a plain value.
+   * @param {function(any): *} onSuccess
+   * @param {function(Failure): *} onFailure
+   * @returns {*} What onFailure returned.
+   */
+  fold(onSuccess, onFailure) {
+    return onFailure(this);
+  }
+
+  /**
+   * `fold` with named branches.
+   * @param {{success: function(any): *, failure: function(Failure): *}} branches
+   * @returns {*}
+   */
+  match(branches) {
+    return this.fold(branches.success, branches.failure);
+  }
+
+  /** @returns {boolean} */
+  isSuccess() {
+    return false;
+  }
+
+  /** @returns {boolean} */
+  isFailure() {
+    return true;
+  }
+
+  /**
+   * @param {*} fallback
+   * @returns {*} The fallback.
+   */
+  getOrElse(fallback) {
+    return fallback;
+  }
+
   /**
    * Helper to get the error message.
    */
@@ -78,16 +316,105 @@ class Failure {
   getError() {
     return this.error;
   }
+
+  /**
+   * The underlying error when it is an Error object, e.g. an HttpError.
+   * @returns {?Error}
+   */
+  getCause() {
+    return this.error instanceof Error ? this.error : null;
+  }
+
+  /**
+   * Helper to get the error category.
+   * @returns {string} One of the ErrorCategory values.
+   */
+  getCategory() {
+    return this.category || ErrorCategory.UNKNOWN;
+  }
+
+  /**
+   * The pipeline step that failed, if known.
+   * @returns {?string}
+   */
+  getStep() {
+    return this.step;
+  }
+
+  /**
+   * A plain description for logs and sheets.
+   * @returns {{step: ?string, category: string, message: string, cause: ?string}}
+   */
+  toObject() {
+    const cause = this.getCause();
+    return {
+      step: this.step,
+      category: this.getCategory(),
+      message: this.getMessage(),
+      cause: cause ? cause.name : null,
+    };
+  }
+}
+
+/**
+ * Helpers for creating and collecting Success/Failure results.
+ */
+class Result {
+  /**
+   * Runs a function and wraps what it returns, or what it throws.
+   * @param {function(): any} fn
+   * @param {string} [category] For a thrown error.
+   * @param {string} [step]
+   * @returns {Success|Failure}
+   */
+  static fromTry(fn, category, step) {
+    try {
+      return new Success(fn());
+    } catch (e) {
+      return new Failure(e, category, step);
+    }
+  }
+
+  /**
+   * All values in order, or the first failure.
+   * @param {Array<Success|Failure>} results
+   * @returns {Success<Array<any>>|Failure}
+   */
+  static all(results) {
+    const values = [];
+    for (const result of results) {
+      if (result.isFailure()) return result;
+      values.push(result.getValue());
+    }
+    return new Success(values);
+  }
+
+  /**
+   * Like `all`, for named results: `{sheet: Success(s), rows: Success(r)}`
+   * becomes `Success({sheet: s, rows: r})`.
+   * @param {Object<string, (Success|Failure)>} results
+   * @returns {Success<Object<string, any>>|Failure}
+   */
+  static combine(results) {
+    const keys = Object.keys(results);
+    return Result.all(keys.map((key) => results[key])).map((values) => {
+      const combined = {};
+      keys.forEach((key, i) => {
+        combined[key] = values[i];
+      });
+      return combined;
+    });
+  }
 }
 
 class ScraperAPI {
   // **IMPROVEMENT 1: Store all time info on the instance**
-  constructor(timestamp, dayOfWeek, hourOfDay, url, apiKey) {
+  constructor(timestamp, dayOfWeek, hourOfDay, url, fetchers) {
     this.timestamp = timestamp;
     this.dayOfWeek = dayOfWeek;
     this.hourOfDay = hourOfDay;
     this.url = url;
-    this.apiKey = apiKey;
+    this.fetchers = fetchers;
   }
 
   getTimestamp() {
@@ -106,51 +433,56 @@ class ScraperAPI {
     return this.url;
   }
 
-  getApiKey() {
-    return this.apiKey;
+  /** @returns {FetcherChain} */
+  getFetchers() {
+    return this.fetchers;
   }
 
   /**
+   * @param {string} url
+   * @param {FetcherChain} fetchers The backends to fetch the URL with.
    * @returns {Success<ScraperAPI>|Failure}
    */
-  static fromApiKey(url, apiKey) {
+  static fromFetchers(url, fetchers) {
     // **IMPROVEMENT 2: Get all time info at once**
     const { timestamp, dayOfWeek, hourOfDay } = ScraperAPI.getTime();
 
-    if (!apiKey || apiKey.trim() === "") {
-      return new Failure("API key is missing or empty.");
-    }
     if (!url || url.trim() === "") {
-      return new Failure("URL is missing or empty.");
+      return new Failure("URL is missing or empty.", ErrorCategory.CONFIG);
     }
 
     // **Pass all time info to the constructor**
     return new Success(
-      new ScraperAPI(timestamp, dayOfWeek, hourOfDay, url, apiKey)
+      new ScraperAPI(timestamp, dayOfWeek, hourOfDay, url, fetchers)
     );
   }
 
+  /**
+   * KST calendar date of this run.
+   * @returns {string} "yyyy-MM-dd"
+   */
+  getDate() {
+    return this.timestamp.slice(0, 10);
+  }
+
   /**
    * **IMPROVEMENT 3: Use instance properties and simplify logic**
+   * @param {Schedule} schedule The library's operating calendar.
    * @returns {Success<ScraperAPI>|Failure}
    */
-  hasValidTime() {
+  hasValidTime(schedule) {
     // **Get time info from 'this' instead of calling getTime() again**
     const { dayOfWeek, hourOfDay } = this;
+    const date = this.getDate();
 
-    const isWeekday = dayOfWeek >= 1 && dayOfWeek <= 5;
-    const isWeekdayTime = isWeekday && hourOfDay >= 9 && hourOfDay <= 21;
-
-    const isWeekend = dayOfWeek === 6 || dayOfWeek === 7;
-    const isWeekendTime = isWeekend && hourOfDay >= 9 && hourOfDay <= 17;
-
-    // **Flattened boolean logic is easier to read**
-    if (isWeekdayTime || isWeekendTime) {
+    if (schedule.isOpen(date, dayOfWeek, hourOfDay)) {
       return new Success(this);
     }
 
+    const { reason } = schedule.getHoursOn(date, dayOfWeek);
     return new Failure(
-      `Outside of scheduled KST hours (Day: ${dayOfWeek}, Hour: ${hourOfDay}).`
+      `Outside of scheduled KST hours (${reason}; Date: ${date}, Day: ${dayOfWeek}, Hour: ${hourOfDay}).`,
+      ErrorCategory.SCHEDULE
     );
   }
 
@@ -182,6 +514,7 @@ class Response {
     this.timestamp = timestamp;
     this.contentText = contentText;
     this.responseCode = responseCode;
+    this.snapshotId = null;
   }
 
   /** @returns {string} */
@@ -199,6 +532,24 @@ class Response {
     return this.responseCode;
   }
 
+  /**
+   * Drive file ID of the archived HTML snapshot, if the page was stored.
+   * @returns {string|null}
+   */
+  getSnapshotId() {
+    return this.snapshotId;
+  }
+
+  /**
+   * Records the Drive file ID of the stored snapshot of this response.
+   * @param {string} snapshotId
+   * @returns {Response}
+   */
+  withSnapshotId(snapshotId) {
+    this.snapshotId = snapshotId;
+    return this;
+  }
+
   /**
    * Checks response code and returns self in a Success or a Failure.
    * @returns {Success<Response>|Failure}
@@ -210,38 +561,51 @@ class Response {
     if (code >= 200 && code < 300) {
       return new Success(this);
     }
-    return new Failure(`Response code was ${code}, not 2XX.`);
+    return new Failure(new HttpError(code), ErrorCategory.HTTP);
   }
 
   /**
-   * Fetches the URL and returns a monadic result.
+   * Fetches the URL through the configured backends and returns a monadic result.
    * @param {ScraperAPI} scraperapi
    * @returns {Success<Response>|Failure}
    */
   static fromScraperAPI(scraperapi) {
     const timestamp = scraperapi.getTimestamp();
-    const apiKey = scraperapi.getApiKey();
-    const targetUrl = scraperapi.getUrl();
 
-    try {
-      const apiUrl = `http://api.scraperapi.com?api_key=${apiKey}&url=${encodeURIComponent(
-        targetUrl
-      )}`;
-
-      const response = UrlFetchApp.fetch(apiUrl, {
-        muteHttpExceptions: true, // This is crucial!
+    return scraperapi
+      .getFetchers()
+      .fetch(scraperapi.getUrl())
+      .map((result) => {
+        Logger.log(
+          `Fetched via '${result.getBackend()}' (HTTP ${result.getResponseCode()}).`
+        );
+        return new Response(
+          timestamp,
+          result.getContentText(),
+          result.getResponseCode()
+        );
       });
+  }
+}
 
-      return new Success(
-        new Response(
-          timestamp,
-          response.getContentText(),
-          response.getResponseCode()
-        )
-      );
-    } catch (e) {
-      return new Failure(e); // Pass the whole error
-    }
+/**
+ * Error raised when the traffic page no longer has the markup we parse.
+ * Carries what the parser expected and what it actually found, so a
+ * site redesign shows up as a clear "layout drift" instead of "no data".
+ */
+class LayoutDriftError extends Error {
+  /**
+   * @param {Object<string, string>} expected
+   * @param {Object<string, (number|string[])>} found
+   */
+  constructor(expected, found) {
+    const details = Object.keys(expected)
+      .map((key) => `${key}: expected ${expected[key]}, found ${found[key]}`)
+      .join("; ");
+    super(`Layout drift detected (${details})`);
+    this.name = "LayoutDriftError";
+    this.expected = expected;
+    this.found = found;
   }
 }
 
@@ -254,12 +618,30 @@ class Complexity {
    * @param {string} floor
    * @param {string} location
    * @param {string} status
+   * @param {number|null} severity The N in the `situN` class, if present.
+   * @param {string|null} snapshotId Drive file ID of the source HTML.
+   * @param {number|null} [occupied] Seats taken or visitors present, when
+   *     the page shows a count next to the status.
+   * @param {number|null} [capacity] Total seats, when the page shows one.
    */
-  constructor(timestamp, floor, location, status) {
+  constructor(
+    timestamp,
+    floor,
+    location,
+    status,
+    severity,
+    snapshotId,
+    occupied = null,
+    capacity = null
+  ) {
     this.timestamp = timestamp;
     this.floor = floor;
     this.location = location;
     this.status = status;
+    this.severity = severity === undefined ? null : severity;
+    this.snapshotId = snapshotId || null;
+    this.occupied = occupied;
+    this.capacity = capacity;
   }
 
   /**
@@ -295,42 +677,423 @@ class Complexity {
   }
 
   /**
-   * Parses the contents and returns complexity list in a Success or Failure
+   * Helper to get the severity level.
+   * @returns {number|null}
+   */
+  getSeverity() {
+    return this.severity;
+  }
+
+  /**
+   * Helper to get the Drive file ID of the snapshot this row came from.
+   * @returns {string|null}
+   */
+  getSnapshotId() {
+    return this.snapshotId;
+  }
+
+  /**
+   * Helper to get the number of seats taken or visitors present.
+   * @returns {number|null}
+   */
+  getOccupied() {
+    return this.occupied;
+  }
+
+  /**
+   * Helper to get the number of seats.
+   * @returns {number|null}
+   */
+  getCapacity() {
+    return this.capacity;
+  }
+
+  /**
+   * Finds an occupancy figure such as "32/120", "32/120석" or "45명" in a
+   * pin's text and returns it together with the text that is left, which
+   * is the location name. Empty brackets left behind are dropped, so
+   * "열람실 (32/120)" gives "열람실".
+   * @param {string} text The pin's text without the status.
+   * @param {RegExp} pattern Group 1 is the count, group 2 the capacity.
+   * @returns {{location: string, occupied: ?number, capacity: ?number}}
+   */
+  static parseOccupancy(text, pattern) {
+    const match = pattern.exec(text);
+    if (!match) {
+      return { location: text, occupied: null, capacity: null };
+    }
+    const toNumber = (value) =>
+      value === undefined ? null : parseInt(value.replace(/,/g, ""), 10);
+    const location = (
+      text.slice(0, match.index) + text.slice(match.index + match[0].length)
+    )
+      .replace(/\(\s*\)|\[\s*\]/g, "")
+      .replace(/\s+/g, " ")
+      .trim();
+    return {
+      location: location,
+      occupied: toNumber(match[1]),
+      capacity: toNumber(match[2]),
+    };
+  }
+
+  /**
+   * Converts a "yyyy-MM-dd_HH-mm-ss" KST timestamp to a Date.
+   * Dates are returned unchanged; anything unparseable gives null.
+   * @param {string|Date} timestamp
+   * @returns {Date|null}
+   */
+  static parseTimestamp(timestamp) {
+    if (timestamp instanceof Date) {
+      return timestamp;
+    }
+    try {
+      return Utilities.parseDate(
+        String(timestamp),
+        Complexity.TIME_ZONE,
+        Complexity.TIMESTAMP_FORMAT
+      );
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Converts a Date back to the "yyyy-MM-dd_HH-mm-ss" KST form.
+   * Strings are returned unchanged.
+   * @param {string|Date} timestamp
+   * @returns {string}
+   */
+  static formatTimestamp(timestamp) {
+    if (!(timestamp instanceof Date)) {
+      return String(timestamp);
+    }
+    return Utilities.formatDate(
+      timestamp,
+      Complexity.TIME_ZONE,
+      Complexity.TIMESTAMP_FORMAT
+    );
+  }
+
+  /**
+   * Parses the contents and returns complexity list in a Success or Failure.
+   * Partial layout drift is only logged; see parse() to act on it.
    * @param {Response} response
+   * @param {ParserProfile} [profile] Defaults to the Sejong markup.
    * @returns {Success<Complexity[]>|Failure}
    */
-  static fromResponse(response) {
+  static fromResponse(response, profile = ParserProfile.PROFILES.sejong) {
+    return Complexity.parse(response, profile).map(({ rows }) => rows);
+  }
+
+  /**
+   * Parses the contents into complexities, and reports partial drift.
+   *
+   * Walks the HTML tree in document order: every `.f_num` sets the current
+   * floor, and every `p.map_pin` after it is a location on that floor. This
+   * keeps working if wrapper divs are added or attributes are reordered.
+   * A seat or visitor count shown in the pin is split off the location
+   * name (see parseOccupancy). Other sites with similar pages can use different class names through
+   * a ParserProfile.
+   *
+   * No parsable pin at all is a PARSE Failure. Pins that couldn't be read
+   * or unknown statuses next to ones that could are partial drift: the
+   * rows that parsed are kept and `drift` describes the rest.
+   * @param {Response} response
+   * @param {ParserProfile} [profile] Defaults to the Sejong markup.
+   * @returns {Success<{rows: Complexity[], drift: ?LayoutDriftError}>|Failure}
+   */
+  static parse(response, profile = ParserProfile.PROFILES.sejong) {
     const contentText = response.getContentText();
     if (!contentText) {
-      return new Failure("No content in the response");
+      return new Failure("No content in the response", ErrorCategory.PARSE);
     }
 
     const timestamp = response.getTimestamp();
+    const snapshotId = response.getSnapshotId();
+    const floorClass = profile.getFloorClass();
+    const pinClass = profile.getPinClass();
+    const severityPattern = profile.getSeverityPattern();
+    const countPattern = profile.getCountPattern();
+    const document = HtmlParser.parse(contentText);
+    const nodes = document.findAll(
+      (node) => node.hasClass(floorClass) || node.hasClass(pinClass)
+    );
+
     let results = [];
+    let floorNum = null;
+    let floorCount = 0;
+    let pinCount = 0;
+    let pinsWithoutFloor = 0;
+    const unparsedPins = [];
+    const unknownStatuses = [];
 
-    const floorRegex =
-      /<div class="floor_info">\s*<div class="f_num">([\w\d]+)<\/div>\s*<\/div>\s*<div class="floor_img">([\s\S]*?)<\/div>/g;
-    const locationRegex =
-      /<p class="map_pin"[\s\S]*?<span class='situ\d'>(.*?)<\/span>(.*?)<\/p>/g;
+    nodes.forEach((node) => {
+      if (node.hasClass(floorClass)) {
+        floorNum = node.getText();
+        floorCount++;
+        return;
+      }
 
-    let floorMatch;
-    while ((floorMatch = floorRegex.exec(contentText)) !== null) {
-      const floorNum = floorMatch[1].trim();
-      const imgContent = floorMatch[2];
+      pinCount++;
+      const statusNode = node.find((child) =>
+        child.getClasses().some((c) => severityPattern.test(c))
+      );
+      const { location, occupied, capacity } = Complexity.parseOccupancy(
+        node.getTextExcluding(statusNode ? [statusNode] : []),
+        countPattern
+      );
 
-      let locMatch;
-      while ((locMatch = locationRegex.exec(imgContent)) !== null) {
-        const status = locMatch[1].trim();
-        const location = locMatch[2].trim();
+      if (!statusNode || !location) {
+        unparsedPins.push(node.getText() || "(empty pin)");
+        return;
+      }
+      if (floorNum === null) {
+        pinsWithoutFloor++;
+        return;
+      }
 
-        results.push(new Complexity(timestamp, floorNum, location, status));
+      const status = statusNode.getText();
+      if (!Complexity.STATUSES.includes(status)) {
+        unknownStatuses.push(status);
       }
+      const severityClass = statusNode
+        .getClasses()
+        .find((c) => severityPattern.test(c));
+      const severity = parseInt(severityPattern.exec(severityClass)[1], 10);
+
+      results.push(
+        new Complexity(
+          timestamp,
+          floorNum,
+          location,
+          status,
+          severity,
+          snapshotId,
+          occupied,
+          capacity
+        )
+      );
+    });
+
+    const expected = {
+      floors: `at least one '.${floorClass}' element`,
+      pins: `at least one '.${pinClass}' element after a floor`,
+      statuses: `a child with a class matching ${severityPattern} containing one of ${Complexity.STATUSES.join(
+        "/"
+      )}`,
+    };
+    const found = {
+      floors: floorCount,
+      pins: pinCount - pinsWithoutFloor,
+      statuses:
+        unparsedPins.length + unknownStatuses.length === 0
+          ? "all recognized"
+          : `${unparsedPins.length} unparsed pin(s) [${unparsedPins.join(
+              ", "
+            )}], unknown status(es) [${unknownStatuses.join(", ")}]`,
+    };
+
+    if (results.length === 0) {
+      return new Failure(
+        new LayoutDriftError(expected, found),
+        ErrorCategory.PARSE
+      );
+    }
+    let drift = null;
+    if (unparsedPins.length > 0 || unknownStatuses.length > 0) {
+      // Partial drift: keep what we could parse but make it visible.
+      drift = new LayoutDriftError(expected, found);
+      Logger.log(`Warning: ${drift.message}`);
     }
+    return new Success({ rows: results, drift: drift });
+  }
+}
 
-    if (results.length > 0) {
-      return new Success(results);
+/** Time zone of the library, used for every timestamp. */
+Complexity.TIME_ZONE = "Asia/Seoul";
+
+/** Format of the timestamp strings used in snapshot file names. */
+Complexity.TIMESTAMP_FORMAT = "yyyy-MM-dd_HH-mm-ss";
+
+/** Status labels shown on the traffic page, from least to most congested. */
+Complexity.STATUSES = ["원활", "보통", "혼잡"];
+
+/**
+ * A raw HTML page archived to Drive.
+ */
+class Snapshot {
+  /**
+   * @param {string} id Drive file ID.
+   * @param {string} name File name.
+   */
+  constructor(id, name) {
+    this.id = id;
+    this.name = name;
+  }
+
+  /** @returns {string} */
+  getId() {
+    return this.id;
+  }
+
+  /** @returns {string} */
+  getName() {
+    return this.name;
+  }
+
+  /**
+   * Builds the documented file name for a response, e.g.
+   * `2025-11-05_12-30-01_PageContent_Code-200.html`.
+   * @param {Response} response
+   * @returns {string}
+   */
+  static fileNameFor(response) {
+    return `${response.getTimestamp()}_PageContent_Code-${response.getResponseCode()}.html`;
+  }
+
+  /**
+   * Rebuilds the Response an archived file was saved from, taking the
+   * timestamp and response code from its file name.
+   * @param {GoogleAppsScript.Drive.File} file
+   * @returns {Success<Response>|Failure}
+   */
+  static toResponse(file) {
+    const name = file.getName();
+    const match = Snapshot.FILE_NAME.exec(name);
+    if (!match) {
+      return new Failure(
+        `'${name}' is not a snapshot file name.`,
+        ErrorCategory.PARSE
+      );
+    }
+
+    try {
+      const response = new Response(
+        match[1],
+        file.getBlob().getDataAsString("UTF-8"),
+        parseInt(match[2], 10)
+      );
+      return new Success(response.withSnapshotId(file.getId()));
+    } catch (e) {
+      return new Failure(
+        `Error in 'toResponse' for '${name}': ${e}`,
+        ErrorCategory.STORAGE
+      );
+    }
+  }
+}
+
+/** Matches `<timestamp>_PageContent_Code-<code>.html`. */
+Snapshot.FILE_NAME =
+  /^(\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2})_PageContent_Code-(\d+)\.html$/;
+
+/**
+ * Stores raw HTML responses in a Drive folder so they can be re-parsed later.
+ */
+class SnapshotStore {
+  /**
+   * @param {GoogleAppsScript.Drive.Folder} folder
+   */
+  constructor(folder) {
+    this.folder = folder;
+  }
+
+  getFolder() {
+    return this.folder;
+  }
+
+  /**
+   * Finds the folder by name in the Drive root, creating it if needed.
+   * @param {string} folderName
+   * @returns {Success<SnapshotStore>|Failure}
+   */
+  static fromFolderName(folderName) {
+    try {
+      const folders = DriveApp.getRootFolder().getFoldersByName(folderName);
+      if (folders.hasNext()) {
+        Logger.log(`Found existing snapshot folder: '${folderName}'.`);
+        return new Success(new SnapshotStore(folders.next()));
+      }
+
+      Logger.log(`Snapshot folder '${folderName}' not found. Creating...`);
+      return new Success(
+        new SnapshotStore(DriveApp.getRootFolder().createFolder(folderName))
+      );
+    } catch (e) {
+      return new Failure(
+        `Error in 'fromFolderName': ${e}`,
+        ErrorCategory.STORAGE
+      );
+    }
+  }
+
+  /**
+   * Writes the response's content text to the folder as an HTML file.
+   * @param {Response} response
+   * @returns {Success<Snapshot>|Failure}
+   */
+  save(response) {
+    try {
+      const name = Snapshot.fileNameFor(response);
+      const file = this.getFolder().createFile(
+        name,
+        response.getContentText() || "",
+        MimeType.HTML
+      );
+      Logger.log(`Saved snapshot '${name}' (${file.getId()}).`);
+      return new Success(new Snapshot(file.getId(), name));
+    } catch (e) {
+      return new Failure(`Error in 'save': ${e}`, ErrorCategory.STORAGE);
+    }
+  }
+
+  /**
+   * Lists the archived files in the folder, oldest first.
+   * @returns {Success<GoogleAppsScript.Drive.File[]>|Failure}
+   */
+  listFiles() {
+    try {
+      const files = [];
+      const iterator = this.getFolder().getFiles();
+      while (iterator.hasNext()) {
+        const file = iterator.next();
+        if (Snapshot.FILE_NAME.test(file.getName())) {
+          files.push(file);
+        }
+      }
+      files.sort((a, b) => (a.getName() < b.getName() ? -1 : 1));
+      return new Success(files);
+    } catch (e) {
+      return new Failure(`Error in 'listFiles': ${e}`, ErrorCategory.STORAGE);
+    }
+  }
+
+  /**
+   * Looks up an archived file by ID. Only snapshot files inside this
+   * folder are returned, so callers can't read arbitrary Drive files.
+   * @param {string} id
+   * @returns {Success<GoogleAppsScript.Drive.File>|Failure}
+   */
+  getFile(id) {
+    try {
+      const file = DriveApp.getFileById(id);
+      const folderId = this.getFolder().getId();
+      const parents = file.getParents();
+      let inFolder = false;
+      while (parents.hasNext()) {
+        if (parents.next().getId() === folderId) inFolder = true;
+      }
+      if (!inFolder || !Snapshot.FILE_NAME.test(file.getName())) {
+        return new Failure(
+          `'${id}' is not an archived snapshot.`,
+          ErrorCategory.STORAGE
+        );
+      }
+      return new Success(file);
+    } catch (e) {
+      return new Failure(`Error in 'getFile': ${e}`, ErrorCategory.STORAGE);
     }
-    return new Failure("No complexity data found in the content");
   }
 }
 
@@ -355,13 +1118,14 @@ class MySheet {
    * This is much cleaner and perfectly follows your monadic pattern.
    * @param {*} fileName
    * @param {*} sheetName
+   * @param {string[]} [header] Column names; defaults to the Complexity layout.
    * @returns {Success<MySheet>|Failure}
    */
-  static fromNames(fileName, sheetName) {
+  static fromNames(fileName, sheetName, header = MySheet.HEADER) {
     return MySheet.fromFileName(fileName, "").bind((mySheet) => {
       // The value from the Success is 'mySheet'.
       // We get its spreadsheet and pass it to the next step in the chain.
-      return MySheet.fromSheetName(mySheet.getSpreadsheet(), sheetName);
+      return MySheet.fromSheetName(mySheet.getSpreadsheet(), sheetName, header);
     });
   }
 
@@ -393,7 +1157,7 @@ class MySheet {
       // **Pass the Spreadsheet object**
       return new Success(new MySheet(file, sheet));
     } catch (e) {
-      return new Failure(`Error in 'getFileId': ${e}`);
+      return new Failure(`Error in 'getFileId': ${e}`, ErrorCategory.STORAGE);
     }
   }
 
@@ -401,9 +1165,10 @@ class MySheet {
    * **IMPROVEMENT 4: Simplified header logic**
    * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet
    * @param {string} sheetName
+   * @param {string[]} [header] Column names; defaults to the Complexity layout.
    * @returns {Success<MySheet>|Failure}
    */
-  static fromSheetName(spreadsheet, sheetName) {
+  static fromSheetName(spreadsheet, sheetName, header = MySheet.HEADER) {
     try {
       let sheet = spreadsheet.getSheetByName(sheetName);
 
@@ -411,15 +1176,33 @@ class MySheet {
         Logger.log("Sheet '" + sheetName + "' not found. Creating...");
         sheet = spreadsheet.insertSheet(sheetName);
         // **Header logic is now cleaner**
-        sheet.appendRow(["Timestamp", "Location", "Status"]);
+        sheet.appendRow(header);
         Logger.log("Created new sheet and added header.");
       } else if (sheet.getLastRow() === 0) {
         Logger.log(
           "Sheet '" + sheetName + "' exists but is empty. Adding header."
         );
-        sheet.appendRow(["Timestamp", "Location", "Status"]);
+        sheet.appendRow(header);
       } else {
         Logger.log("Found existing sheet: " + sheetName);
+        const headerRange = sheet.getRange(1, 1, 1, header.length);
+        const current = headerRange.getValues()[0];
+
+        if (header === MySheet.HEADER && MySheet.isLegacyHeader(current)) {
+          return new Failure(
+            `Sheet '${sheetName}' still uses schema v1. Run 'clasp run migrateComplexitySchema' first.`,
+            ErrorCategory.CONFIG
+          );
+        }
+
+        // Sheets created before a column was added lack its header.
+        const isPrefix = current.every(
+          (cell, i) => cell === "" || cell === header[i]
+        );
+        if (isPrefix && current.some((cell) => cell === "")) {
+          headerRange.setValues([header]);
+          Logger.log("Updated header to: " + header.join(", "));
+        }
       }
 
       if (sheetName !== "Sheet1") {
@@ -432,24 +1215,171 @@ class MySheet {
       // **Pass the full spreadsheet object, not just its ID**
       return new Success(new MySheet(spreadsheet, sheet));
     } catch (e) {
-      return new Failure(`Error in 'getSheet' ${e}`);
+      return new Failure(`Error in 'getSheet' ${e}`, ErrorCategory.STORAGE);
+    }
+  }
+
+  /**
+   * Timestamps already present in the first column, as
+   * "yyyy-MM-dd_HH-mm-ss" KST strings.
+   * @returns {Success<Set<string>>|Failure}
+   */
+  getTimestamps() {
+    try {
+      const sheet = this.getSheet();
+      if (sheet.getLastRow() < 2) {
+        return new Success(new Set());
+      }
+      const values = sheet
+        .getRange(2, 1, sheet.getLastRow() - 1, 1)
+        .getValues();
+      return new Success(
+        new Set(values.map((row) => Complexity.formatTimestamp(row[0])))
+      );
+    } catch (e) {
+      return new Failure(
+        `Error in 'getTimestamps': ${e}`,
+        ErrorCategory.STORAGE
+      );
+    }
+  }
+
+  /**
+   * Every data row below the header, in the MySheet.HEADER layout.
+   * @returns {Success<Array<Array<*>>>|Failure}
+   */
+  getRows() {
+    try {
+      const sheet = this.getSheet();
+      if (sheet.getLastRow() < 2) {
+        return new Success([]);
+      }
+      return new Success(
+        sheet
+          .getRange(2, 1, sheet.getLastRow() - 1, MySheet.HEADER.length)
+          .getValues()
+      );
+    } catch (e) {
+      return new Failure(`Error in 'getRows': ${e}`, ErrorCategory.STORAGE);
     }
   }
 
-  // ... saveFrom ... (This function is already correct from the fix)
   /**
-   * Appends the complexity data to the sheet.
-   * @param {Success<Complexity[]>|Failure} complexityResult
+   * Replaces every data row below the header with `rows`.
+   * @param {Array<Array<*>>} rows Rows in the MySheet.HEADER layout.
    * @returns {Success<MySheet>|Failure}
    */
-  saveFrom(complexityResult) {
+  replaceRows(rows) {
     try {
-      if (complexityResult instanceof Failure) {
-        Logger.log(`Skipping save: ${complexityResult.getMessage()}`);
-        return new Failure(complexityResult.getError()); // Propagate the error
+      const sheet = this.getSheet();
+      if (sheet.getLastRow() > 1) {
+        sheet
+          .getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn())
+          .clearContent();
       }
+      for (let i = 0; i < rows.length; i += MySheet.WRITE_BATCH) {
+        const batch = rows.slice(i, i + MySheet.WRITE_BATCH);
+        sheet
+          .getRange(i + 2, 1, batch.length, MySheet.HEADER.length)
+          .setValues(batch);
+      }
+      return new Success(this);
+    } catch (e) {
+      return new Failure(`Error in 'replaceRows': ${e}`, ErrorCategory.STORAGE);
+    }
+  }
 
-      const complexities = complexityResult.getValue();
+  /**
+   * Appends rows below the last row of the sheet.
+   * @param {Array<Array<*>>} rows
+   * @returns {Success<MySheet>|Failure}
+   */
+  append(rows) {
+    try {
+      if (rows.length === 0) {
+        return new Success(this);
+      }
+      const sheet = this.getSheet();
+      sheet
+        .getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length)
+        .setValues(rows);
+      return new Success(this);
+    } catch (e) {
+      return new Failure(`Error in 'append': ${e}`, ErrorCategory.STORAGE);
+    }
+  }
+
+  /**
+   * Row number of every (timestamp, floor, location) key in the sheet.
+   * Given the timestamps about to be saved, reads only the last
+   * MySheet.INDEX_TAIL_ROWS rows when each of them is newer than every
+   * timestamp there, as for a new scrape: the rows can't be in the sheet
+   * yet, so the index is empty. Older timestamps (a backfill, say) read the
+   * whole sheet.
+   * @param {Array<string|Date>} [timestamps]
+   * @returns {Map<string, number>}
+   */
+  getRowIndex(timestamps) {
+    const sheet = this.getSheet();
+    const index = new Map();
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) {
+      return index;
+    }
+    if (timestamps) {
+      const tailStart = Math.max(2, lastRow - MySheet.INDEX_TAIL_ROWS + 1);
+      const newest = Math.max(
+        ...sheet
+          .getRange(tailStart, 1, lastRow - tailStart + 1, 1)
+          .getValues()
+          .map(([timestamp]) => MySheet.timeOf(timestamp))
+      );
+      if (timestamps.every((timestamp) => MySheet.timeOf(timestamp) > newest)) {
+        return index;
+      }
+    }
+    sheet
+      .getRange(2, 1, lastRow - 1, 3)
+      .getValues()
+      .forEach((row, i) => {
+        const key = MySheet.rowKey(row);
+        if (!index.has(key)) index.set(key, i + 2);
+      });
+    return index;
+  }
+
+  /**
+   * @param {string|Date} timestamp
+   * @returns {number} Milliseconds since the epoch; NaN if unparseable.
+   */
+  static timeOf(timestamp) {
+    const date = Complexity.parseTimestamp(timestamp);
+    return date ? date.getTime() : NaN;
+  }
+
+  /**
+   * What the last saveFrom call did: how many rows it inserted and updated,
+   * and the Complexity entries behind the inserted rows.
+   * @returns {{inserted: number, updated: number, insertedComplexities: Complexity[]}}
+   */
+  getLastSave() {
+    return (
+      this.lastSave || { inserted: 0, updated: 0, insertedComplexities: [] }
+    );
+  }
+
+  /**
+   * Saves the complexity data to the sheet. Saving is idempotent on
+   * (timestamp, floor, location): a row that is already in the sheet is
+   * updated in place instead of being appended again.
+   * To save a parse result, bind it: `rows.bind((r) => mySheet.saveFrom(r))`,
+   * or `Result.combine` it with the sheet.
+   * @param {Complexity[]} complexities
+   * @returns {Success<MySheet>|Failure}
+   */
+  saveFrom(complexities) {
+    try {
+      this.lastSave = { inserted: 0, updated: 0, insertedComplexities: [] };
 
       if (!complexities || complexities.length === 0) {
         Logger.log("No complexity data to save.");
@@ -457,33 +1387,207 @@ class MySheet {
       }
 
       const sheet = this.getSheet();
+      const index = this.getRowIndex(
+        complexities.map((complexity) => complexity.getTimestamp())
+      );
+      const rowsToAdd = [];
 
-      const rowsToAdd = complexities.map((complexity) => {
-        return [
-          complexity.getTimestamp(),
-          `${complexity.getLocation()} (${complexity.getFloor()})`,
+      complexities.forEach((complexity) => {
+        const row = [
+          Complexity.parseTimestamp(complexity.getTimestamp()),
+          complexity.getFloor(),
+          complexity.getLocation(),
           complexity.getStatus(),
+          complexity.getSeverity() === null ? "" : complexity.getSeverity(),
+          complexity.getSnapshotId() || "",
+          complexity.getOccupied() === null ? "" : complexity.getOccupied(),
+          complexity.getCapacity() === null ? "" : complexity.getCapacity(),
         ];
+        const key = MySheet.rowKey(row);
+        const rowNumber = index.get(key);
+
+        if (rowNumber === undefined) {
+          rowsToAdd.push(row);
+          this.lastSave.insertedComplexities.push(complexity);
+          index.set(key, 0); // Also skip repeats within this batch.
+        } else if (rowNumber > 0) {
+          sheet.getRange(rowNumber, 1, 1, row.length).setValues([row]);
+          this.lastSave.updated++;
+        }
       });
 
-      if (rowsToAdd.length === 0) {
-        Logger.log("No rows to add after mapping.");
-        return new Success(this);
+      if (rowsToAdd.length > 0) {
+        sheet
+          .getRange(
+            sheet.getLastRow() + 1,
+            1,
+            rowsToAdd.length,
+            rowsToAdd[0].length
+          )
+          .setValues(rowsToAdd);
+      }
+      this.lastSave.inserted = rowsToAdd.length;
+
+      Logger.log(
+        `Successfully saved ${rowsToAdd.length} new rows (${this.lastSave.updated} existing rows updated).`
+      );
+      return new Success(this);
+    } catch (e) {
+      return new Failure(
+        `Error in 'saveFrom': ${e.message}`,
+        ErrorCategory.STORAGE
+      );
+    }
+  }
+
+  /**
+   * Removes rows whose (timestamp, floor, location) key already appeared
+   * higher up in the sheet, keeping the first occurrence.
+   * @returns {Success<number>|Failure} The number of rows removed.
+   */
+  removeDuplicates() {
+    try {
+      const sheet = this.getSheet();
+      const lastRow = sheet.getLastRow();
+      if (lastRow < 3) {
+        return new Success(0);
+      }
+
+      const range = sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn());
+      const rows = range.getValues();
+      const seen = new Set();
+      const unique = rows.filter((row) => {
+        const key = MySheet.rowKey(row);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+
+      const removed = rows.length - unique.length;
+      if (removed > 0) {
+        range.clearContent();
+        sheet.getRange(2, 1, unique.length, unique[0].length).setValues(unique);
+      }
+      Logger.log(
+        `Removed ${removed} duplicate rows from '${sheet.getName()}'.`
+      );
+      return new Success(removed);
+    } catch (e) {
+      return new Failure(
+        `Error in 'removeDuplicates': ${e}`,
+        ErrorCategory.STORAGE
+      );
+    }
+  }
+
+  /**
+   * Converts a schema v1 sheet (string timestamp, "location (floor)",
+   * status, snapshot) to the current layout in place. The original rows
+   * are first copied to a backup sheet, and values that can't be converted
+   * are kept as they are, so no data is lost.
+   * @returns {Success<number>|Failure} The number of rows migrated.
+   */
+  migrateFromV1() {
+    try {
+      const sheet = this.getSheet();
+      const lastRow = sheet.getLastRow();
+      const width = Math.max(sheet.getLastColumn(), 1);
+      const header = sheet.getRange(1, 1, 1, width).getValues()[0];
+
+      if (!MySheet.isLegacyHeader(header)) {
+        Logger.log(`'${sheet.getName()}' is already on the current schema.`);
+        return new Success(0);
+      }
+
+      const backupName = `${sheet.getName()} (v1 backup)`;
+      if (!this.getSpreadsheet().getSheetByName(backupName)) {
+        sheet.copyTo(this.getSpreadsheet()).setName(backupName);
+        Logger.log(`Backed up original rows to '${backupName}'.`);
       }
 
+      const rows =
+        lastRow < 2 ? [] : sheet.getRange(2, 1, lastRow - 1, 4).getValues();
+      let unparsed = 0;
+      const migrated = rows.map(([timestamp, label, status, snapshot]) => {
+        const date = Complexity.parseTimestamp(timestamp);
+        const match = /^(.*) \(([^()]*)\)$/.exec(String(label));
+        if (date === null || !match) unparsed++;
+        return [
+          date === null ? timestamp : date,
+          match ? match[2] : "",
+          match ? match[1] : label,
+          status,
+          "",
+          snapshot,
+          "",
+          "",
+        ];
+      });
+
+      sheet.getRange(1, 1, Math.max(lastRow, 1), width).clearContent();
       sheet
-        .getRange(
-          sheet.getLastRow() + 1,
-          1,
-          rowsToAdd.length,
-          rowsToAdd[0].length
-        )
-        .setValues(rowsToAdd);
+        .getRange(1, 1, 1, MySheet.HEADER.length)
+        .setValues([MySheet.HEADER]);
+      for (let i = 0; i < migrated.length; i += MySheet.WRITE_BATCH) {
+        const batch = migrated.slice(i, i + MySheet.WRITE_BATCH);
+        sheet
+          .getRange(i + 2, 1, batch.length, MySheet.HEADER.length)
+          .setValues(batch);
+      }
 
-      Logger.log("Successfully saved " + rowsToAdd.length + " rows ");
-      return new Success(this);
+      Logger.log(
+        `Migrated ${migrated.length} rows to schema v${MySheet.SCHEMA_VERSION} (${unparsed} kept values that could not be converted).`
+      );
+      return new Success(migrated.length);
     } catch (e) {
-      return new Failure(`Error in 'saveFrom': ${e.message}`);
+      return new Failure(
+        `Error in 'migrateFromV1': ${e}`,
+        ErrorCategory.STORAGE
+      );
     }
   }
+
+  /**
+   * The dedup key of a Complexity sheet row: timestamp, floor and location.
+   * @param {Array<*>} row
+   * @returns {string}
+   */
+  static rowKey(row) {
+    const time = row[0] instanceof Date ? row[0].getTime() : row[0];
+    return `${time}|${row[1]}|${row[2]}`;
+  }
+
+  /**
+   * Whether a header row is the schema v1 layout.
+   * @param {Array<*>} header
+   * @returns {boolean}
+   */
+  static isLegacyHeader(header) {
+    return header[0] === "Timestamp" && header[1] === "Location";
+  }
 }
+
+/**
+ * Column layout of the Complexity sheet (schema v2). Timestamp is a Date;
+ * Severity is the N of the page's `situN` class; Occupied and Capacity are
+ * the seat or visitor counts, empty when the page shows none.
+ * Schema v1 was: Timestamp (string) | "Location (Floor)" | Status | Snapshot.
+ */
+MySheet.HEADER = [
+  "Timestamp",
+  "Floor",
+  "Location",
+  "Status",
+  "Severity",
+  "Snapshot",
+  "Occupied",
+  "Capacity",
+];
+
+MySheet.SCHEMA_VERSION = 2;
+
+/** Rows written per setValues call when rewriting a whole sheet. */
+MySheet.WRITE_BATCH = 5000;
+
+/** How many of the last rows saveFrom() checks before reading the sheet. */
+MySheet.INDEX_TAIL_ROWS = 500;
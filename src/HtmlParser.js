@@ -0,0 +1,314 @@
+/**
+ * A node in the parsed HTML tree.
+ * Text nodes have a `tagName` of "#text" and carry their content in `text`.
+ */
+class HtmlNode {
+  /**
+   * @param {string} tagName Lower-cased tag name, "#text" or "#document".
+   * @param {Object<string, string>} attributes
+   * @param {HtmlNode|null} parent
+   */
+  constructor(tagName, attributes, parent) {
+    this.tagName = tagName;
+    this.attributes = attributes || {};
+    this.parent = parent || null;
+    this.children = [];
+    this.text = "";
+  }
+
+  /** @returns {boolean} */
+  isText() {
+    return this.tagName === "#text";
+  }
+
+  /**
+   * @param {string} name
+   * @returns {string|null}
+   */
+  getAttribute(name) {
+    const value = this.attributes[name.toLowerCase()];
+    return value === undefined ? null : value;
+  }
+
+  /** @returns {string[]} */
+  getClasses() {
+    const value = this.getAttribute("class");
+    return value ? value.trim().split(/\s+/) : [];
+  }
+
+  /**
+   * @param {string} className
+   * @returns {boolean}
+   */
+  hasClass(className) {
+    return this.getClasses().includes(className);
+  }
+
+  /**
+   * Concatenated text of this node and all of its descendants,
+   * with whitespace collapsed.
+   * @returns {string}
+   */
+  getText() {
+    return this.getRawText().replace(/\s+/g, " ").trim();
+  }
+
+  /**
+   * Like getText(), but leaves out the text of the given descendants.
+   * @param {HtmlNode[]} excluded
+   * @returns {string}
+   */
+  getTextExcluding(excluded) {
+    return this.getRawText(excluded).replace(/\s+/g, " ").trim();
+  }
+
+  /**
+   * @param {HtmlNode[]} [excluded] Descendants whose text is skipped.
+   * @returns {string}
+   */
+  getRawText(excluded) {
+    if (excluded && excluded.includes(this)) {
+      return "";
+    }
+    if (this.isText()) {
+      return this.text;
+    }
+    return this.children.map((child) => child.getRawText(excluded)).join("");
+  }
+
+  /**
+   * Depth-first, document-order list of element descendants matching the predicate.
+   * @param {function(HtmlNode): boolean} predicate
+   * @returns {HtmlNode[]}
+   */
+  findAll(predicate) {
+    const found = [];
+    const visit = (node) => {
+      node.children.forEach((child) => {
+        if (child.isText()) return;
+        if (predicate(child)) found.push(child);
+        visit(child);
+      });
+    };
+    visit(this);
+    return found;
+  }
+
+  /**
+   * @param {function(HtmlNode): boolean} predicate
+   * @returns {HtmlNode|null}
+   */
+  find(predicate) {
+    return this.findAll(predicate)[0] || null;
+  }
+
+  /**
+   * Element descendants that match a simple `tag.class` selector.
+   * Either part may be omitted, e.g. "p.map_pin", ".f_num" or "span".
+   * @param {string} selector
+   * @returns {HtmlNode[]}
+   */
+  select(selector) {
+    const [tagName, ...classNames] = selector.split(".");
+    return this.findAll(
+      (node) =>
+        (!tagName || node.tagName === tagName.toLowerCase()) &&
+        classNames.every((className) => node.hasClass(className))
+    );
+  }
+}
+
+/**
+ * A small, forgiving HTML tokenizer and tree builder.
+ * Apps Script has no DOM, and XmlService rejects most real-world HTML,
+ * so this handles what the library pages need: quoted/unquoted attributes,
+ * void elements, comments, raw-text elements and unbalanced tags.
+ */
+class HtmlParser {
+  /**
+   * @param {string} html
+   * @returns {HtmlNode} The "#document" root node.
+   */
+  static parse(html) {
+    const root = new HtmlNode("#document", {}, null);
+    const endTagRegex = /<\/\s*([a-zA-Z][\w:-]*)\s*>/y;
+    let current = root;
+    let pos = 0;
+
+    const appendText = (text) => {
+      if (!text) return;
+      const node = new HtmlNode("#text", {}, current);
+      node.text = HtmlParser.decodeEntities(text);
+      current.children.push(node);
+    };
+
+    while (pos < html.length) {
+      const lt = html.indexOf("<", pos);
+      if (lt === -1) {
+        appendText(html.slice(pos));
+        break;
+      }
+      appendText(html.slice(pos, lt));
+
+      // Comments, doctype and other declarations are skipped.
+      if (html.startsWith("<!--", lt)) {
+        const end = html.indexOf("-->", lt + 4);
+        pos = end === -1 ? html.length : end + 3;
+        continue;
+      }
+      if (html[lt + 1] === "!" || html[lt + 1] === "?") {
+        const end = html.indexOf(">", lt);
+        pos = end === -1 ? html.length : end + 1;
+        continue;
+      }
+
+      // End tag: pop back to the nearest matching open element, if any.
+      endTagRegex.lastIndex = lt;
+      const endMatch = endTagRegex.exec(html);
+      if (endMatch) {
+        const tagName = endMatch[1].toLowerCase();
+        let node = current;
+        while (node !== root && node.tagName !== tagName) {
+          node = node.parent;
+        }
+        if (node !== root) {
+          current = node.parent;
+        }
+        pos = lt + endMatch[0].length;
+        continue;
+      }
+
+      const startTag = HtmlParser.readStartTag(html, lt);
+      if (!startTag) {
+        // A stray '<' that doesn't open a tag is plain text.
+        appendText("<");
+        pos = lt + 1;
+        continue;
+      }
+
+      const element = new HtmlNode(
+        startTag.tagName,
+        startTag.attributes,
+        current
+      );
+      current.children.push(element);
+      pos = startTag.end;
+
+      if (HtmlParser.RAW_TEXT_ELEMENTS.includes(startTag.tagName)) {
+        const closeRegex = new RegExp(`</${startTag.tagName}\\s*>`, "i");
+        const rest = html.slice(pos);
+        const close = closeRegex.exec(rest);
+        const raw = close ? rest.slice(0, close.index) : rest;
+        const textNode = new HtmlNode("#text", {}, element);
+        textNode.text = raw;
+        element.children.push(textNode);
+        pos += close ? close.index + close[0].length : rest.length;
+        continue;
+      }
+
+      if (
+        !startTag.selfClosing &&
+        !HtmlParser.VOID_ELEMENTS.includes(startTag.tagName)
+      ) {
+        current = element;
+      }
+    }
+
+    return root;
+  }
+
+  /**
+   * Reads a start tag beginning at `start` (which points at '<').
+   * @param {string} html
+   * @param {number} start
+   * @returns {{tagName: string, attributes: Object<string, string>, selfClosing: boolean, end: number}|null}
+   */
+  static readStartTag(html, start) {
+    const nameMatch = /^<([a-zA-Z][\w:-]*)/.exec(html.slice(start, start + 64));
+    if (!nameMatch) {
+      return null;
+    }
+
+    const attributes = {};
+    const attrRegex =
+      /\s*([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/y;
+    const closeRegex = /\s*(\/?)\s*>/y;
+    let pos = start + nameMatch[0].length;
+
+    while (pos < html.length) {
+      closeRegex.lastIndex = pos;
+      const close = closeRegex.exec(html);
+      if (close) {
+        return {
+          tagName: nameMatch[1].toLowerCase(),
+          attributes: attributes,
+          selfClosing: close[1] === "/",
+          end: closeRegex.lastIndex,
+        };
+      }
+
+      attrRegex.lastIndex = pos;
+      const attr = attrRegex.exec(html);
+      if (!attr) {
+        // Skip a stray character (e.g. a lone '/') inside the tag.
+        pos++;
+        continue;
+      }
+      const value = [attr[2], attr[3], attr[4]].find((v) => v !== undefined);
+      attributes[attr[1].toLowerCase()] = HtmlParser.decodeEntities(
+        value || ""
+      );
+      pos = attrRegex.lastIndex;
+    }
+    return null;
+  }
+
+  /**
+   * Decodes the named and numeric entities that show up in practice.
+   * @param {string} text
+   * @returns {string}
+   */
+  static decodeEntities(text) {
+    const named = {
+      amp: "&",
+      lt: "<",
+      gt: ">",
+      quot: '"',
+      apos: "'",
+      nbsp: " ",
+    };
+    return text.replace(
+      /&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g,
+      (entity, body) => {
+        if (body[0] === "#") {
+          const code =
+            body[1] === "x" || body[1] === "X"
+              ? parseInt(body.slice(2), 16)
+              : parseInt(body.slice(1), 10);
+          return isNaN(code) ? entity : String.fromCodePoint(code);
+        }
+        const decoded = named[body.toLowerCase()];
+        return decoded === undefined ? entity : decoded;
+      }
+    );
+  }
+}
+
+HtmlParser.VOID_ELEMENTS = [
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "param",
+  "source",
+  "track",
+  "wbr",
+];
+
+HtmlParser.RAW_TEXT_ELEMENTS = ["script", "style", "textarea", "title"];
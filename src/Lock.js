@@ -0,0 +1,165 @@
+/**
+ * Error for a lock whose holder has stopped reporting progress, or a run
+ * that ended without releasing it. Unlike an ordinary busy lock this is
+ * treated as a failure, so it shows up in the RunLog and in alerts.
+ */
+class StaleLockError extends Error {
+  /**
+   * @param {string} message
+   * @param {{startedAt: string, heartbeat: string, site: string, stage: string}} heartbeat
+   *     What the holder last recorded.
+   */
+  constructor(message, heartbeat) {
+    super(message);
+    this.name = "StaleLockError";
+    this.heartbeat = heartbeat;
+  }
+}
+
+/**
+ * Keeps runs that write to the sheets from overlapping, e.g. a slow scrape
+ * and the next trigger run, or a trigger run and a manual 'clasp run main'.
+ * Wraps the script lock and records a heartbeat in the `RUN_LOCK` script
+ * property while it is held, so a hung holder or a run that was stopped
+ * without releasing the lock can be told apart from a normal busy lock.
+ */
+class RunLock {
+  /**
+   * @param {GoogleAppsScript.Lock.Lock} lock
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @param {Date} startedAt
+   * @param {?Object} abandoned The heartbeat of an earlier run that never
+   *     released the lock, if any.
+   */
+  constructor(lock, properties, startedAt, abandoned) {
+    this.lock = lock;
+    this.properties = properties;
+    this.startedAt = startedAt;
+    this.abandoned = abandoned;
+  }
+
+  /**
+   * Waits up to `LOCK_WAIT_SECONDS` (default 30) for the script lock. When
+   * it stays busy, the run is skipped: a LOCK Failure, or a StaleLockError
+   * when the holder's last heartbeat is older than `LOCK_STALE_MINUTES`
+   * (default 10; Apps Script stops executions after 6 minutes, so a live
+   * holder never gets that old).
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @param {string} [stage] What the new holder is about to do.
+   * @returns {Success<RunLock>|Failure}
+   */
+  static acquire(properties, stage = "start") {
+    let lock = null;
+    let acquired = false;
+    try {
+      const waitSeconds = Number(
+        properties.getProperty("LOCK_WAIT_SECONDS") ||
+          RunLock.DEFAULT_WAIT_SECONDS
+      );
+      const staleMinutes = Number(
+        properties.getProperty("LOCK_STALE_MINUTES") ||
+          RunLock.DEFAULT_STALE_MINUTES
+      );
+      lock = LockService.getScriptLock();
+      acquired = lock.tryLock(waitSeconds * 1000);
+      const now = new Date();
+      const previous = RunLock.heartbeatOf(properties);
+
+      if (!acquired) {
+        if (!previous) {
+          return new Failure(
+            `Another run holds the lock; skipped after waiting ${waitSeconds} s.`,
+            ErrorCategory.LOCK
+          );
+        }
+        const minutes = Math.floor(
+          (now.getTime() - new Date(previous.heartbeat).getTime()) / 60000
+        );
+        const holder = `started ${Alerter.formatTime(
+          new Date(previous.startedAt)
+        )}, '${previous.site || "-"}' at '${previous.stage}'`;
+        if (minutes >= staleMinutes) {
+          return new Failure(
+            new StaleLockError(
+              `The lock is held by a run that has not reported for ${minutes} min (${holder}); it has probably hung. Skipped.`,
+              previous
+            ),
+            ErrorCategory.LOCK
+          );
+        }
+        return new Failure(
+          `Another run holds the lock (${holder}); skipped after waiting ${waitSeconds} s.`,
+          ErrorCategory.LOCK
+        );
+      }
+
+      const runLock = new RunLock(lock, properties, now, previous);
+      runLock.beat("", stage);
+      return new Success(runLock);
+    } catch (e) {
+      // Not a busy lock: a LOCK failure would be recorded as skipped and
+      // never alert.
+      if (acquired) lock.releaseLock();
+      return new Failure(`Error in 'acquire': ${e}`, ErrorCategory.UNKNOWN);
+    }
+  }
+
+  /**
+   * The heartbeat in `RUN_LOCK`. One that can't be read counts as absent,
+   * so a corrupt property never blocks the runs.
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @returns {?{startedAt: string, heartbeat: string, site: string, stage: string}}
+   */
+  static heartbeatOf(properties) {
+    const saved = properties.getProperty(RunLock.STATE_KEY);
+    if (!saved) return null;
+    try {
+      const heartbeat = JSON.parse(saved);
+      if (!heartbeat || isNaN(new Date(heartbeat.heartbeat).getTime())) {
+        throw new Error("no heartbeat time");
+      }
+      return heartbeat;
+    } catch (e) {
+      Logger.log(`Ignoring the unreadable ${RunLock.STATE_KEY}: ${saved}`);
+      return null;
+    }
+  }
+
+  /**
+   * The heartbeat left by an earlier run that ended while holding the
+   * lock, typically because it hit the execution time limit.
+   * @returns {?{startedAt: string, heartbeat: string, site: string, stage: string}}
+   */
+  getAbandoned() {
+    return this.abandoned;
+  }
+
+  /**
+   * Records that the holder is still making progress.
+   * @param {string} site The site being worked on, if any.
+   * @param {string} stage
+   */
+  beat(site, stage) {
+    this.properties.setProperty(
+      RunLock.STATE_KEY,
+      JSON.stringify({
+        startedAt: this.startedAt.toISOString(),
+        heartbeat: new Date().toISOString(),
+        site: site,
+        stage: stage,
+      })
+    );
+  }
+
+  /** Clears the heartbeat and releases the lock. */
+  release() {
+    this.properties.deleteProperty(RunLock.STATE_KEY);
+    this.lock.releaseLock();
+  }
+}
+
+RunLock.STATE_KEY = "RUN_LOCK";
+
+RunLock.DEFAULT_WAIT_SECONDS = 30;
+
+RunLock.DEFAULT_STALE_MINUTES = 10;
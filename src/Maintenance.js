@@ -0,0 +1,379 @@
+/**
+ * Removes duplicate (timestamp, floor, location) rows from each site's
+ * sheet, e.g. ones written before saving became idempotent.
+ * Run this using 'clasp run removeDuplicateRows', or for one site with
+ * `clasp run removeDuplicateRows --params '["sejong"]'`.
+ * @param {string} [siteId] Defaults to every registered site.
+ */
+function removeDuplicateRows(siteId) {
+  const properties = PropertiesService.getScriptProperties();
+  Site.select(properties, siteId).match({
+    success: (sites) =>
+      withRunLock_(properties, "dedupe", "Duplicate removal", (lock) =>
+        sites.forEach((site) => {
+          lock.beat(site.getId(), "dedupe");
+          MySheet.fromNames(site.getSpreadsheetName(), site.getSheetName())
+            .bind((mySheet) => mySheet.removeDuplicates())
+            .match({
+              success: (removed) => {
+                Logger.log(
+                  `Duplicate removal finished for '${site.getId()}': ${removed} rows removed.`
+                );
+                if (removed > 0) {
+                  rebuildSummaryOf_(site, properties);
+                }
+              },
+              failure: (failure) =>
+                Logger.log(
+                  `Duplicate removal failed for '${site.getId()}': ${failure.getMessage()}`
+                ),
+            });
+        })
+      ),
+    failure: (failure) =>
+      Logger.log(`Duplicate removal failed: ${failure.getMessage()}`),
+  });
+}
+
+/**
+ * One-time conversion of each site's sheet from schema v1
+ * ("Location (Floor)" and string timestamps) to schema v2 (Date timestamp
+ * and separate Floor/Location/Status/Severity/Snapshot columns).
+ * The original rows are kept in a '<sheet> (v1 backup)' sheet.
+ * Run this using 'clasp run migrateComplexitySchema', or for one site with
+ * `clasp run migrateComplexitySchema --params '["sejong"]'`.
+ * @param {string} [siteId] Defaults to every registered site.
+ */
+function migrateComplexitySchema(siteId) {
+  const properties = PropertiesService.getScriptProperties();
+  Site.select(properties, siteId).match({
+    success: (sites) =>
+      withRunLock_(properties, "migration", "Schema migration", (lock) =>
+        sites.forEach((site) => {
+          lock.beat(site.getId(), "migration");
+          migrateSiteSchema_(site).match({
+            success: (migrated) => {
+              Logger.log(
+                `Schema migration finished for '${site.getId()}': ${migrated} rows migrated.`
+              );
+              if (migrated > 0) {
+                rebuildSummaryOf_(site, properties);
+              }
+            },
+            failure: (failure) =>
+              Logger.log(
+                `Schema migration failed for '${site.getId()}': ${failure.getMessage()}`
+              ),
+          });
+        })
+      ),
+    failure: (failure) =>
+      Logger.log(`Schema migration failed: ${failure.getMessage()}`),
+  });
+}
+
+/**
+ * @param {Site} site
+ * @returns {Success<number>|Failure} How many rows were migrated.
+ */
+function migrateSiteSchema_(site) {
+  return MySheet.fromFileName(site.getSpreadsheetName(), "").bind((mySheet) => {
+    const sheet = mySheet.getSpreadsheet().getSheetByName(site.getSheetName());
+    if (!sheet) {
+      return new Failure(
+        `Sheet '${site.getSheetName()}' not found.`,
+        ErrorCategory.CONFIG
+      );
+    }
+    return new MySheet(mySheet.getSpreadsheet(), sheet).migrateFromV1();
+  });
+}
+
+/**
+ * Recomputes each site's hourly summary sheet behind the dashboard from
+ * its rows, then its weekly profile from the live and archived summaries,
+ * and drops the cached dashboard data. main() keeps both current on its
+ * own; this is for after rows or holidays were changed by hand.
+ * Run this using 'clasp run rebuildSummary', or for one site with
+ * `clasp run rebuildSummary --params '["sejong"]'`.
+ * @param {string} [siteId] Defaults to every registered site.
+ */
+function rebuildSummary(siteId) {
+  const properties = PropertiesService.getScriptProperties();
+  Site.select(properties, siteId).match({
+    // The summary is cleared and rewritten, which would lose or double the
+    // buckets a scrape adds meanwhile.
+    success: (sites) =>
+      withRunLock_(properties, "summary", "Summary rebuild", (lock) =>
+        sites.forEach((site) => {
+          lock.beat(site.getId(), "summary");
+          rebuildSummaryOf_(site, properties);
+        })
+      ),
+    failure: (failure) =>
+      Logger.log(`Summary rebuild failed: ${failure.getMessage()}`),
+  });
+}
+
+/**
+ * rebuildSummary for one site, for jobs that already hold the run lock.
+ * @param {Site} site
+ * @param {GoogleAppsScript.Properties.Properties} properties
+ */
+function rebuildSummaryOf_(site, properties) {
+  const result = MySheet.fromFileName(site.getSpreadsheetName(), "")
+    .bind((mySheet) =>
+      Summary.rebuild(
+        mySheet.getSpreadsheet(),
+        site.getSheetName(),
+        site.getSummarySheetName()
+      )
+    )
+    .bind((rows) => WeeklyProfile.rebuildFor(site, properties).map(() => rows));
+  DashboardCache.clear();
+
+  result.match({
+    success: (rows) =>
+      Logger.log(
+        `Summary rebuild finished for '${site.getId()}': ${rows} hourly rows.`
+      ),
+    failure: (failure) =>
+      Logger.log(
+        `Summary rebuild failed for '${site.getId()}': ${failure.getMessage()}`
+      ),
+  });
+}
+
+/**
+ * Reports how accurately the dashboard's forecaster predicts each of the
+ * last `weeks` weeks when trained only on the weeks before, compared with
+ * the plain frequency table it replaced.
+ * Run this using 'clasp run backtestForecast', or for another site with
+ * `clasp run backtestForecast --params '[4, "sejong"]'`.
+ * @param {number} [weeks]
+ * @param {string} [siteId] Defaults to the first registered site.
+ * @returns {Object|undefined} The backtest report.
+ */
+function backtestForecast(weeks = 4, siteId) {
+  const properties = PropertiesService.getScriptProperties();
+  return Site.find(properties, siteId)
+    .bind((site) =>
+      MySheet.fromFileName(site.getSpreadsheetName(), "").bind((mySheet) => {
+        const spreadsheet = mySheet.getSpreadsheet();
+        return Result.combine({
+          schedule: site.getSchedule(properties, spreadsheet),
+          buckets: Summary.read(spreadsheet, site.getSummarySheetName()),
+          forecaster: Forecaster.fromProperties(properties),
+        });
+      })
+    )
+    .bind(({ schedule, buckets, forecaster }) =>
+      forecaster.backtest(
+        buckets.filter((bucket) =>
+          schedule.isOpen(bucket.date, bucket.weekday, bucket.hour)
+        ),
+        weeks
+      )
+    )
+    .match({
+      success: (report) => {
+        report.weeks.forEach((week) =>
+          Logger.log(
+            `${week.start}..${week.end}: ${week.samples} samples, accuracy ${week.accuracy} (baseline ${week.baselineAccuracy}), log loss ${week.logLoss}`
+          )
+        );
+        Logger.log(
+          `Backtest over ${report.weeks.length} week(s): accuracy ${report.accuracy} vs. baseline ${report.baselineAccuracy}, log loss ${report.logLoss}.`
+        );
+        return report;
+      },
+      failure: (failure) => {
+        Logger.log(`Backtest failed: ${failure.getMessage()}`);
+        return undefined;
+      },
+    });
+}
+
+/**
+ * Moves rows older than `RETENTION_DAYS` out of each site's sheet into
+ * yearly archive spreadsheets (see Retention). The dashboard still shows
+ * them when a query reaches back that far.
+ * Runs daily from the trigger installed by 'syncTriggers' (see
+ * retentionTrigger_), or with 'clasp run applyRetention' /
+ * `clasp run applyRetention --params '["sejong"]'`.
+ * @param {string} [siteId] Defaults to every registered site.
+ */
+function applyRetention(siteId) {
+  const properties = PropertiesService.getScriptProperties();
+  Result.combine({
+    retention: Retention.fromProperties(properties),
+    sites: Site.select(properties, siteId),
+  }).match({
+    success: ({ retention, sites }) => {
+      const now = new Date();
+      let archived = 0;
+      // The live sheets are rewritten, so no scrape may append meanwhile.
+      withRunLock_(properties, "retention", "Retention", (lock) =>
+        sites.forEach((site) => {
+          lock.beat(site.getId(), "retention");
+          retention.apply(site, properties, now).match({
+            success: (report) => {
+              archived += report.archived;
+              Logger.log(
+                `Retention finished for '${site.getId()}': ${
+                  report.archived
+                } row(s) from before ${report.before} archived (${
+                  report.years.join(", ") || "nothing to archive"
+                }).`
+              );
+            },
+            failure: (failure) =>
+              Logger.log(
+                `Retention failed for '${site.getId()}': ${failure.getMessage()}`
+              ),
+          });
+        })
+      );
+      if (archived > 0) {
+        DashboardCache.clear();
+      }
+    },
+    failure: (failure) =>
+      Logger.log(`Retention failed: ${failure.getMessage()}`),
+  });
+}
+
+/**
+ * Runs a maintenance job that rewrites the sheets while holding the run
+ * lock, so no scrape appends meanwhile. When the lock stays busy the job
+ * is skipped and "<label> skipped: ..." is logged.
+ * @param {GoogleAppsScript.Properties.Properties} properties
+ * @param {string} stage Recorded in the lock's heartbeat.
+ * @param {string} label Names the job in the log.
+ * @param {function(RunLock)} job
+ */
+function withRunLock_(properties, stage, label, job) {
+  RunLock.acquire(properties, stage).match({
+    success: (lock) => {
+      if (lock.getAbandoned()) {
+        Logger.log(
+          `An earlier run stopped without releasing the lock: ${JSON.stringify(
+            lock.getAbandoned()
+          )}`
+        );
+      }
+      try {
+        job(lock);
+      } finally {
+        lock.release();
+      }
+    },
+    failure: (failure) =>
+      Logger.log(`${label} skipped: ${failure.getMessage()}`),
+  });
+}
+
+/**
+ * Time-based trigger handler for applyRetention. Apps Script passes the
+ * trigger's event object as the first argument, which applyRetention would
+ * take for a site ID, so it is dropped here.
+ * @param {Object} [e] The trigger event; unused.
+ */
+function retentionTrigger_(e) {
+  applyRetention();
+}
+
+/**
+ * Writes each site's congestion report for one day to its `Reports` sheet,
+ * compared with the same weekday a week earlier, and emails it to
+ * `REPORT_EMAIL` (comma-separated) when that is set.
+ * Runs every morning for the day before from the trigger installed by
+ * 'syncTriggers' (see dailyReportTrigger_), or with
+ * `clasp run sendDailyReport --params '["sejong", "2025-11-05"]'`.
+ * @param {string} [siteId] Defaults to every registered site.
+ * @param {string} [date] "yyyy-MM-dd" (KST); defaults to yesterday.
+ * @returns {Object[]} The reports that were written.
+ */
+function sendDailyReport(siteId, date) {
+  return sendReports("daily", siteId, date);
+}
+
+/**
+ * Like sendDailyReport, for the seven days ending on `endDate`, compared
+ * with the seven days before. Runs every Monday for the week before (see
+ * weeklyReportTrigger_), or with
+ * `clasp run sendWeeklyReport --params '["sejong", "2025-11-09"]'`.
+ * @param {string} [siteId] Defaults to every registered site.
+ * @param {string} [endDate] "yyyy-MM-dd" (KST); defaults to yesterday.
+ * @returns {Object[]} The reports that were written.
+ */
+function sendWeeklyReport(siteId, endDate) {
+  return sendReports("weekly", siteId, endDate);
+}
+
+/**
+ * Time-based trigger handler for sendDailyReport; drops the event object
+ * like retentionTrigger_.
+ * @param {Object} [e] The trigger event; unused.
+ */
+function dailyReportTrigger_(e) {
+  sendDailyReport();
+}
+
+/**
+ * Time-based trigger handler for sendWeeklyReport; drops the event object
+ * like retentionTrigger_.
+ * @param {Object} [e] The trigger event; unused.
+ */
+function weeklyReportTrigger_(e) {
+  sendWeeklyReport();
+}
+
+/**
+ * @param {string} kind "daily" or "weekly".
+ * @param {string} [siteId]
+ * @param {string} [to]
+ * @returns {Object[]}
+ */
+function sendReports(kind, siteId, to) {
+  const properties = PropertiesService.getScriptProperties();
+  const date =
+    to ||
+    Forecaster.addDays(
+      Utilities.formatDate(new Date(), Complexity.TIME_ZONE, "yyyy-MM-dd"),
+      -1
+    );
+  const recipients = properties.getProperty("REPORT_EMAIL");
+
+  return Site.select(properties, siteId).match({
+    success: (sites) => {
+      const reports = [];
+      sites.forEach((site) =>
+        CongestionReport.generate(site, kind, date, properties)
+          .bind((report) =>
+            recipients ? report.send(recipients) : new Success(report)
+          )
+          .match({
+            success: (report) => {
+              Logger.log(report.toText());
+              reports.push({
+                site: site.getId(),
+                period: report.period,
+                rows: report.rows,
+                scrapes: report.scrapes,
+              });
+            },
+            failure: (failure) =>
+              Logger.log(
+                `Report failed for '${site.getId()}': ${failure.getMessage()}`
+              ),
+          })
+      );
+      return reports;
+    },
+    failure: (failure) => {
+      Logger.log(`Report failed: ${failure.getMessage()}`);
+      return [];
+    },
+  });
+}
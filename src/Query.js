@@ -0,0 +1,206 @@
+/**
+ * Narrows the dashboard to a subset of the history: a date range, some
+ * floors or locations, some weekdays and an hour range, for one of the
+ * registered sites. Every part is optional; an empty query selects
+ * everything from the first site.
+ */
+class DashboardQuery {
+  /**
+   * @param {string|null} from First day included, "yyyy-MM-dd" (KST).
+   * @param {string|null} to Last day included, "yyyy-MM-dd" (KST).
+   * @param {string[]} floors e.g. ["2F"]; empty means all.
+   * @param {string[]} locations Plain names or "name (floor)" labels.
+   * @param {number[]} weekdays 1=Mon ... 7=Sun; empty means all.
+   * @param {number} hourFrom First hour included (0-23).
+   * @param {number} hourTo Last hour included (0-23).
+   * @param {string} [site] Site ID (see Site); empty means the first site.
+   */
+  constructor(
+    from,
+    to,
+    floors,
+    locations,
+    weekdays,
+    hourFrom,
+    hourTo,
+    site = ""
+  ) {
+    this.from = from;
+    this.to = to;
+    this.floors = floors;
+    this.locations = locations;
+    this.weekdays = weekdays;
+    this.hourFrom = hourFrom;
+    this.hourTo = hourTo;
+    this.site = site;
+  }
+
+  /**
+   * Validates a query sent by the dashboard, e.g.
+   * `{from: "2025-01-01", to: "2025-06-30", floors: ["2F"],
+   *   locations: ["일반열람실 (2F)"], weekdays: ["Monday", 6],
+   *   hourFrom: 9, hourTo: 18, site: "sejong"}`.
+   * Weekdays may be given as names or as numbers (1=Mon ... 7=Sun).
+   * @param {Object} [query]
+   * @returns {Success<DashboardQuery>|Failure}
+   */
+  static fromObject(query) {
+    const q = query || {};
+    try {
+      for (const field of ["from", "to"]) {
+        if (q[field] && !DashboardQuery.DATE.test(q[field])) {
+          return new Failure(
+            `Invalid '${field}' date '${q[field]}', expected yyyy-MM-dd.`,
+            ErrorCategory.CONFIG
+          );
+        }
+      }
+      if (q.from && q.to && q.from > q.to) {
+        return new Failure(
+          `Date range is empty: ${q.from} is after ${q.to}.`,
+          ErrorCategory.CONFIG
+        );
+      }
+
+      const weekdays = [];
+      for (const day of DashboardQuery.asList(q.weekdays)) {
+        const weekday = DashboardQuery.parseWeekday(day);
+        if (weekday === null) {
+          return new Failure(`Unknown weekday '${day}'.`, ErrorCategory.CONFIG);
+        }
+        weekdays.push(weekday);
+      }
+
+      const hourFrom = DashboardQuery.parseHour(q.hourFrom, 0);
+      const hourTo = DashboardQuery.parseHour(q.hourTo, 23);
+      if (hourFrom === null || hourTo === null || hourFrom > hourTo) {
+        return new Failure(
+          `Invalid hour range ${q.hourFrom}-${q.hourTo}, expected hourFrom <= hourTo within 0-23.`,
+          ErrorCategory.CONFIG
+        );
+      }
+
+      return new Success(
+        new DashboardQuery(
+          q.from || null,
+          q.to || null,
+          DashboardQuery.asList(q.floors).map(String),
+          DashboardQuery.asList(q.locations).map(String),
+          weekdays,
+          hourFrom,
+          hourTo,
+          q.site ? String(q.site) : ""
+        )
+      );
+    } catch (e) {
+      return new Failure(`Error in 'fromObject': ${e}`, ErrorCategory.CONFIG);
+    }
+  }
+
+  /**
+   * @param {*} value A list, a single value or nothing.
+   * @returns {Array<*>}
+   */
+  static asList(value) {
+    if (value === undefined || value === null || value === "") return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * @param {string|number} day "Monday", "Mon" or 1-7.
+   * @returns {number|null} 1=Mon ... 7=Sun.
+   */
+  static parseWeekday(day) {
+    const number = Number(day);
+    if (Number.isInteger(number) && number >= 1 && number <= 7) {
+      return number;
+    }
+    const name = String(day).slice(0, 3).toLowerCase();
+    const index = Schedule.DAY_NAMES.findIndex(
+      (dayName) => dayName.toLowerCase() === name
+    );
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * @param {*} value
+   * @param {number} fallback Used when the value is missing.
+   * @returns {number|null}
+   */
+  static parseHour(value, fallback) {
+    if (value === undefined || value === null || value === "") return fallback;
+    const hour = Number(value);
+    return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : null;
+  }
+
+  /**
+   * Whether an hourly Summary bucket falls inside the query.
+   * @param {{date: string, weekday: number, hour: number, floor: string, location: string}} bucket
+   * @returns {boolean}
+   */
+  matches(bucket) {
+    if (this.from && bucket.date < this.from) return false;
+    if (this.to && bucket.date > this.to) return false;
+    if (bucket.hour < this.hourFrom || bucket.hour > this.hourTo) return false;
+    if (this.weekdays.length > 0 && !this.weekdays.includes(bucket.weekday)) {
+      return false;
+    }
+    if (this.floors.length > 0 && !this.floors.includes(bucket.floor)) {
+      return false;
+    }
+    if (
+      this.locations.length > 0 &&
+      !this.locations.includes(bucket.location) &&
+      !this.locations.includes(`${bucket.location} (${bucket.floor})`)
+    ) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * The query as plain data, echoed back to the dashboard.
+   * @returns {Object}
+   */
+  toObject() {
+    return {
+      from: this.from,
+      to: this.to,
+      floors: this.floors,
+      locations: this.locations,
+      weekdays: this.weekdays.map(
+        (weekday) => Schedule.FULL_DAY_NAMES[weekday - 1]
+      ),
+      hourFrom: this.hourFrom,
+      hourTo: this.hourTo,
+      site: this.site,
+    };
+  }
+
+  /**
+   * A stable key for caching the result of this query. It is hashed
+   * because CacheService keys are limited to 250 characters.
+   * @returns {string}
+   */
+  cacheKey() {
+    const json = JSON.stringify([
+      this.from,
+      this.to,
+      this.floors.slice().sort(),
+      this.locations.slice().sort(),
+      this.weekdays.slice().sort(),
+      this.hourFrom,
+      this.hourTo,
+      this.site,
+    ]);
+    return Utilities.base64EncodeWebSafe(
+      Utilities.computeDigest(
+        Utilities.DigestAlgorithm.MD5,
+        json,
+        Utilities.Charset.UTF_8
+      )
+    );
+  }
+}
+
+DashboardQuery.DATE = /^\d{4}-\d{2}-\d{2}$/;
@@ -0,0 +1,466 @@
+/**
+ * A congestion report for one site over a day or a week, built from the
+ * same hourly summary buckets as the dashboard: per location, the share of
+ * samples that were 혼잡 against the previous period (the same weekday a
+ * week earlier for daily reports, the week before for weekly ones), the
+ * peak hours, and how many scheduled scrapes left no samples.
+ */
+class CongestionReport {
+  /**
+   * @param {Site} site
+   * @param {{kind: string, from: string, to: string, previousFrom: string, previousTo: string}} period
+   * @param {Object[]} rows One entry per location, plus "All locations"
+   *     first; see CongestionReport.describe.
+   * @param {?{expected: number, missed: number}} scrapes Null when the
+   *     scrape cadence is unknown.
+   */
+  constructor(site, period, rows, scrapes) {
+    this.site = site;
+    this.period = period;
+    this.rows = rows;
+    this.scrapes = scrapes;
+  }
+
+  /**
+   * Builds a site's report from its hourly summaries (including yearly
+   * archives the period reaches into) and writes it to the `Reports`
+   * sheet.
+   * @param {Site} site
+   * @param {string} kind "daily" or "weekly".
+   * @param {string} to Last day covered, "yyyy-MM-dd" (KST).
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @returns {Success<CongestionReport>|Failure}
+   */
+  static generate(site, kind, to, properties) {
+    return CongestionReport.periodOf(kind, to).bind((period) =>
+      Result.combine({
+        query: DashboardQuery.fromObject({
+          from: period.previousFrom,
+          to: period.to,
+          site: site.getId(),
+        }),
+        plan: TriggerPlan.fromProperties(properties),
+      })
+        .bind(({ query, plan }) =>
+          openDashboardSources(site, query).map((sources) => {
+            const cadence = plan.getCadence("main");
+            return {
+              sources: sources,
+              report: CongestionReport.build(
+                site,
+                period,
+                sources.buckets,
+                sources.schedule,
+                cadence ? cadence.intervalMinutes() : null
+              ),
+            };
+          })
+        )
+        .bind(({ sources, report }) =>
+          report.saveTo(sources.spreadsheet, new Date()).map(() => report)
+        )
+    );
+  }
+
+  /**
+   * The days a report covers, e.g. a daily report for Wednesday
+   * 2025-11-05 is compared with Wednesday 2025-10-29.
+   * @param {string} kind "daily" or "weekly".
+   * @param {string} to Last day covered, "yyyy-MM-dd" (KST).
+   * @returns {Success<{kind: string, from: string, to: string, previousFrom: string, previousTo: string}>|Failure}
+   */
+  static periodOf(kind, to) {
+    const days = CongestionReport.DAYS[kind];
+    if (!days) {
+      return new Failure(
+        `Unknown report '${kind}'. Use one of: ${Object.keys(
+          CongestionReport.DAYS
+        ).join(", ")}.`,
+        ErrorCategory.CONFIG
+      );
+    }
+    if (!DashboardQuery.DATE.test(to || "")) {
+      return new Failure(
+        `Invalid report date '${to}', expected yyyy-MM-dd.`,
+        ErrorCategory.CONFIG
+      );
+    }
+    const from = Forecaster.addDays(to, 1 - days);
+    return new Success({
+      kind: kind,
+      from: from,
+      to: to,
+      previousFrom: Forecaster.addDays(from, -7),
+      previousTo: Forecaster.addDays(to, -7),
+    });
+  }
+
+  /**
+   * @param {Site} site
+   * @param {Object} period From periodOf.
+   * @param {Object[]} buckets Summary buckets covering both periods.
+   * @param {Schedule} schedule Samples from closed hours are left out.
+   * @param {?number} intervalMinutes How often main() is scheduled to run.
+   * @returns {CongestionReport}
+   */
+  static build(site, period, buckets, schedule, intervalMinutes) {
+    const inPeriod = (from, to) =>
+      buckets.filter(
+        (bucket) =>
+          bucket.date >= from &&
+          bucket.date <= to &&
+          schedule.isOpen(bucket.date, bucket.weekday, bucket.hour)
+      );
+    const current = inPeriod(period.from, period.to);
+    const previous = inPeriod(period.previousFrom, period.previousTo);
+
+    const labels = Array.from(
+      new Set(current.map((bucket) => Forecaster.labelOf(bucket)))
+    ).sort();
+    const forLabel = (label) => (bucket) =>
+      Forecaster.labelOf(bucket) === label;
+    const rows = [
+      CongestionReport.describe(
+        CongestionReport.ALL_LOCATIONS,
+        current,
+        previous
+      ),
+    ].concat(
+      labels.map((label) =>
+        CongestionReport.describe(
+          label,
+          current.filter(forLabel(label)),
+          previous.filter(forLabel(label))
+        )
+      )
+    );
+
+    return new CongestionReport(
+      site,
+      period,
+      rows,
+      intervalMinutes
+        ? CongestionReport.countScrapes(
+            current,
+            schedule,
+            period,
+            intervalMinutes
+          )
+        : null
+    );
+  }
+
+  /**
+   * @param {string} location
+   * @param {Object[]} current Buckets of the period.
+   * @param {Object[]} previous Buckets of the previous period.
+   * @returns {{location: string, samples: number, congested: ?number, previous: ?number, change: ?number, peakHours: number[]}}
+   *     Percentages are rounded to one decimal; null without samples.
+   */
+  static describe(location, current, previous) {
+    const congested = CongestionReport.congestedShare(current);
+    const before = CongestionReport.congestedShare(previous);
+
+    // Hours ranked by their average level (원활 = 1 ... 혼잡 = 3).
+    const hours = {};
+    current.forEach((bucket) => {
+      if (!hours[bucket.hour]) hours[bucket.hour] = { level: 0, total: 0 };
+      Complexity.STATUSES.forEach((status, i) => {
+        hours[bucket.hour].level += (i + 1) * bucket[status];
+      });
+      hours[bucket.hour].total += bucket.total;
+    });
+    const peakHours = Object.keys(hours)
+      .map(Number)
+      .filter((hour) => hours[hour].total > 0)
+      .sort(
+        (a, b) =>
+          hours[b].level / hours[b].total - hours[a].level / hours[a].total ||
+          a - b
+      )
+      .slice(0, CongestionReport.PEAK_HOURS);
+
+    return {
+      location: location,
+      samples: current.reduce((sum, bucket) => sum + bucket.total, 0),
+      congested: congested,
+      previous: before,
+      change:
+        congested === null || before === null
+          ? null
+          : Math.round((congested - before) * 10) / 10,
+      peakHours: peakHours,
+    };
+  }
+
+  /**
+   * @param {Object[]} buckets
+   * @returns {?number} % of samples that were 혼잡, one decimal.
+   */
+  static congestedShare(buckets) {
+    const total = buckets.reduce((sum, bucket) => sum + bucket.total, 0);
+    if (total === 0) return null;
+    const congested = buckets.reduce((sum, bucket) => sum + bucket["혼잡"], 0);
+    return Math.round((congested / total) * 1000) / 10;
+  }
+
+  /**
+   * Compares the scrapes the trigger should have made during opening hours
+   * with the ones that left samples. Every scrape samples all locations,
+   * so an hour's scrapes are its largest bucket total.
+   * @param {Object[]} buckets Buckets of the period, open hours only.
+   * @param {Schedule} schedule
+   * @param {{from: string, to: string}} period
+   * @param {number} intervalMinutes
+   * @returns {{expected: number, missed: number}}
+   */
+  static countScrapes(buckets, schedule, period, intervalMinutes) {
+    const perHour = 60 / intervalMinutes;
+    const made = {};
+    buckets.forEach((bucket) => {
+      const key = `${bucket.date}|${bucket.hour}`;
+      made[key] = Math.max(made[key] || 0, bucket.total);
+    });
+
+    let openHours = 0;
+    let covered = 0;
+    for (
+      let date = period.from;
+      date <= period.to;
+      date = Forecaster.addDays(date, 1)
+    ) {
+      const weekday = new Date(`${date}T00:00:00Z`).getUTCDay() || 7;
+      const { hours } = schedule.getHoursOn(date, weekday);
+      if (!hours) continue;
+      for (let hour = hours.open; hour < hours.close; hour++) {
+        openHours++;
+        covered += Math.min(made[`${date}|${hour}`] || 0, Math.ceil(perHour));
+      }
+    }
+    const expected = Math.round(openHours * perHour);
+    return { expected: expected, missed: Math.max(0, expected - covered) };
+  }
+
+  /** @returns {string} e.g. "Daily congestion report, 2025-11-05". */
+  getTitle() {
+    const { kind, from, to } = this.period;
+    const name = kind.charAt(0).toUpperCase() + kind.slice(1);
+    return `${name} congestion report, ${
+      from === to ? from : `${from} – ${to}`
+    }`;
+  }
+
+  /**
+   * Rows for the `Reports` sheet, in the CongestionReport.HEADER layout.
+   * @param {Date} generatedAt
+   * @returns {Array<Array<*>>}
+   */
+  toRows(generatedAt) {
+    const blank = (value) => (value === null ? "" : value);
+    return this.rows.map((row, i) => [
+      generatedAt,
+      this.site.getId(),
+      this.period.kind,
+      this.period.from,
+      this.period.to,
+      row.location,
+      row.samples,
+      blank(row.congested),
+      blank(row.previous),
+      blank(row.change),
+      row.peakHours.map(CongestionReport.formatHour).join(", "),
+      i === 0 && this.scrapes ? this.scrapes.expected : "",
+      i === 0 && this.scrapes ? this.scrapes.missed : "",
+    ]);
+  }
+
+  /**
+   * Writes the report to the `Reports` sheet, replacing an earlier copy of
+   * the same report so re-running it doesn't add duplicates.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet
+   * @param {Date} generatedAt
+   * @returns {Success<MySheet>|Failure}
+   */
+  saveTo(spreadsheet, generatedAt) {
+    return MySheet.fromSheetName(
+      spreadsheet,
+      CongestionReport.SHEET_NAME,
+      CongestionReport.HEADER
+    ).bind((mySheet) => {
+      try {
+        const sheet = mySheet.getSheet();
+        // Sheets turns the "yyyy-MM-dd" strings into dates.
+        const dayOf = (value) =>
+          value instanceof Date
+            ? Utilities.formatDate(value, Complexity.TIME_ZONE, "yyyy-MM-dd")
+            : String(value);
+        const isSame = (row) =>
+          row[1] === this.site.getId() &&
+          row[2] === this.period.kind &&
+          dayOf(row[3]) === this.period.from;
+        if (sheet.getLastRow() > 1) {
+          const existing = sheet
+            .getRange(
+              2,
+              1,
+              sheet.getLastRow() - 1,
+              CongestionReport.HEADER.length
+            )
+            .getValues();
+          for (let i = existing.length - 1; i >= 0; i--) {
+            if (isSame(existing[i])) sheet.deleteRow(i + 2);
+          }
+        }
+      } catch (e) {
+        return new Failure(`Error in 'saveTo': ${e}`, ErrorCategory.STORAGE);
+      }
+      return mySheet.append(this.toRows(generatedAt));
+    });
+  }
+
+  /** @returns {string} A plain-text version for logs and mail clients. */
+  toText() {
+    const percent = (value) => (value === null ? "-" : `${value}%`);
+    const lines = [`${this.getTitle()} — ${this.site.getName()}`, ""];
+    this.rows.forEach((row) => {
+      lines.push(
+        `${row.location}: ${row.samples} samples, 혼잡 ${percent(
+          row.congested
+        )} (previous ${percent(row.previous)}), peak ${
+          row.peakHours.map(CongestionReport.formatHour).join(", ") || "-"
+        }`
+      );
+    });
+    lines.push("", this.describeScrapes());
+    return lines.join("\n");
+  }
+
+  /** @returns {string} */
+  toHtml() {
+    const percent = (value) => (value === null ? "–" : `${value}%`);
+    const change = (value) =>
+      value === null ? "–" : `${value > 0 ? "+" : ""}${value} pp`;
+    const cells = (values, tag) =>
+      values
+        .map(
+          (value) =>
+            `<${tag} style="padding:4px 8px;border-bottom:1px solid #ddd;text-align:left">${CongestionReport.escape(
+              value
+            )}</${tag}>`
+        )
+        .join("");
+    const header = cells(
+      [
+        "Location",
+        "Samples",
+        "혼잡",
+        this.period.kind === "daily" ? "Same day last week" : "Previous week",
+        "Change",
+        "Peak hours",
+      ],
+      "th"
+    );
+    const body = this.rows
+      .map(
+        (row) =>
+          `<tr>${cells(
+            [
+              row.location,
+              row.samples,
+              percent(row.congested),
+              percent(row.previous),
+              change(row.change),
+              row.peakHours.map(CongestionReport.formatHour).join(", ") || "–",
+            ],
+            "td"
+          )}</tr>`
+      )
+      .join("");
+    return [
+      `<h2>${CongestionReport.escape(this.getTitle())}</h2>`,
+      `<p>${CongestionReport.escape(this.site.getName())}</p>`,
+      `<table style="border-collapse:collapse"><tr>${header}</tr>${body}</table>`,
+      `<p>${CongestionReport.escape(this.describeScrapes())}</p>`,
+    ].join("\n");
+  }
+
+  /** @returns {string} */
+  describeScrapes() {
+    if (!this.scrapes) {
+      return "Missed scrapes: unknown (the scrape trigger has no fixed interval).";
+    }
+    const { expected, missed } = this.scrapes;
+    return `Missed scrapes: ${missed} of ${expected} scheduled during opening hours.`;
+  }
+
+  /**
+   * Emails the report as HTML.
+   * @param {string} recipients Comma-separated addresses.
+   * @returns {Success<CongestionReport>|Failure}
+   */
+  send(recipients) {
+    try {
+      MailApp.sendEmail({
+        to: recipients,
+        subject: `[SJLib Archiver: ${this.site.getName()}] ${this.getTitle()}`,
+        body: this.toText(),
+        htmlBody: this.toHtml(),
+      });
+      Logger.log(`Sent ${this.period.kind} report to ${recipients}.`);
+      return new Success(this);
+    } catch (e) {
+      return new Failure(`Error in 'send': ${e}`, ErrorCategory.UNKNOWN);
+    }
+  }
+
+  /**
+   * @param {number} hour
+   * @returns {string} e.g. "09:00".
+   */
+  static formatHour(hour) {
+    return `${String(hour).padStart(2, "0")}:00`;
+  }
+
+  /**
+   * @param {*} value
+   * @returns {string} The value with HTML special characters escaped.
+   */
+  static escape(value) {
+    return String(value).replace(
+      /[&<>"']/g,
+      (c) =>
+        ({
+          "&": "&amp;",
+          "<": "&lt;",
+          ">": "&gt;",
+          '"': "&quot;",
+          "'": "&#39;",
+        }[c])
+    );
+  }
+}
+
+/** Days covered by each kind of report. */
+CongestionReport.DAYS = { daily: 1, weekly: 7 };
+
+CongestionReport.PEAK_HOURS = 3;
+
+CongestionReport.ALL_LOCATIONS = "All locations";
+
+CongestionReport.SHEET_NAME = "Reports";
+
+CongestionReport.HEADER = [
+  "Generated",
+  "Site",
+  "Period",
+  "From",
+  "To",
+  "Location",
+  "Samples",
+  "Congested %",
+  "Previous %",
+  "Change (pp)",
+  "Peak Hours",
+  "Scheduled Scrapes",
+  "Missed Scrapes",
+];
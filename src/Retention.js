@@ -0,0 +1,290 @@
+/**
+ * Keeps a site's Complexity sheet small. Rows older than `RETENTION_DAYS`
+ * move to yearly archive spreadsheets named "<spreadsheet> Archive <year>",
+ * which hold the rows in a sheet of the same name and their hourly
+ * summary. With `RETENTION_MODE` "summary" only the summary is kept.
+ */
+class Retention {
+  /**
+   * @param {number} days Rows from this many days back are kept.
+   * @param {string} mode "rows" or "summary".
+   */
+  constructor(days, mode) {
+    this.days = days;
+    this.mode = mode;
+  }
+
+  /**
+   * Reads `RETENTION_DAYS` (default 365) and `RETENTION_MODE` (default
+   * "rows").
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @returns {Success<Retention>|Failure}
+   */
+  static fromProperties(properties) {
+    const days = Number(
+      properties.getProperty("RETENTION_DAYS") || Retention.DEFAULT_DAYS
+    );
+    const mode = String(
+      properties.getProperty("RETENTION_MODE") || Retention.MODES[0]
+    ).toLowerCase();
+    if (!Number.isInteger(days) || days < 1) {
+      return new Failure(
+        `Invalid RETENTION_DAYS '${days}', expected a whole number of days.`,
+        ErrorCategory.CONFIG
+      );
+    }
+    if (!Retention.MODES.includes(mode)) {
+      return new Failure(
+        `Unknown RETENTION_MODE '${mode}'. Use one of: ${Retention.MODES.join(
+          ", "
+        )}.`,
+        ErrorCategory.CONFIG
+      );
+    }
+    return new Success(new Retention(days, mode));
+  }
+
+  /** @returns {number} */
+  getDays() {
+    return this.days;
+  }
+
+  /** @returns {string} */
+  getMode() {
+    return this.mode;
+  }
+
+  /**
+   * The first day that stays in the live sheet; whole days are archived so
+   * no hourly bucket is split between the two.
+   * @param {Date} now
+   * @returns {string} "yyyy-MM-dd" (KST).
+   */
+  cutoffFor(now) {
+    return Forecaster.addDays(
+      Utilities.formatDate(now, Complexity.TIME_ZONE, "yyyy-MM-dd"),
+      -this.days
+    );
+  }
+
+  /**
+   * Moves one site's rows from before the cutoff into the archives, then
+   * rewrites the live sheet and its summary without them. The archives are
+   * written first, so a failure part-way never loses rows; re-running
+   * skips rows an archive already has. (In "summary" mode there are no
+   * rows to compare against, so a run that stops between the two steps
+   * counts its rows twice.)
+   * @param {Site} site
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @param {Date} now
+   * @returns {Success<{archived: number, years: string[], before: string}>|Failure}
+   */
+  apply(site, properties, now) {
+    const before = this.cutoffFor(now);
+    return MySheet.fromNames(
+      site.getSpreadsheetName(),
+      site.getSheetName()
+    ).bind((live) =>
+      live.getRows().bind((rows) => {
+        const byYear = {};
+        const kept = [];
+        rows.forEach((row) => {
+          const date =
+            row[0] instanceof Date
+              ? Utilities.formatDate(row[0], Complexity.TIME_ZONE, "yyyy-MM-dd")
+              : null;
+          if (date === null || date >= before) {
+            kept.push(row);
+            return;
+          }
+          const year = date.slice(0, 4);
+          if (!byYear[year]) byYear[year] = [];
+          byYear[year].push(row);
+        });
+
+        const years = Object.keys(byYear).sort();
+        const report = {
+          archived: rows.length - kept.length,
+          years: years,
+          before: before,
+        };
+        if (years.length === 0) {
+          return new Success(report);
+        }
+
+        for (const year of years) {
+          const archived = this.archive(site, year, byYear[year]);
+          if (archived instanceof Failure) return archived;
+        }
+        const recorded = Archive.record(properties, site, years, before);
+        if (recorded instanceof Failure) return recorded;
+
+        return live
+          .replaceRows(kept)
+          .bind(() =>
+            Summary.rebuild(
+              live.getSpreadsheet(),
+              site.getSheetName(),
+              site.getSummarySheetName()
+            )
+          )
+          .map(() => report);
+      })
+    );
+  }
+
+  /**
+   * Adds one year's rows to that year's archive spreadsheet.
+   * @param {Site} site
+   * @param {string} year
+   * @param {Array<Array<*>>} rows
+   * @returns {Success<number>|Failure} The number of summary rows written.
+   */
+  archive(site, year, rows) {
+    const name = Archive.nameFor(site, year);
+    const summaryName = site.getSummarySheetName();
+    if (this.mode === "summary") {
+      Logger.log(`Summarizing ${rows.length} row(s) into '${name}'.`);
+      return MySheet.fromFileName(name, "").bind((archive) => {
+        const spreadsheet = archive.getSpreadsheet();
+        return Summary.read(spreadsheet, summaryName).bind((existing) =>
+          Summary.sheetOf(spreadsheet, summaryName).bind((target) =>
+            Summary.write(
+              target,
+              Summary.combine(existing.concat(Summary.bucketsOf(rows)))
+            )
+          )
+        );
+      });
+    }
+    return MySheet.fromNames(name, site.getSheetName()).bind((target) => {
+      const index = target.getRowIndex();
+      const missing = rows.filter((row) => !index.has(MySheet.rowKey(row)));
+      Logger.log(
+        `Archiving ${missing.length} row(s) to '${name}' (${
+          rows.length - missing.length
+        } already there).`
+      );
+      return target
+        .append(missing)
+        .bind(() =>
+          Summary.rebuild(
+            target.getSpreadsheet(),
+            site.getSheetName(),
+            summaryName
+          )
+        );
+    });
+  }
+}
+
+Retention.DEFAULT_DAYS = 365;
+
+Retention.MODES = ["rows", "summary"];
+
+/**
+ * The yearly archive spreadsheets written by Retention. Which years a site
+ * has archived, and the first day still in its live sheet, are kept in the
+ * `ARCHIVE_STATE:<site id>` script property.
+ */
+class Archive {
+  /**
+   * @param {Site} site
+   * @param {string|number} year
+   * @returns {string} e.g. "SJCityLib Archive 2024".
+   */
+  static nameFor(site, year) {
+    return `${site.getSpreadsheetName()} Archive ${year}`;
+  }
+
+  /**
+   * @param {Site} site
+   * @returns {string}
+   */
+  static stateKeyFor(site) {
+    return `${Archive.STATE_KEY}:${site.getId()}`;
+  }
+
+  /**
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @param {Site} site
+   * @returns {{years: string[], before: ?string}}
+   */
+  static stateOf(properties, site) {
+    const saved = properties.getProperty(Archive.stateKeyFor(site));
+    return Object.assign(
+      { years: [], before: null },
+      saved ? JSON.parse(saved) : {}
+    );
+  }
+
+  /**
+   * Adds archived years and moves the start of the live sheet forward.
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @param {Site} site
+   * @param {string[]} years
+   * @param {string} before "yyyy-MM-dd".
+   * @returns {Success<Object>|Failure} The new state.
+   */
+  static record(properties, site, years, before) {
+    try {
+      const state = Archive.stateOf(properties, site);
+      state.years = Array.from(new Set(state.years.concat(years))).sort();
+      if (!state.before || before > state.before) state.before = before;
+      properties.setProperty(Archive.stateKeyFor(site), JSON.stringify(state));
+      return new Success(state);
+    } catch (e) {
+      return new Failure(`Error in 'record': ${e}`, ErrorCategory.STORAGE);
+    }
+  }
+
+  /**
+   * The archived years a query reaches into: none when it starts inside
+   * the live sheet, otherwise those between its start and end.
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @param {Site} site
+   * @param {DashboardQuery} query
+   * @returns {string[]}
+   */
+  static yearsFor(properties, site, query) {
+    const state = Archive.stateOf(properties, site);
+    if (!state.before || (query.from && query.from >= state.before)) {
+      return [];
+    }
+    return state.years.filter(
+      (year) =>
+        (!query.from || year >= query.from.slice(0, 4)) &&
+        (!query.to || year <= query.to.slice(0, 4))
+    );
+  }
+
+  /**
+   * Opens the archive spreadsheets a query needs. Archives that were
+   * deleted or renamed are skipped.
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @param {Site} site
+   * @param {DashboardQuery} query
+   * @returns {Success<GoogleAppsScript.Spreadsheet.Spreadsheet[]>|Failure}
+   */
+  static open(properties, site, query) {
+    try {
+      const spreadsheets = [];
+      Archive.yearsFor(properties, site, query).forEach((year) => {
+        const name = Archive.nameFor(site, year);
+        // Only where MySheet.fromFileName created it: a file with the same
+        // name shared from elsewhere is not the archive.
+        const files = DriveApp.getRootFolder().getFilesByName(name);
+        if (!files.hasNext()) {
+          Logger.log(`Archive '${name}' not found; skipping it.`);
+          return;
+        }
+        spreadsheets.push(SpreadsheetApp.open(files.next()));
+      });
+      return new Success(spreadsheets);
+    } catch (e) {
+      return new Failure(`Error in 'open': ${e}`, ErrorCategory.STORAGE);
+    }
+  }
+}
+
+Archive.STATE_KEY = "ARCHIVE_STATE";
@@ -0,0 +1,179 @@
+/**
+ * Records one execution of the scrape pipeline and writes it as a row to
+ * the `RunLog` sheet, so failures can be audited after Logger output is gone.
+ */
+class RunLog {
+  /**
+   * @param {Date} startedAt
+   * @param {string} [siteId] The site being scraped; see Site.
+   */
+  constructor(startedAt, siteId = "") {
+    this.startedAt = startedAt;
+    this.siteId = siteId;
+    this.stage = "start";
+    this.httpCode = null;
+    this.rowsParsed = 0;
+    this.rowsSaved = 0;
+    this.warnings = [];
+  }
+
+  /**
+   * @param {string} [siteId]
+   * @returns {RunLog}
+   */
+  static start(siteId) {
+    return new RunLog(new Date(), siteId);
+  }
+
+  /** @returns {Date} */
+  getStartedAt() {
+    return this.startedAt;
+  }
+
+  /**
+   * The last pipeline stage that was entered.
+   * @returns {string}
+   */
+  getStage() {
+    return this.stage;
+  }
+
+  /**
+   * Wraps a pipeline step so that entering it is recorded as the current
+   * stage. Meant to be passed straight to `bind` or `map`.
+   * @param {string} stage
+   * @param {function(any): any} fn
+   * @returns {function(any): any}
+   */
+  track(stage, fn) {
+    return (value) => {
+      this.stage = stage;
+      return fn(value);
+    };
+  }
+
+  /**
+   * Wraps a pipeline step for `bind`: entering it is recorded as the current
+   * stage, and a failure it returns or throws is tagged with the stage (see
+   * Failure#withContext).
+   * @param {string} stage
+   * @param {function(any): (Success|Failure)} fn
+   * @returns {function(any): (Success|Failure)}
+   */
+  step(stage, fn) {
+    return (value) => {
+      this.stage = stage;
+      return new Success(value).bind(fn).withContext({ step: stage });
+    };
+  }
+
+  /** @param {number} httpCode */
+  setHttpCode(httpCode) {
+    this.httpCode = httpCode;
+  }
+
+  /** @param {number} rowsParsed */
+  setRowsParsed(rowsParsed) {
+    this.rowsParsed = rowsParsed;
+  }
+
+  /** @param {number} rowsSaved */
+  setRowsSaved(rowsSaved) {
+    this.rowsSaved = rowsSaved;
+  }
+
+  /**
+   * Records a problem that didn't stop the run, e.g. partial layout drift.
+   * @param {string} warning
+   */
+  addWarning(warning) {
+    this.warnings.push(warning);
+  }
+
+  /** @returns {string[]} */
+  getWarnings() {
+    return this.warnings;
+  }
+
+  /**
+   * Builds the sheet row for the final result of the run.
+   * @param {Success|Failure} result
+   * @param {Date} [finishedAt]
+   * @returns {Array<*>}
+   */
+  toRow(result, finishedAt = new Date()) {
+    const failed = result instanceof Failure;
+    let outcome = "success";
+    if (failed) {
+      outcome = RunLog.isSkipped(result) ? "skipped" : "failure";
+    }
+
+    return [
+      this.startedAt,
+      (finishedAt.getTime() - this.startedAt.getTime()) / 1000,
+      failed ? result.getStep() || this.stage : "done",
+      outcome,
+      failed ? result.getCategory() : "",
+      failed ? ScraperApiFetcher.redact(result.getMessage()) : "",
+      this.httpCode === null ? "" : this.httpCode,
+      this.rowsParsed,
+      this.rowsSaved,
+      this.siteId,
+      this.warnings.join("\n"),
+    ];
+  }
+
+  /**
+   * Appends the run to the `RunLog` sheet of the given spreadsheet. Uses
+   * `appendRow`, which is atomic, because a run skipped for the lock
+   * writes its row while another run may be writing too.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet
+   * @param {Success|Failure} result
+   * @param {Date} [finishedAt]
+   * @returns {Success<MySheet>|Failure}
+   */
+  saveTo(spreadsheet, result, finishedAt = new Date()) {
+    const row = this.toRow(result, finishedAt);
+    return MySheet.fromSheetName(
+      spreadsheet,
+      RunLog.SHEET_NAME,
+      RunLog.HEADER
+    ).map((mySheet) => {
+      mySheet.getSheet().appendRow(row);
+      return mySheet;
+    });
+  }
+
+  /**
+   * Whether a run was skipped rather than failed: running outside opening
+   * hours, or while another run holds the lock, is expected. A stale lock
+   * is not.
+   * @param {Success|Failure} result
+   * @returns {boolean}
+   */
+  static isSkipped(result) {
+    if (!(result instanceof Failure)) return false;
+    const category = result.getCategory();
+    return (
+      category === ErrorCategory.SCHEDULE ||
+      (category === ErrorCategory.LOCK &&
+        !(result.getError() instanceof StaleLockError))
+    );
+  }
+}
+
+RunLog.SHEET_NAME = "RunLog";
+
+RunLog.HEADER = [
+  "Started",
+  "Duration (s)",
+  "Stage",
+  "Outcome",
+  "Category",
+  "Message",
+  "HTTP Code",
+  "Rows Parsed",
+  "Rows Saved",
+  "Site",
+  "Warnings",
+];
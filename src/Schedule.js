@@ -0,0 +1,336 @@
+/**
+ * The library's operating calendar: weekly opening hours, regular closures
+ * (e.g. "2nd and 4th Monday"), Korean public holidays, one-off closed dates
+ * and one-off changed hours. Days use the `u` format: 1=Mon ... 7=Sun.
+ */
+class Schedule {
+  /**
+   * @param {Object<number, ?{open: number, close: number}>} weeklyHours
+   *     Opening hours per weekday; `close` is exclusive. null = closed.
+   * @param {{day: number, weeks: number[]}[]} regularClosures
+   *     Weekday closures; an empty `weeks` means every week of the month.
+   * @param {Object<string, string>} closedDates "yyyy-MM-dd" -> reason.
+   * @param {Object<string, ?{open: number, close: number}>} exceptions
+   *     "yyyy-MM-dd" -> hours for that date, overriding everything else.
+   */
+  constructor(weeklyHours, regularClosures, closedDates, exceptions) {
+    this.weeklyHours = weeklyHours;
+    this.regularClosures = regularClosures;
+    this.closedDates = closedDates;
+    this.exceptions = exceptions;
+  }
+
+  /**
+   * Builds the schedule from the `SCHEDULE_JSON` script property and the
+   * optional `Schedule` tab of the given spreadsheet. Anything not
+   * configured keeps the default (weekdays 09-22, weekends 09-18,
+   * Korean public holidays closed).
+   *
+   * SCHEDULE_JSON example:
+   *   {
+   *     "hours": { "mon": [9, 22], "sat": [9, 18], "sun": null },
+   *     "regularClosures": [{ "day": "mon", "weeks": [2, 4] }],
+   *     "closedDates": ["2025-12-31"],
+   *     "exceptions": { "2025-12-24": [9, 15] },
+   *     "publicHolidays": true
+   *   }
+   *
+   * The `Schedule` tab has a header row, then `Date | Open | Close | Note`
+   * rows. A row with empty Open/Close closes the library on that date;
+   * otherwise it sets that day's hours.
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} [spreadsheet]
+   * @returns {Success<Schedule>|Failure}
+   */
+  static fromProperties(properties, spreadsheet) {
+    let config;
+    try {
+      config = JSON.parse(properties.getProperty("SCHEDULE_JSON") || "{}");
+    } catch (e) {
+      return new Failure(
+        `SCHEDULE_JSON is not valid JSON: ${e.message}`,
+        ErrorCategory.CONFIG
+      );
+    }
+    return Schedule.fromConfig(config, spreadsheet);
+  }
+
+  /**
+   * Builds the schedule from an already parsed SCHEDULE_JSON-style object,
+   * e.g. a site's own `schedule` entry.
+   * @param {Object} config
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} [spreadsheet]
+   * @returns {Success<Schedule>|Failure}
+   */
+  static fromConfig(config, spreadsheet) {
+    try {
+      const weeklyHours = Object.assign({}, Schedule.DEFAULT_HOURS);
+      Object.keys(config.hours || {}).forEach((name) => {
+        weeklyHours[Schedule.parseDay(name)] = Schedule.parseHours(
+          config.hours[name]
+        );
+      });
+
+      const regularClosures = (config.regularClosures || []).map((entry) =>
+        typeof entry === "string"
+          ? { day: Schedule.parseDay(entry), weeks: [] }
+          : { day: Schedule.parseDay(entry.day), weeks: entry.weeks || [] }
+      );
+
+      const closedDates =
+        config.publicHolidays === false
+          ? {}
+          : Object.assign({}, Schedule.KOREAN_PUBLIC_HOLIDAYS);
+      if (config.publicHolidays !== false) {
+        Schedule.warnIfHolidaysMissing(new Date());
+      }
+      (config.closedDates || []).forEach((date) => {
+        closedDates[date] = "Closed";
+      });
+
+      const exceptions = {};
+      Object.keys(config.exceptions || {}).forEach((date) => {
+        exceptions[date] = Schedule.parseHours(config.exceptions[date]);
+      });
+
+      if (spreadsheet) {
+        Object.assign(exceptions, Schedule.readSheetExceptions(spreadsheet));
+      }
+
+      return new Success(
+        new Schedule(weeklyHours, regularClosures, closedDates, exceptions)
+      );
+    } catch (e) {
+      return new Failure(
+        `Invalid schedule configuration: ${e.message}`,
+        ErrorCategory.CONFIG
+      );
+    }
+  }
+
+  /**
+   * Logs a warning when the built-in holiday list doesn't cover the year
+   * of `now`; its holidays would otherwise count as ordinary open days.
+   * @param {Date} now
+   * @returns {boolean} Whether the year is covered.
+   */
+  static warnIfHolidaysMissing(now) {
+    const year = Utilities.formatDate(now, Complexity.TIME_ZONE, "yyyy");
+    const covered = Object.keys(Schedule.KOREAN_PUBLIC_HOLIDAYS).some((date) =>
+      date.startsWith(`${year}-`)
+    );
+    if (!covered) {
+      Logger.log(
+        `Warning: the built-in Korean public holidays end before ${year}, so this year's holidays count as open days. Add them to Schedule.KOREAN_PUBLIC_HOLIDAYS or to 'closedDates' in SCHEDULE_JSON.`
+      );
+    }
+    return covered;
+  }
+
+  /**
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet
+   * @returns {Object<string, ?{open: number, close: number}>}
+   */
+  static readSheetExceptions(spreadsheet) {
+    const sheet = spreadsheet.getSheetByName(Schedule.SHEET_NAME);
+    if (!sheet || sheet.getLastRow() < 2) {
+      return {};
+    }
+
+    const timeZone = spreadsheet.getSpreadsheetTimeZone();
+    const exceptions = {};
+    sheet
+      .getRange(2, 1, sheet.getLastRow() - 1, 3)
+      .getValues()
+      .forEach(([date, open, close]) => {
+        if (date === "") return;
+        const key =
+          date instanceof Date
+            ? Utilities.formatDate(date, timeZone, "yyyy-MM-dd")
+            : String(date).trim();
+        exceptions[key] =
+          open === "" || close === ""
+            ? null
+            : Schedule.parseHours([open, close]);
+      });
+    Logger.log(
+      `Loaded ${Object.keys(exceptions).length} schedule exception(s) from '${
+        Schedule.SHEET_NAME
+      }'.`
+    );
+    return exceptions;
+  }
+
+  /**
+   * @param {string|number} day "mon".."sun" or 1..7.
+   * @returns {number}
+   */
+  static parseDay(day) {
+    const index =
+      typeof day === "number"
+        ? day
+        : Schedule.DAY_NAMES.indexOf(String(day).slice(0, 3).toLowerCase()) + 1;
+    if (!(index >= 1 && index <= 7)) {
+      throw new Error(`Unknown day '${day}'.`);
+    }
+    return index;
+  }
+
+  /**
+   * @param {?number[]} hours [open, close] in whole hours, or null.
+   * @returns {?{open: number, close: number}}
+   */
+  static parseHours(hours) {
+    if (hours === null) {
+      return null;
+    }
+    const [open, close] = hours.map(Number);
+    if (!(open >= 0 && close <= 24 && open < close)) {
+      throw new Error(`Invalid hours '${JSON.stringify(hours)}'.`);
+    }
+    return { open: open, close: close };
+  }
+
+  /**
+   * Opening hours on a date, after applying closures and exceptions.
+   * @param {string} date "yyyy-MM-dd" (KST).
+   * @param {number} dayOfWeek 1=Mon ... 7=Sun.
+   * @returns {{hours: ?{open: number, close: number}, reason: string}}
+   */
+  getHoursOn(date, dayOfWeek) {
+    if (date in this.exceptions) {
+      const hours = this.exceptions[date];
+      return { hours: hours, reason: hours ? "Changed hours" : "Closed" };
+    }
+    if (date in this.closedDates) {
+      return { hours: null, reason: this.closedDates[date] };
+    }
+
+    const weekOfMonth = Math.ceil(parseInt(date.slice(8, 10), 10) / 7);
+    const regular = this.regularClosures.some(
+      (closure) =>
+        closure.day === dayOfWeek &&
+        (closure.weeks.length === 0 || closure.weeks.includes(weekOfMonth))
+    );
+    if (regular) {
+      return { hours: null, reason: "Regular closure" };
+    }
+
+    const hours = this.weeklyHours[dayOfWeek] || null;
+    return { hours: hours, reason: hours ? "Open" : "Closed" };
+  }
+
+  /**
+   * @param {string} date "yyyy-MM-dd" (KST).
+   * @param {number} dayOfWeek 1=Mon ... 7=Sun.
+   * @param {number} hourOfDay 0-23.
+   * @returns {boolean}
+   */
+  isOpen(date, dayOfWeek, hourOfDay) {
+    const { hours } = this.getHoursOn(date, dayOfWeek);
+    return hours !== null && hourOfDay >= hours.open && hourOfDay < hours.close;
+  }
+
+  /**
+   * A plain-object view for the web app.
+   * @returns {{weeklyHours: Object<string, ?{open: number, close: number}>}}
+   */
+  describe() {
+    const weeklyHours = {};
+    Schedule.DAY_NAMES.forEach((name, i) => {
+      weeklyHours[Schedule.FULL_DAY_NAMES[i]] = this.weeklyHours[i + 1] || null;
+    });
+    return { weeklyHours: weeklyHours };
+  }
+}
+
+Schedule.SHEET_NAME = "Schedule";
+
+Schedule.DAY_NAMES = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+
+Schedule.FULL_DAY_NAMES = [
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+  "Sunday",
+];
+
+/** Weekdays 09:00-22:00, weekends 09:00-18:00 KST. */
+Schedule.DEFAULT_HOURS = {
+  1: { open: 9, close: 22 },
+  2: { open: 9, close: 22 },
+  3: { open: 9, close: 22 },
+  4: { open: 9, close: 22 },
+  5: { open: 9, close: 22 },
+  6: { open: 9, close: 18 },
+  7: { open: 9, close: 18 },
+};
+
+/**
+ * Korean public holidays, including substitute and election days.
+ * Add later years here, or through `closedDates` in SCHEDULE_JSON.
+ */
+Schedule.KOREAN_PUBLIC_HOLIDAYS = {
+  "2025-01-01": "신정",
+  "2025-01-27": "임시공휴일",
+  "2025-01-28": "설날 연휴",
+  "2025-01-29": "설날",
+  "2025-01-30": "설날 연휴",
+  "2025-03-01": "삼일절",
+  "2025-03-03": "대체공휴일",
+  "2025-05-05": "어린이날 / 부처님오신날",
+  "2025-05-06": "대체공휴일",
+  "2025-06-03": "대통령선거일",
+  "2025-06-06": "현충일",
+  "2025-08-15": "광복절",
+  "2025-10-03": "개천절",
+  "2025-10-05": "추석 연휴",
+  "2025-10-06": "추석",
+  "2025-10-07": "추석 연휴",
+  "2025-10-08": "대체공휴일",
+  "2025-10-09": "한글날",
+  "2025-12-25": "성탄절",
+  "2026-01-01": "신정",
+  "2026-02-16": "설날 연휴",
+  "2026-02-17": "설날",
+  "2026-02-18": "설날 연휴",
+  "2026-03-01": "삼일절",
+  "2026-03-02": "대체공휴일",
+  "2026-05-05": "어린이날",
+  "2026-05-24": "부처님오신날",
+  "2026-05-25": "대체공휴일",
+  "2026-06-03": "전국동시지방선거일",
+  "2026-06-06": "현충일",
+  "2026-08-15": "광복절",
+  "2026-08-17": "대체공휴일",
+  "2026-09-24": "추석 연휴",
+  "2026-09-25": "추석",
+  "2026-09-26": "추석 연휴",
+  "2026-10-03": "개천절",
+  "2026-10-05": "대체공휴일",
+  "2026-10-09": "한글날",
+  "2026-12-25": "성탄절",
+  "2027-01-01": "신정",
+  "2027-02-06": "설날 연휴",
+  "2027-02-07": "설날",
+  "2027-02-08": "설날 연휴",
+  "2027-02-09": "대체공휴일",
+  "2027-03-01": "삼일절",
+  "2027-05-05": "어린이날",
+  "2027-05-13": "부처님오신날",
+  "2027-06-06": "현충일",
+  "2027-08-15": "광복절",
+  "2027-08-16": "대체공휴일",
+  "2027-09-14": "추석 연휴",
+  "2027-09-15": "추석",
+  "2027-09-16": "추석 연휴",
+  "2027-10-03": "개천절",
+  "2027-10-04": "대체공휴일",
+  "2027-10-09": "한글날",
+  "2027-10-11": "대체공휴일",
+  "2027-12-25": "성탄절",
+  "2027-12-27": "대체공휴일",
+};
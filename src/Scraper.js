@@ -1,49 +1,338 @@
 /**
  * Main function to run the scraper.
- * (This function is already well-structured and needs no changes)
+ * Scrapes every registered site (see Site.loadAll) in turn; a problem with
+ * one site never stops the others. Only one run scrapes at a time (see
+ * RunLock).
  */
 function main() {
-  const apikey =
-    PropertiesService.getScriptProperties().getProperty("SCRAPERAPI_API_KEY");
-
-  // Get Result 1: The scraped data
-  const complexities = ScraperAPI.fromApiKey(
-    "https://lib.sejong.go.kr/main/site/sensor/traffic.do",
-    apikey
-  )
-    .bind((scraper) => scraper.hasValidTime())
-    .bind((scraper) => Response.fromScraperAPI(scraper))
-    .bind((response) => response.hasValidCode())
-    .bind((response) => Complexity.fromResponse(response));
-
-  // Get Result 2: The spreadsheet
-  // (This now uses the cleaner, refactored 'fromNames')
-  const mySheetResult = MySheet.fromNames("SJCityLib", "Complexity");
-
-  // Combine results: Pass Result 1 into a method of Result 2
-  const saveResult = mySheetResult.bind((mySheet) =>
-    mySheet.saveFrom(complexities)
+  const properties = PropertiesService.getScriptProperties();
+  const fetchers = FetcherChain.fromProperties(properties);
+  const sites = Site.loadAll(properties);
+
+  // The registry keeps a streak of its own, so that an outage alerts once
+  // and the first run that loads the sites again sends the recovery.
+  Alerter.fromProperties(properties)
+    .bind((alerter) => alerter.record(sites, new Date()))
+    .tapError((error) =>
+      Logger.log(`Could not update alert state: ${error.getMessage()}`)
+    );
+  sites.match({
+    success: (loaded) => scrapeSites(loaded, properties, fetchers),
+    failure: (failure) =>
+      Logger.log(`Could not load sites: ${failure.getMessage()}`),
+  });
+}
+
+/**
+ * Scrapes the sites one after the other under the run lock.
+ * @param {Site[]} sites
+ * @param {GoogleAppsScript.Properties.Properties} properties
+ * @param {Success<FetcherChain>|Failure} fetchers
+ */
+function scrapeSites(sites, properties, fetchers) {
+  // Overlapping runs would both write to the sheets, so only the run that
+  // holds the lock scrapes; the others are recorded as skipped.
+  const lock = RunLock.acquire(properties);
+  const abandoned = lock.fold(
+    (held) => held.getAbandoned(),
+    () => null
   );
+  if (abandoned) {
+    recordAbandonedRun(abandoned, sites, properties);
+  }
+
+  try {
+    sites.forEach((site) => {
+      try {
+        lock.tap((held) => held.beat(site.getId(), "scrape"));
+        scrapeSite(site, properties, fetchers, lock);
+      } catch (e) {
+        Logger.log(`Unexpected error while scraping '${site.getId()}': ${e}`);
+      }
+    });
+  } finally {
+    lock.tap((held) => held.release());
+  }
+}
+
+/**
+ * Reports an earlier run that ended while holding the lock, usually because
+ * it hit the execution time limit: a failed RunLog row for the site it was
+ * working on, which also counts towards that site's alert.
+ * @param {{startedAt: string, heartbeat: string, site: string, stage: string}} heartbeat
+ * @param {Site[]} sites
+ * @param {GoogleAppsScript.Properties.Properties} properties
+ */
+function recordAbandonedRun(heartbeat, sites, properties) {
+  const site =
+    sites.find((candidate) => candidate.getId() === heartbeat.site) || sites[0];
+  const lastSeen = new Date(heartbeat.heartbeat);
+  const failure = new Failure(
+    new StaleLockError(
+      `The run stopped without releasing the lock (last heartbeat ${Alerter.formatTime(
+        lastSeen
+      )}, '${heartbeat.site || "-"}' at '${
+        heartbeat.stage
+      }'); it probably hit the execution time limit.`,
+      heartbeat
+    ),
+    ErrorCategory.LOCK
+  );
+  Logger.log(failure.getMessage());
+
+  const run = new RunLog(new Date(heartbeat.startedAt), site.getId());
+  MySheet.fromNames(site.getSpreadsheetName(), site.getSheetName())
+    .bind((mySheet) => run.saveTo(mySheet.getSpreadsheet(), failure, lastSeen))
+    .tapError((error) =>
+      Logger.log(`Could not write run log: ${error.getMessage()}`)
+    );
+
+  Alerter.fromProperties(properties, site)
+    .bind((alerter) => alerter.record(failure, run.getStartedAt()))
+    .tapError((error) =>
+      Logger.log(`Could not update alert state: ${error.getMessage()}`)
+    );
+}
+
+/**
+ * Fetches, archives, parses and saves one site's traffic page, then
+ * records the run and updates the site's failure streak.
+ * @param {Site} site
+ * @param {GoogleAppsScript.Properties.Properties} properties
+ * @param {Success<FetcherChain>|Failure} fetchers
+ * @param {Success<RunLock>|Failure} lock The run's lock; when another run
+ *     holds it nothing is fetched or written except the RunLog row.
+ */
+function scrapeSite(site, properties, fetchers, lock) {
+  Logger.log(`Scraping '${site.getId()}' (${site.getUrl()}).`);
+  const run = RunLog.start(site.getId());
+
+  // Opened up front: the RunLog row goes here even when a step fails.
+  const mySheetResult = MySheet.fromNames(
+    site.getSpreadsheetName(),
+    site.getSheetName()
+  );
+
+  // The raw pages are archived here so they can be re-parsed later.
+  const snapshotStore = SnapshotStore.fromFolderName(site.getFolderName());
 
-  // Check the final combined result
-  if (saveResult instanceof Success) {
-    Logger.log("Operation Succeeded (including save):");
-
-    if (complexities instanceof Success) {
-      for (let {
-        timestamp,
-        floor,
-        location,
-        status,
-      } of complexities.getValue()) {
+  // Each step tags its failures with its name, so the RunLog shows where
+  // the chain stopped.
+  const result = lock
+    .withContext({ step: "lock" })
+    .bind(
+      run.step("config", () =>
+        fetchers.bind((chain) => ScraperAPI.fromFetchers(site.getUrl(), chain))
+      )
+    )
+    .bind(
+      // Opening hours, closures and holidays; the spreadsheet may add a
+      // 'Schedule' tab with one-off exceptions.
+      run.step("schedule", (scraper) =>
+        mySheetResult
+          .bind((mySheet) =>
+            site.getSchedule(properties, mySheet.getSpreadsheet())
+          )
+          .bind((calendar) => scraper.hasValidTime(calendar))
+      )
+    )
+    .bind(run.step("fetch", (scraper) => Response.fromScraperAPI(scraper)))
+    .tap((response) => run.setHttpCode(response.getResponseCode()))
+    .map(
+      run.track("archive", (response) =>
+        archiveSnapshot(snapshotStore, response)
+      )
+    )
+    .bind(run.step("validate", (response) => response.hasValidCode()))
+    .bind(
+      run.step("parse", (response) =>
+        Complexity.parse(response, site.getProfile())
+      )
+    )
+    // Partial drift keeps the rows that parsed but flags the run.
+    .map(({ rows, drift }) => {
+      if (drift) run.addWarning(drift.message);
+      return rows;
+    })
+    .tap((rows) => {
+      run.setRowsParsed(rows.length);
+      for (let { timestamp, floor, location, status } of rows) {
         Logger.log(
           `  - Timestamp: ${timestamp}, Floor: ${floor}, Location: ${location}, Status: ${status}`
         );
       }
+    })
+    .bind(
+      run.step("save", (rows) =>
+        mySheetResult.bind((mySheet) => mySheet.saveFrom(rows))
+      )
+    )
+    .tap((mySheet) => {
+      run.setRowsSaved(mySheet.getLastSave().inserted);
+      Logger.log("Operation Succeeded (including save).");
+    })
+    // Readings that don't fit the history, and locations that went missing
+    // or stopped changing. Runs before the summary update so that clearing
+    // the dashboard cache covers new flags too; a detector problem is
+    // logged but doesn't fail the run.
+    .tap((mySheet) =>
+      AnomalyDetector.fromProperties(properties)
+        .bind((detector) =>
+          detector.checkRun(
+            site,
+            mySheet.getSpreadsheet(),
+            mySheet.getLastSave().insertedComplexities,
+            properties
+          )
+        )
+        .tapError((failure) =>
+          Logger.log(`Could not check for anomalies: ${failure.getMessage()}`)
+        )
+    )
+    // Keep the dashboard's hourly and weekly aggregates in step with the
+    // new rows. A summary problem is logged but doesn't fail the run, and
+    // the cached dashboard is dropped either way.
+    .tap((mySheet) => {
+      Summary.addTo(
+        mySheet.getSpreadsheet(),
+        mySheet.getLastSave().insertedComplexities,
+        site.getSummarySheetName()
+      )
+        .bind(() =>
+          WeeklyProfile.addTo(
+            site,
+            mySheet.getSpreadsheet(),
+            mySheet.getLastSave().insertedComplexities,
+            properties
+          )
+        )
+        .tapError((failure) =>
+          Logger.log(`Could not update summary: ${failure.getMessage()}`)
+        );
+      DashboardCache.clear();
+    })
+    .tapError((failure) =>
+      Logger.log(
+        `Operation failed [${failure.getCategory()}] at '${
+          failure.getStep() || run.getStage()
+        }': ${failure.getMessage()}`
+      )
+    );
+
+  mySheetResult
+    .bind((mySheet) => run.saveTo(mySheet.getSpreadsheet(), result))
+    .tapError((failure) =>
+      Logger.log(`Could not write run log: ${failure.getMessage()}`)
+    );
+
+  Alerter.fromProperties(properties, site)
+    .bind((alerter) =>
+      alerter.record(result, run.getStartedAt(), run.getWarnings())
+    )
+    .tapError((failure) =>
+      Logger.log(`Could not update alert state: ${failure.getMessage()}`)
+    );
+}
+
+/**
+ * Re-parses archived HTML snapshots and writes their rows to a sheet.
+ * Timestamps that already have rows are skipped, so this can be re-run
+ * (e.g. after a parser fix, or when a run hits the execution time limit).
+ * Run this using 'clasp run backfill', or for one site of the registry
+ * with `clasp run backfill --params '["sejong"]'`.
+ * @param {string} [siteId] Defaults to the first registered site.
+ */
+function backfill(siteId) {
+  const properties = PropertiesService.getScriptProperties();
+  Site.find(properties, siteId)
+    .bind((site) => {
+      const mySheet = MySheet.fromNames(
+        site.getSpreadsheetName(),
+        site.getSheetName()
+      );
+      return Result.combine({
+        site: new Success(site),
+        mySheet: mySheet,
+        seen: mySheet.bind((sheet) => sheet.getTimestamps()),
+        files: SnapshotStore.fromFolderName(site.getFolderName()).bind(
+          (store) => store.listFiles()
+        ),
+      });
+    })
+    .match({
+      success: (sources) => backfillFrom_(properties, sources),
+      failure: (failure) =>
+        Logger.log(`Backfill failed: ${failure.getMessage()}`),
+    });
+}
+
+/**
+ * The body of backfill, once the site's sheet and snapshots are open.
+ * @param {GoogleAppsScript.Properties.Properties} properties
+ * @param {{site: Site, mySheet: MySheet, seen: Set<string>, files: Array<GoogleAppsScript.Drive.File>}} sources
+ */
+function backfillFrom_(properties, { site, mySheet, seen, files }) {
+  // Days moved to the archives by applyRetention are not brought back.
+  const archivedBefore = Archive.stateOf(properties, site).before;
+  let saved = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  withRunLock_(properties, "backfill", "Backfill", (lock) => {
+    files.forEach((file) => {
+      const match = Snapshot.FILE_NAME.exec(file.getName());
+      if (
+        seen.has(match[1]) ||
+        (archivedBefore && match[1].slice(0, 10) < archivedBefore)
+      ) {
+        skipped++;
+        return;
+      }
+
+      lock.beat(site.getId(), "backfill");
+      Snapshot.toResponse(file)
+        .bind((response) => response.hasValidCode())
+        .bind((response) =>
+          Complexity.fromResponse(response, site.getProfile())
+        )
+        .bind((rows) => mySheet.saveFrom(rows))
+        .match({
+          success: () => {
+            seen.add(match[1]);
+            saved++;
+          },
+          failure: (failure) => {
+            Logger.log(`Skipped '${file.getName()}': ${failure.getMessage()}`);
+            failed++;
+          },
+        });
+    });
+
+    Logger.log(
+      `Backfill finished: ${saved} snapshot(s) saved, ${skipped} already present or archived, ${failed} failed.`
+    );
+
+    if (saved > 0) {
+      rebuildSummaryOf_(site, properties);
     }
-  }
+  });
+}
 
-  if (saveResult instanceof Failure) {
-    Logger.log(`Operation failed: ${saveResult.getMessage()}`);
-  }
+/**
+ * Stores the raw page and tags the response with the snapshot's file ID.
+ * A storage problem is logged but never stops the scrape itself.
+ * @param {Success<SnapshotStore>|Failure} snapshotStore
+ * @param {Response} response
+ * @returns {Response}
+ */
+function archiveSnapshot(snapshotStore, response) {
+  return snapshotStore
+    .bind((store) => store.save(response))
+    .fold(
+      (file) => response.withSnapshotId(file.getId()),
+      (failure) => {
+        Logger.log(`Could not archive snapshot: ${failure.getMessage()}`);
+        return response;
+      }
+    );
 }
@@ -0,0 +1,444 @@
+/**
+ * The markup a traffic page uses: a `floorClass` element starts each floor,
+ * each `pinClass` element after it is a location on that floor, and the
+ * pin's status child carries a class matching `severityPattern`. A seat or
+ * visitor count in the pin's text is found with `countPattern`.
+ */
+class ParserProfile {
+  /**
+   * @param {string} name
+   * @param {string} floorClass
+   * @param {string} pinClass
+   * @param {RegExp} severityPattern Group 1 is the numeric severity.
+   * @param {RegExp} [countPattern] Group 1 is the count, the optional
+   *     group 2 the capacity.
+   */
+  constructor(
+    name,
+    floorClass,
+    pinClass,
+    severityPattern,
+    countPattern = ParserProfile.COUNT_PATTERN
+  ) {
+    this.name = name;
+    this.floorClass = floorClass;
+    this.pinClass = pinClass;
+    this.severityPattern = severityPattern;
+    this.countPattern = countPattern;
+  }
+
+  /** @returns {string} */
+  getName() {
+    return this.name;
+  }
+
+  /** @returns {string} */
+  getFloorClass() {
+    return this.floorClass;
+  }
+
+  /** @returns {string} */
+  getPinClass() {
+    return this.pinClass;
+  }
+
+  /** @returns {RegExp} */
+  getSeverityPattern() {
+    return this.severityPattern;
+  }
+
+  /** @returns {RegExp} */
+  getCountPattern() {
+    return this.countPattern;
+  }
+
+  /**
+   * Resolves a profile by built-in name ("sejong") or from a custom
+   * definition, e.g.
+   * `{"floorClass": "floor", "pinClass": "room", "severityPattern": "^lv(\\d+)$",
+   *   "countPattern": "(\\d+) seats"}`.
+   * Missing fields fall back to the Sejong markup.
+   * @param {string|Object} [spec] A name, an object, or a JSON string.
+   * @returns {Success<ParserProfile>|Failure}
+   */
+  static fromSpec(spec) {
+    if (spec === undefined || spec === null || spec === "") {
+      return new Success(ParserProfile.PROFILES.sejong);
+    }
+    try {
+      const text = typeof spec === "string" ? spec.trim() : null;
+      if (text !== null && !text.startsWith("{")) {
+        const profile = ParserProfile.PROFILES[text.toLowerCase()];
+        if (!profile) {
+          return new Failure(
+            `Unknown parser profile '${text}'. Built-in profiles: ${Object.keys(
+              ParserProfile.PROFILES
+            ).join(", ")}.`,
+            ErrorCategory.CONFIG
+          );
+        }
+        return new Success(profile);
+      }
+
+      const custom = text !== null ? JSON.parse(text) : spec;
+      const base = ParserProfile.PROFILES.sejong;
+      return new Success(
+        new ParserProfile(
+          custom.name || "custom",
+          custom.floorClass || base.getFloorClass(),
+          custom.pinClass || base.getPinClass(),
+          custom.severityPattern
+            ? new RegExp(custom.severityPattern)
+            : base.getSeverityPattern(),
+          custom.countPattern
+            ? new RegExp(custom.countPattern)
+            : base.getCountPattern()
+        )
+      );
+    } catch (e) {
+      return new Failure(
+        `Invalid parser profile ${JSON.stringify(spec)}: ${e.message}`,
+        ErrorCategory.CONFIG
+      );
+    }
+  }
+}
+
+/**
+ * "32/120", "32 / 120석", "45명" or "45석": a number followed by a
+ * capacity or a unit, so digits in names like "제1열람실" don't match.
+ */
+ParserProfile.COUNT_PATTERN =
+  /(\d[\d,]*)\s*(?:\/\s*(\d[\d,]*)\s*(?:석|명)?|(?:석|명))/;
+
+/** Built-in profiles by name. */
+ParserProfile.PROFILES = {
+  sejong: new ParserProfile("sejong", "f_num", "map_pin", /^situ(\d+)$/),
+};
+
+/**
+ * One library whose traffic page is archived: where to fetch it, how to
+ * parse it, when it is open, and where its rows and snapshots go.
+ */
+class Site {
+  /**
+   * @param {string} id Short unique key, e.g. "sejong".
+   * @param {string} name Shown in the dashboard.
+   * @param {string} url The traffic page.
+   * @param {ParserProfile} profile
+   * @param {?Object} schedule SCHEDULE_JSON-style config; null uses the
+   *     `SCHEDULE_JSON` script property.
+   * @param {string} spreadsheetName
+   * @param {string} sheetName
+   * @param {string} folderName Drive folder for the archived pages.
+   */
+  constructor(
+    id,
+    name,
+    url,
+    profile,
+    schedule,
+    spreadsheetName,
+    sheetName,
+    folderName
+  ) {
+    this.id = id;
+    this.name = name;
+    this.url = url;
+    this.profile = profile;
+    this.schedule = schedule;
+    this.spreadsheetName = spreadsheetName;
+    this.sheetName = sheetName;
+    this.folderName = folderName;
+  }
+
+  /** @returns {string} */
+  getId() {
+    return this.id;
+  }
+
+  /** @returns {string} */
+  getName() {
+    return this.name;
+  }
+
+  /** @returns {string} */
+  getUrl() {
+    return this.url;
+  }
+
+  /** @returns {ParserProfile} */
+  getProfile() {
+    return this.profile;
+  }
+
+  /** @returns {string} */
+  getSpreadsheetName() {
+    return this.spreadsheetName;
+  }
+
+  /** @returns {string} */
+  getSheetName() {
+    return this.sheetName;
+  }
+
+  /**
+   * The hourly summary sheet next to this site's rows: "Summary" for the
+   * original "Complexity" sheet, otherwise "<sheet> Summary".
+   * @returns {string}
+   */
+  getSummarySheetName() {
+    return this.sheetName === Site.DEFAULT.sheet
+      ? Summary.SHEET_NAME
+      : `${this.sheetName} ${Summary.SHEET_NAME}`;
+  }
+
+  /**
+   * The weekly profile sheet, named like the summary sheet: "Weekly
+   * Profile", otherwise "<sheet> Weekly Profile".
+   * @returns {string}
+   */
+  getProfileSheetName() {
+    return this.sheetName === Site.DEFAULT.sheet
+      ? WeeklyProfile.SHEET_NAME
+      : `${this.sheetName} ${WeeklyProfile.SHEET_NAME}`;
+  }
+
+  /** @returns {string} */
+  getFolderName() {
+    return this.folderName;
+  }
+
+  /**
+   * The site's calendar; the spreadsheet may add a 'Schedule' tab.
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} [spreadsheet]
+   * @returns {Success<Schedule>|Failure}
+   */
+  getSchedule(properties, spreadsheet) {
+    if (this.schedule === null) {
+      return Schedule.fromProperties(properties, spreadsheet);
+    }
+    return Schedule.fromConfig(this.schedule, spreadsheet);
+  }
+
+  /**
+   * @param {Object} entry One registry entry, see README.
+   * @returns {Success<Site>|Failure}
+   */
+  static fromObject(entry) {
+    const id = String(entry.id || "").trim();
+    if (!id) {
+      return new Failure(
+        `Site ${JSON.stringify(entry)} has no 'id'.`,
+        ErrorCategory.CONFIG
+      );
+    }
+    if (!entry.url) {
+      return new Failure(`Site '${id}' has no 'url'.`, ErrorCategory.CONFIG);
+    }
+
+    let schedule = entry.schedule || null;
+    if (typeof schedule === "string") {
+      try {
+        schedule = JSON.parse(schedule);
+      } catch (e) {
+        return new Failure(
+          `Site '${id}' has an invalid schedule: ${e.message}`,
+          ErrorCategory.CONFIG
+        );
+      }
+    }
+
+    return ParserProfile.fromSpec(entry.profile).map(
+      (profile) =>
+        new Site(
+          id,
+          entry.name || id,
+          String(entry.url),
+          profile,
+          schedule,
+          entry.spreadsheet || Site.DEFAULT.spreadsheet,
+          entry.sheet || Site.DEFAULT.sheet,
+          entry.folder || Site.DEFAULT.folder
+        )
+    );
+  }
+
+  /**
+   * Reads the site registry: the `SITES_JSON` script property (a JSON
+   * array of entries), else a 'Sites' tab in 'SJCityLib', else just the
+   * Sejong City Library with the original names.
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @returns {Success<Site[]>|Failure}
+   */
+  static loadAll(properties) {
+    const json = properties.getProperty("SITES_JSON");
+    let entries;
+    if (json) {
+      try {
+        entries = JSON.parse(json);
+      } catch (e) {
+        return new Failure(
+          `SITES_JSON is not valid JSON: ${e.message}`,
+          ErrorCategory.CONFIG
+        );
+      }
+      if (!Array.isArray(entries)) {
+        return new Failure(
+          "SITES_JSON must be a JSON array of sites.",
+          ErrorCategory.CONFIG
+        );
+      }
+    } else {
+      const sheetEntries = Site.readSheetEntries();
+      if (sheetEntries instanceof Failure) return sheetEntries;
+      entries = sheetEntries.getValue();
+    }
+    if (entries.length === 0) {
+      entries = [Site.DEFAULT];
+    }
+
+    const sites = [];
+    for (const entry of entries) {
+      const site = Site.fromObject(entry);
+      if (site instanceof Failure) return site;
+      sites.push(site.getValue());
+    }
+    return Site.checkUnique(sites).map(() => sites);
+  }
+
+  /**
+   * Reads entries from the optional 'Sites' tab of 'SJCityLib':
+   * `ID | Name | URL | Profile | Spreadsheet | Sheet | Folder | Schedule`.
+   * Rows without an ID are skipped.
+   * @returns {Success<Object[]>|Failure}
+   */
+  static readSheetEntries() {
+    try {
+      const files = DriveApp.getRootFolder().getFilesByName(
+        Site.DEFAULT.spreadsheet
+      );
+      if (!files.hasNext()) return new Success([]);
+      const sheet = SpreadsheetApp.openById(
+        files.next().getId()
+      ).getSheetByName(Site.SHEET_NAME);
+      if (!sheet || sheet.getLastRow() < 2) return new Success([]);
+
+      const entries = sheet
+        .getRange(2, 1, sheet.getLastRow() - 1, Site.SHEET_HEADER.length)
+        .getValues()
+        .filter((row) => String(row[0]).trim() !== "")
+        .map(
+          ([
+            id,
+            name,
+            url,
+            profile,
+            spreadsheet,
+            sheetName,
+            folder,
+            schedule,
+          ]) => ({
+            id: id,
+            name: name,
+            url: url,
+            profile: profile,
+            spreadsheet: spreadsheet,
+            sheet: sheetName,
+            folder: folder,
+            schedule: schedule,
+          })
+        );
+      Logger.log(`Loaded ${entries.length} site(s) from '${Site.SHEET_NAME}'.`);
+      return new Success(entries);
+    } catch (e) {
+      return new Failure(
+        `Error in 'readSheetEntries': ${e}`,
+        ErrorCategory.CONFIG
+      );
+    }
+  }
+
+  /**
+   * Two sites writing to the same sheet or folder would mix their data.
+   * @param {Site[]} sites
+   * @returns {Success<Site[]>|Failure}
+   */
+  static checkUnique(sites) {
+    const seen = { id: {}, sheet: {}, folder: {} };
+    for (const site of sites) {
+      const keys = {
+        id: site.getId(),
+        sheet: `${site.getSpreadsheetName()}/${site.getSheetName()}`,
+        folder: site.getFolderName(),
+      };
+      for (const kind of Object.keys(keys)) {
+        const other = seen[kind][keys[kind]];
+        if (other) {
+          return new Failure(
+            `Sites '${other}' and '${site.getId()}' share the same ${kind} '${
+              keys[kind]
+            }'.`,
+            ErrorCategory.CONFIG
+          );
+        }
+        seen[kind][keys[kind]] = site.getId();
+      }
+    }
+    return new Success(sites);
+  }
+
+  /**
+   * The sites a maintenance job should cover: the one named, or all of
+   * them when no ID is given.
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @param {?string} [id]
+   * @returns {Success<Site[]>|Failure}
+   */
+  static select(properties, id) {
+    return id
+      ? Site.find(properties, id).map((site) => [site])
+      : Site.loadAll(properties);
+  }
+
+  /**
+   * Finds a site by ID; an empty ID means the first registered site.
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @param {?string} [id]
+   * @returns {Success<Site>|Failure}
+   */
+  static find(properties, id) {
+    return Site.loadAll(properties).bind((sites) => {
+      if (!id) return new Success(sites[0]);
+      const site = sites.find((candidate) => candidate.getId() === id);
+      return site
+        ? new Success(site)
+        : new Failure(`Unknown site '${id}'.`, ErrorCategory.CONFIG);
+    });
+  }
+}
+
+Site.SHEET_NAME = "Sites";
+
+Site.SHEET_HEADER = [
+  "ID",
+  "Name",
+  "URL",
+  "Profile",
+  "Spreadsheet",
+  "Sheet",
+  "Folder",
+  "Schedule",
+];
+
+/** The original single-site setup, used when no registry is configured. */
+Site.DEFAULT = {
+  id: "sejong",
+  name: "Sejong City Library",
+  url: "https://lib.sejong.go.kr/main/site/sensor/traffic.do",
+  profile: "sejong",
+  spreadsheet: "SJCityLib",
+  sheet: "Complexity",
+  folder: "SJLIB",
+};
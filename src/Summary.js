@@ -0,0 +1,878 @@
+/**
+ * Hourly aggregates of the Complexity sheet, kept in a `Summary` sheet with
+ * one row per (date, hour, floor, location). main() adds each run's rows as
+ * it saves them, so the dashboard never has to rescan every sample.
+ * Besides the status counts, each row keeps sums and sample counts of the
+ * severity level and the occupancy figures, from which averages are taken.
+ */
+class Summary {
+  /**
+   * Builds an empty bucket for one (date, hour, floor, location).
+   * @param {string} date "yyyy-MM-dd" (KST).
+   * @param {number} weekday 1=Mon ... 7=Sun.
+   * @param {number} hour 0-23.
+   * @param {string} floor
+   * @param {string} location
+   * @returns {{date: string, weekday: number, hour: number, floor: string, location: string, 원활: number, 보통: number, 혼잡: number, total: number, severitySum: number, severitySamples: number, occupiedSum: number, occupiedSamples: number, capacitySum: number, capacitySamples: number}}
+   */
+  static emptyBucket(date, weekday, hour, floor, location) {
+    return {
+      date: date,
+      weekday: weekday,
+      hour: hour,
+      floor: String(floor),
+      location: String(location),
+      원활: 0,
+      보통: 0,
+      혼잡: 0,
+      total: 0,
+      severitySum: 0,
+      severitySamples: 0,
+      occupiedSum: 0,
+      occupiedSamples: 0,
+      capacitySum: 0,
+      capacitySamples: 0,
+    };
+  }
+
+  /**
+   * @param {{date: string, hour: number, floor: string, location: string}} bucket
+   * @returns {string}
+   */
+  static keyOf(bucket) {
+    return `${bucket.date}|${bucket.hour}|${bucket.floor}|${bucket.location}`;
+  }
+
+  /**
+   * Adds one sample to the matching bucket in the map, creating it if needed.
+   * @param {Map<string, Object>} buckets
+   * @param {Date} timestamp
+   * @param {string} floor
+   * @param {string} location
+   * @param {string} status
+   * @param {{severity: ?number, occupied: ?number, capacity: ?number}} [figures]
+   *     Missing or null figures are not counted.
+   */
+  static addSample(buckets, timestamp, floor, location, status, figures = {}) {
+    const [date, weekday, hour] = Utilities.formatDate(
+      timestamp,
+      Complexity.TIME_ZONE,
+      "yyyy-MM-dd|u|H"
+    ).split("|");
+    const empty = Summary.emptyBucket(
+      date,
+      parseInt(weekday, 10),
+      parseInt(hour, 10),
+      floor,
+      location
+    );
+    const key = Summary.keyOf(empty);
+    if (!buckets.has(key)) buckets.set(key, empty);
+
+    const bucket = buckets.get(key);
+    if (Complexity.STATUSES.includes(status)) bucket[status]++;
+    bucket.total++;
+    ["severity", "occupied", "capacity"].forEach((figure) => {
+      const value = figures[figure];
+      if (value === null || value === undefined || value === "") return;
+      if (isNaN(Number(value))) return;
+      bucket[`${figure}Sum`] += Number(value);
+      bucket[`${figure}Samples`]++;
+    });
+  }
+
+  /**
+   * Adds the counts of one bucket to another for the same key.
+   * @param {Object} target
+   * @param {Object} bucket
+   */
+  static merge(target, bucket) {
+    Summary.COUNT_FIELDS.forEach((field) => {
+      target[field] += bucket[field];
+    });
+  }
+
+  /**
+   * Merges buckets that share a key.
+   * @param {Object[]} buckets
+   * @returns {Object[]}
+   */
+  static combine(buckets) {
+    const merged = new Map();
+    buckets.forEach((bucket) => {
+      const key = Summary.keyOf(bucket);
+      if (merged.has(key)) {
+        Summary.merge(merged.get(key), bucket);
+      } else {
+        merged.set(key, Object.assign({}, bucket));
+      }
+    });
+    return Array.from(merged.values());
+  }
+
+  /**
+   * The average of a figure over a bucket's samples.
+   * @param {Object} bucket
+   * @param {string} figure "severity", "occupied" or "capacity".
+   * @returns {?number} null when no sample had the figure.
+   */
+  static average(bucket, figure) {
+    const samples = bucket[`${figure}Samples`];
+    return samples > 0 ? bucket[`${figure}Sum`] / samples : null;
+  }
+
+  /**
+   * @param {Object} bucket
+   * @returns {Array<*>}
+   */
+  static toRow(bucket) {
+    return [
+      Utilities.parseDate(bucket.date, Complexity.TIME_ZONE, "yyyy-MM-dd"),
+      bucket.weekday,
+      bucket.hour,
+      bucket.floor,
+      bucket.location,
+      bucket["원활"],
+      bucket["보통"],
+      bucket["혼잡"],
+      bucket.total,
+      bucket.severitySum,
+      bucket.severitySamples,
+      bucket.occupiedSum,
+      bucket.occupiedSamples,
+      bucket.capacitySum,
+      bucket.capacitySamples,
+    ];
+  }
+
+  /**
+   * @param {Array<*>} row
+   * @returns {Object}
+   */
+  static fromRow(row) {
+    const [date, weekday, hour, floor, location, smooth, moderate, congested] =
+      row;
+    const bucket = Summary.emptyBucket(
+      date instanceof Date
+        ? Utilities.formatDate(date, Complexity.TIME_ZONE, "yyyy-MM-dd")
+        : String(date),
+      Number(weekday),
+      Number(hour),
+      floor,
+      location
+    );
+    bucket["원활"] = Number(smooth) || 0;
+    bucket["보통"] = Number(moderate) || 0;
+    bucket["혼잡"] = Number(congested) || 0;
+    bucket.total = Number(row[8]) || 0;
+    // Rows written before these columns existed leave them empty.
+    bucket.severitySum = Number(row[9]) || 0;
+    bucket.severitySamples = Number(row[10]) || 0;
+    bucket.occupiedSum = Number(row[11]) || 0;
+    bucket.occupiedSamples = Number(row[12]) || 0;
+    bucket.capacitySum = Number(row[13]) || 0;
+    bucket.capacitySamples = Number(row[14]) || 0;
+    return bucket;
+  }
+
+  /**
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet
+   * @param {string} [sheetName] See Site.getSummarySheetName().
+   * @returns {Success<MySheet>|Failure}
+   */
+  static sheetOf(spreadsheet, sheetName = Summary.SHEET_NAME) {
+    return MySheet.fromSheetName(spreadsheet, sheetName, Summary.HEADER);
+  }
+
+  /**
+   * Builds the hourly buckets of newly saved samples.
+   * @param {Complexity[]} complexities
+   * @returns {Object[]}
+   */
+  static bucketsFrom(complexities) {
+    const buckets = new Map();
+    complexities.forEach((complexity) =>
+      Summary.addSample(
+        buckets,
+        Complexity.parseTimestamp(complexity.getTimestamp()),
+        complexity.getFloor(),
+        complexity.getLocation(),
+        complexity.getStatus(),
+        {
+          severity: complexity.getSeverity(),
+          occupied: complexity.getOccupied(),
+          capacity: complexity.getCapacity(),
+        }
+      )
+    );
+    return Array.from(buckets.values());
+  }
+
+  /**
+   * Adds newly saved samples to the Summary sheet. New samples are always
+   * for the latest hours, so only the last rows are searched for buckets
+   * to update; anything older is appended (rebuild() merges those). Only
+   * the rows that changed are written back.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet
+   * @param {Complexity[]} complexities
+   * @param {string} [sheetName]
+   * @returns {Success<number>|Failure} The number of buckets touched.
+   */
+  static addTo(spreadsheet, complexities, sheetName = Summary.SHEET_NAME) {
+    return Summary.sheetOf(spreadsheet, sheetName).bind((mySheet) => {
+      try {
+        const incoming = Summary.bucketsFrom(complexities);
+        const sheet = mySheet.getSheet();
+        const lastRow = sheet.getLastRow();
+        const tailStart = Math.max(2, lastRow - Summary.TAIL_ROWS + 1);
+        const tail =
+          lastRow < 2
+            ? []
+            : sheet
+                .getRange(
+                  tailStart,
+                  1,
+                  lastRow - tailStart + 1,
+                  Summary.HEADER.length
+                )
+                .getValues();
+        const rowOf = new Map();
+        tail.forEach((row, i) =>
+          rowOf.set(Summary.keyOf(Summary.fromRow(row)), i)
+        );
+
+        const appended = [];
+        const changed = [];
+        incoming.forEach((bucket) => {
+          const key = Summary.keyOf(bucket);
+          if (!rowOf.has(key)) {
+            appended.push(Summary.toRow(bucket));
+            return;
+          }
+          const existing = Summary.fromRow(tail[rowOf.get(key)]);
+          Summary.merge(existing, bucket);
+          tail[rowOf.get(key)] = Summary.toRow(existing);
+          changed.push(rowOf.get(key));
+        });
+
+        Summary.writeBack(sheet, tailStart, tail, changed);
+        return mySheet.append(appended).map(() => incoming.length);
+      } catch (e) {
+        return new Failure(`Error in 'addTo': ${e}`, ErrorCategory.STORAGE);
+      }
+    });
+  }
+
+  /**
+   * Writes some of a block of rows back to the sheet, one range per run of
+   * adjacent rows.
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+   * @param {number} firstRow The sheet row of `rows[0]`.
+   * @param {Array<Array<*>>} rows
+   * @param {number[]} changed Indexes into `rows`.
+   */
+  static writeBack(sheet, firstRow, rows, changed) {
+    const sorted = Array.from(new Set(changed)).sort((a, b) => a - b);
+    for (let start = 0; start < sorted.length; ) {
+      let end = start;
+      while (end + 1 < sorted.length && sorted[end + 1] === sorted[end] + 1) {
+        end++;
+      }
+      const block = rows.slice(sorted[start], sorted[end] + 1);
+      sheet
+        .getRange(firstRow + sorted[start], 1, block.length, block[0].length)
+        .setValues(block);
+      start = end + 1;
+    }
+  }
+
+  /**
+   * Builds the hourly buckets of a list of Complexity sheet rows.
+   * @param {Array<Array<*>>} rows Rows in the MySheet.HEADER layout.
+   * @returns {Object[]}
+   */
+  static bucketsOf(rows) {
+    const buckets = new Map();
+    rows.forEach(
+      ([
+        timestamp,
+        floor,
+        location,
+        status,
+        severity,
+        ,
+        occupied,
+        capacity,
+      ]) => {
+        if (!(timestamp instanceof Date) || !location) return;
+        Summary.addSample(
+          buckets,
+          timestamp,
+          floor,
+          location,
+          String(status).trim(),
+          { severity: severity, occupied: occupied, capacity: capacity }
+        );
+      }
+    );
+    return Array.from(buckets.values());
+  }
+
+  /**
+   * Replaces every row of a Summary sheet with the given buckets.
+   * @param {MySheet} mySheet
+   * @param {Object[]} buckets
+   * @returns {Success<number>|Failure} The number of rows written.
+   */
+  static write(mySheet, buckets) {
+    try {
+      const rows = buckets
+        .slice()
+        .sort((a, b) => (Summary.keyOf(a) < Summary.keyOf(b) ? -1 : 1))
+        .map(Summary.toRow);
+      const sheet = mySheet.getSheet();
+      if (sheet.getLastRow() > 1) {
+        sheet
+          .getRange(2, 1, sheet.getLastRow() - 1, Summary.HEADER.length)
+          .clearContent();
+      }
+      for (let i = 0; i < rows.length; i += MySheet.WRITE_BATCH) {
+        const batch = rows.slice(i, i + MySheet.WRITE_BATCH);
+        sheet
+          .getRange(i + 2, 1, batch.length, Summary.HEADER.length)
+          .setValues(batch);
+      }
+      return new Success(rows.length);
+    } catch (e) {
+      return new Failure(`Error in 'write': ${e}`, ErrorCategory.STORAGE);
+    }
+  }
+
+  /**
+   * Recomputes the whole Summary sheet from the Complexity sheet.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet
+   * @param {string} [sourceName] The Complexity sheet to read.
+   * @param {string} [sheetName] The Summary sheet to write.
+   * @returns {Success<number>|Failure} The number of buckets written.
+   */
+  static rebuild(
+    spreadsheet,
+    sourceName = "Complexity",
+    sheetName = Summary.SHEET_NAME
+  ) {
+    return MySheet.fromSheetName(spreadsheet, sourceName).bind((source) =>
+      source.getRows().bind((rows) =>
+        Summary.sheetOf(spreadsheet, sheetName)
+          .bind((target) => Summary.write(target, Summary.bucketsOf(rows)))
+          .map((written) => {
+            Logger.log(`Rebuilt '${sheetName}': ${written} rows.`);
+            return written;
+          })
+      )
+    );
+  }
+
+  /**
+   * Reads every bucket from the Summary sheet. Buckets that were appended
+   * separately for the same key are merged.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet
+   * @param {string} [sheetName]
+   * @returns {Success<Object[]>|Failure}
+   */
+  static read(spreadsheet, sheetName = Summary.SHEET_NAME) {
+    return Summary.sheetOf(spreadsheet, sheetName).bind((mySheet) => {
+      try {
+        const sheet = mySheet.getSheet();
+        if (sheet.getLastRow() < 2) {
+          return new Success([]);
+        }
+        return new Success(
+          Summary.combine(
+            sheet
+              .getRange(2, 1, sheet.getLastRow() - 1, Summary.HEADER.length)
+              .getValues()
+              .map(Summary.fromRow)
+          )
+        );
+      } catch (e) {
+        return new Failure(`Error in 'read': ${e}`, ErrorCategory.STORAGE);
+      }
+    });
+  }
+}
+
+Summary.SHEET_NAME = "Summary";
+
+Summary.HEADER = [
+  "Date",
+  "Weekday",
+  "Hour",
+  "Floor",
+  "Location",
+  "원활",
+  "보통",
+  "혼잡",
+  "Total",
+  "Severity Sum",
+  "Severity Samples",
+  "Occupied Sum",
+  "Occupied Samples",
+  "Capacity Sum",
+  "Capacity Samples",
+];
+
+/** The bucket fields that add up when two buckets are merged. */
+Summary.COUNT_FIELDS = [
+  "원활",
+  "보통",
+  "혼잡",
+  "total",
+  "severitySum",
+  "severitySamples",
+  "occupiedSum",
+  "occupiedSamples",
+  "capacitySum",
+  "capacitySamples",
+];
+
+/** How many of the last Summary rows addTo() searches for open buckets. */
+Summary.TAIL_ROWS = 500;
+
+/**
+ * Running totals of a site's hourly summaries per (weekday, hour, floor,
+ * location), kept in a `Weekly Profile` sheet. A dashboard query without
+ * a date range needs nothing finer, so it reads these few thousand rows at
+ * most instead of the whole history, archives included.
+ * Only samples from open hours are counted. Besides the Summary columns,
+ * each row keeps its first and last date and the status counts weighted
+ * the way Forecaster.fit() weighs them, as of the last date.
+ */
+class WeeklyProfile {
+  /**
+   * @param {{weekday: number, hour: number, floor: string, location: string}} row
+   * @returns {string}
+   */
+  static keyOf(row) {
+    return `${row.weekday}|${row.hour}|${row.floor}|${row.location}`;
+  }
+
+  /**
+   * An empty row, shaped like a Summary bucket without a date.
+   * @param {number} weekday
+   * @param {number} hour
+   * @param {string} floor
+   * @param {string} location
+   * @param {number} halfLifeDays The forecaster's, see Forecaster.weightFor.
+   * @returns {Object}
+   */
+  static emptyRow(weekday, hour, floor, location, halfLifeDays) {
+    return Object.assign(
+      Summary.emptyBucket(null, weekday, hour, floor, location),
+      {
+        firstDate: null,
+        lastDate: null,
+        weighted: { 원활: 0, 보통: 0, 혼잡: 0 },
+        halfLifeDays: halfLifeDays,
+      }
+    );
+  }
+
+  /**
+   * Adds an hourly bucket to a row, decaying whichever weighted counts are
+   * older to the later of the two dates.
+   * @param {Object} row
+   * @param {Object} bucket A Summary bucket.
+   * @param {Forecaster} forecaster
+   */
+  static add(row, bucket, forecaster) {
+    Summary.merge(row, bucket);
+    if (!row.lastDate || bucket.date >= row.lastDate) {
+      const decay = row.lastDate
+        ? forecaster.weightFor(row.lastDate, bucket.date)
+        : 1;
+      Complexity.STATUSES.forEach((status) => {
+        row.weighted[status] = row.weighted[status] * decay + bucket[status];
+      });
+      row.lastDate = bucket.date;
+    } else {
+      const decay = forecaster.weightFor(bucket.date, row.lastDate);
+      Complexity.STATUSES.forEach((status) => {
+        row.weighted[status] += bucket[status] * decay;
+      });
+    }
+    if (!row.firstDate || bucket.date < row.firstDate) {
+      row.firstDate = bucket.date;
+    }
+  }
+
+  /**
+   * Adds the buckets from open hours to the rows, creating rows as needed.
+   * @param {Map<string, Object>} rows
+   * @param {Object[]} buckets
+   * @param {Schedule} schedule
+   * @param {Forecaster} forecaster
+   * @returns {Set<string>} The keys of the rows that changed.
+   */
+  static addAll(rows, buckets, schedule, forecaster) {
+    const changed = new Set();
+    buckets
+      .filter((bucket) =>
+        schedule.isOpen(bucket.date, bucket.weekday, bucket.hour)
+      )
+      // Oldest first, so each bucket only decays the ones before it.
+      .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0))
+      .forEach((bucket) => {
+        const key = WeeklyProfile.keyOf(bucket);
+        if (!rows.has(key)) {
+          rows.set(
+            key,
+            WeeklyProfile.emptyRow(
+              bucket.weekday,
+              bucket.hour,
+              bucket.floor,
+              bucket.location,
+              forecaster.halfLifeDays
+            )
+          );
+        }
+        WeeklyProfile.add(rows.get(key), bucket, forecaster);
+        changed.add(key);
+      });
+    return changed;
+  }
+
+  /**
+   * @param {Object} row
+   * @returns {Array<*>}
+   */
+  static toRow(row) {
+    const toDate = (date) =>
+      date ? Utilities.parseDate(date, Complexity.TIME_ZONE, "yyyy-MM-dd") : "";
+    return [
+      row.weekday,
+      row.hour,
+      row.floor,
+      row.location,
+      ...Summary.COUNT_FIELDS.map((field) => row[field]),
+      toDate(row.firstDate),
+      toDate(row.lastDate),
+      ...Complexity.STATUSES.map((status) => row.weighted[status]),
+      row.halfLifeDays,
+    ];
+  }
+
+  /**
+   * @param {Array<*>} values
+   * @returns {Object}
+   */
+  static fromRow(values) {
+    const [weekday, hour, floor, location] = values;
+    const toDate = (date) =>
+      date instanceof Date
+        ? Utilities.formatDate(date, Complexity.TIME_ZONE, "yyyy-MM-dd")
+        : date
+        ? String(date)
+        : null;
+    const row = WeeklyProfile.emptyRow(
+      Number(weekday),
+      Number(hour),
+      floor,
+      location,
+      Number(values[values.length - 1])
+    );
+    const counts = 4;
+    Summary.COUNT_FIELDS.forEach((field, i) => {
+      row[field] = Number(values[counts + i]) || 0;
+    });
+    const dates = counts + Summary.COUNT_FIELDS.length;
+    row.firstDate = toDate(values[dates]);
+    row.lastDate = toDate(values[dates + 1]);
+    Complexity.STATUSES.forEach((status, i) => {
+      row.weighted[status] = Number(values[dates + 2 + i]) || 0;
+    });
+    return row;
+  }
+
+  /**
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet
+   * @param {string} [sheetName] See Site.getProfileSheetName().
+   * @returns {Success<MySheet>|Failure}
+   */
+  static sheetOf(spreadsheet, sheetName = WeeklyProfile.SHEET_NAME) {
+    return MySheet.fromSheetName(spreadsheet, sheetName, WeeklyProfile.HEADER);
+  }
+
+  /**
+   * Reads the profile's rows.
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet
+   * @param {string} [sheetName]
+   * @returns {Success<?Object[]>|Failure} null when there is no profile
+   *     sheet yet.
+   */
+  static read(spreadsheet, sheetName = WeeklyProfile.SHEET_NAME) {
+    try {
+      const sheet = spreadsheet.getSheetByName(sheetName);
+      if (!sheet) {
+        return new Success(null);
+      }
+      if (sheet.getLastRow() < 2) {
+        return new Success([]);
+      }
+      return new Success(
+        sheet
+          .getRange(2, 1, sheet.getLastRow() - 1, WeeklyProfile.HEADER.length)
+          .getValues()
+          .map(WeeklyProfile.fromRow)
+      );
+    } catch (e) {
+      return new Failure(`Error in 'read': ${e}`, ErrorCategory.STORAGE);
+    }
+  }
+
+  /**
+   * Whether rows from read() can stand in for the hourly buckets: the
+   * profile exists and was weighted with the forecaster's half-life.
+   * @param {?Object[]} rows
+   * @param {Forecaster} forecaster
+   * @returns {boolean}
+   */
+  static isCurrent(rows, forecaster) {
+    return (
+      rows !== null &&
+      rows.every((row) => row.halfLifeDays === forecaster.halfLifeDays)
+    );
+  }
+
+  /**
+   * Adds one run's samples to the site's profile, writing back only the
+   * rows that changed. A profile that is missing or out of date is
+   * rebuilt from every summary instead (see rebuildFor), so call this
+   * after Summary.addTo() and while holding the run lock.
+   * @param {Site} site
+   * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet
+   * @param {Complexity[]} complexities
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @returns {Success<number>|Failure} The number of rows touched.
+   */
+  static addTo(site, spreadsheet, complexities, properties) {
+    const sheetName = site.getProfileSheetName();
+    return Result.combine({
+      schedule: site.getSchedule(properties, spreadsheet),
+      forecaster: Forecaster.fromProperties(properties),
+      rows: WeeklyProfile.read(spreadsheet, sheetName),
+    }).bind(({ schedule, forecaster, rows }) => {
+      if (!WeeklyProfile.isCurrent(rows, forecaster)) {
+        return WeeklyProfile.rebuildFor(site, properties);
+      }
+      return WeeklyProfile.sheetOf(spreadsheet, sheetName).bind((mySheet) => {
+        try {
+          const byKey = new Map();
+          rows.forEach((row) => byKey.set(WeeklyProfile.keyOf(row), row));
+          const changed = WeeklyProfile.addAll(
+            byKey,
+            Summary.bucketsFrom(complexities),
+            schedule,
+            forecaster
+          );
+
+          const values = rows.map(WeeklyProfile.toRow);
+          const indexOf = new Map();
+          rows.forEach((row, i) => indexOf.set(WeeklyProfile.keyOf(row), i));
+          const updated = [];
+          const appended = [];
+          changed.forEach((key) => {
+            const row = WeeklyProfile.toRow(byKey.get(key));
+            if (indexOf.has(key)) {
+              values[indexOf.get(key)] = row;
+              updated.push(indexOf.get(key));
+            } else {
+              appended.push(row);
+            }
+          });
+          Summary.writeBack(mySheet.getSheet(), 2, values, updated);
+          return mySheet.append(appended).map(() => changed.size);
+        } catch (e) {
+          return new Failure(`Error in 'addTo': ${e}`, ErrorCategory.STORAGE);
+        }
+      });
+    });
+  }
+
+  /**
+   * Recomputes a site's profile from its live and archived summaries.
+   * @param {Site} site
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @returns {Success<number>|Failure} The number of rows written.
+   */
+  static rebuildFor(site, properties) {
+    return DashboardQuery.fromObject({ site: site.getId() })
+      .bind((query) => openDashboardSources(site, query))
+      .bind((sources) =>
+        WeeklyProfile.sheetOf(
+          sources.spreadsheet,
+          site.getProfileSheetName()
+        ).bind((mySheet) => {
+          const rows = new Map();
+          WeeklyProfile.addAll(
+            rows,
+            sources.buckets,
+            sources.schedule,
+            sources.forecaster
+          );
+          return WeeklyProfile.write(mySheet, Array.from(rows.values()));
+        })
+      )
+      .tap((written) =>
+        Logger.log(`Rebuilt '${site.getProfileSheetName()}': ${written} rows.`)
+      );
+  }
+
+  /**
+   * Replaces every row of a profile sheet, keeping the rows' order.
+   * @param {MySheet} mySheet
+   * @param {Object[]} rows
+   * @returns {Success<number>|Failure} The number of rows written.
+   */
+  static write(mySheet, rows) {
+    try {
+      const values = rows.map(WeeklyProfile.toRow);
+      const sheet = mySheet.getSheet();
+      if (sheet.getLastRow() > 1) {
+        sheet
+          .getRange(2, 1, sheet.getLastRow() - 1, WeeklyProfile.HEADER.length)
+          .clearContent();
+      }
+      if (values.length > 0) {
+        sheet
+          .getRange(2, 1, values.length, WeeklyProfile.HEADER.length)
+          .setValues(values);
+      }
+      return new Success(values.length);
+    } catch (e) {
+      return new Failure(`Error in 'write': ${e}`, ErrorCategory.STORAGE);
+    }
+  }
+}
+
+WeeklyProfile.SHEET_NAME = "Weekly Profile";
+
+WeeklyProfile.HEADER = [
+  "Weekday",
+  "Hour",
+  "Floor",
+  "Location",
+  "원활",
+  "보통",
+  "혼잡",
+  "Total",
+  "Severity Sum",
+  "Severity Samples",
+  "Occupied Sum",
+  "Occupied Samples",
+  "Capacity Sum",
+  "Capacity Samples",
+  "First Date",
+  "Last Date",
+  "Weighted 원활",
+  "Weighted 보통",
+  "Weighted 혼잡",
+  "Half-Life Days",
+];
+
+/**
+ * Caches the dashboard payload in CacheService. Values over the 100KB
+ * per-key limit are split across several keys. Every key carries the
+ * cache generation, kept in a script property so that CacheService can't
+ * evict it; clear() bumps the generation and the old entries expire unread.
+ */
+class DashboardCache {
+  /**
+   * @param {string} key
+   * @returns {Object|null}
+   */
+  static get(key) {
+    try {
+      const cache = CacheService.getScriptCache();
+      const prefix = DashboardCache.prefixOf(key);
+      const count = parseInt(cache.get(`${prefix}:chunks`), 10);
+      if (!count) return null;
+
+      let json = "";
+      for (let i = 0; i < count; i++) {
+        const chunk = cache.get(`${prefix}:${i}`);
+        if (chunk === null) return null;
+        json += chunk;
+      }
+      return JSON.parse(json);
+    } catch (e) {
+      Logger.log(`Dashboard cache read failed: ${e}`);
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {Object} value
+   */
+  static put(key, value) {
+    try {
+      const cache = CacheService.getScriptCache();
+      const prefix = DashboardCache.prefixOf(key);
+      const json = JSON.stringify(value);
+      const count = Math.ceil(json.length / DashboardCache.CHUNK_SIZE);
+      for (let i = 0; i < count; i++) {
+        cache.put(
+          `${prefix}:${i}`,
+          json.slice(
+            i * DashboardCache.CHUNK_SIZE,
+            (i + 1) * DashboardCache.CHUNK_SIZE
+          ),
+          DashboardCache.TTL_SECONDS
+        );
+      }
+      cache.put(`${prefix}:chunks`, String(count), DashboardCache.TTL_SECONDS);
+    } catch (e) {
+      Logger.log(`Dashboard cache write failed: ${e}`);
+    }
+  }
+
+  /**
+   * The key prefixed with the current cache generation.
+   * @param {string} key
+   * @returns {string}
+   */
+  static prefixOf(key) {
+    const generation =
+      PropertiesService.getScriptProperties().getProperty(
+        DashboardCache.GENERATION_KEY
+      ) || "0";
+    return `${key}@${generation}`;
+  }
+
+  /**
+   * Drops every cached dashboard payload, e.g. after new rows are saved.
+   */
+  static clear() {
+    try {
+      const properties = PropertiesService.getScriptProperties();
+      const generation =
+        parseInt(properties.getProperty(DashboardCache.GENERATION_KEY), 10) ||
+        0;
+      properties.setProperty(
+        DashboardCache.GENERATION_KEY,
+        String(generation + 1)
+      );
+    } catch (e) {
+      Logger.log(`Dashboard cache clear failed: ${e}`);
+    }
+  }
+}
+
+/** Script property holding the current cache generation. */
+DashboardCache.GENERATION_KEY = "DASHBOARD_CACHE_GENERATION";
+
+/** Stay under CacheService's 100KB per-value limit (UTF-16 safe margin). */
+DashboardCache.CHUNK_SIZE = 30000;
+
+/** CacheService's maximum lifetime (6 hours). */
+DashboardCache.TTL_SECONDS = 21600;
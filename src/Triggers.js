@@ -0,0 +1,460 @@
+/**
+ * How often a time-based trigger runs, in the terms of Apps Script's
+ * ClockTriggerBuilder: `{everyMinutes: 30}`, `{everyHours: 2}`,
+ * `{everyDays: 1, atHour: 3}` or `{everyWeeks: 1, onWeekDay: "mon", atHour: 8}`.
+ * Daily and weekly cadences may add `nearMinute`; their hours are KST.
+ */
+class Cadence {
+  /**
+   * @param {string} unit One of Cadence.UNITS.
+   * @param {number} every
+   * @param {?number} atHour
+   * @param {?number} nearMinute
+   * @param {?number} onWeekDay 1=Mon ... 7=Sun.
+   */
+  constructor(unit, every, atHour, nearMinute, onWeekDay) {
+    this.unit = unit;
+    this.every = every;
+    this.atHour = atHour;
+    this.nearMinute = nearMinute;
+    this.onWeekDay = onWeekDay;
+  }
+
+  /**
+   * @param {Object} spec
+   * @returns {Success<Cadence>|Failure}
+   */
+  static fromSpec(spec) {
+    const units = Object.keys(Cadence.UNITS).filter(
+      (unit) => spec[unit] !== undefined
+    );
+    if (units.length !== 1) {
+      return new Failure(
+        `Trigger cadence ${JSON.stringify(
+          spec
+        )} must set exactly one of ${Object.keys(Cadence.UNITS).join(", ")}.`,
+        ErrorCategory.CONFIG
+      );
+    }
+    const unit = units[0];
+    const every = Number(spec[unit]);
+    const allowed = Cadence.UNITS[unit];
+    if (allowed ? !allowed.includes(every) : !(every >= 1)) {
+      return new Failure(
+        `Invalid ${unit} '${spec[unit]}'${
+          allowed ? `, expected one of ${allowed.join(", ")}` : ""
+        }.`,
+        ErrorCategory.CONFIG
+      );
+    }
+
+    const daily = unit === "everyDays" || unit === "everyWeeks";
+    if (!daily) {
+      return new Success(new Cadence(unit, every, null, null, null));
+    }
+    const atHour = Number(spec.atHour);
+    const nearMinute =
+      spec.nearMinute === undefined ? null : Number(spec.nearMinute);
+    if (!Number.isInteger(atHour) || atHour < 0 || atHour > 23) {
+      return new Failure(
+        `${unit} needs an 'atHour' from 0 to 23, got '${spec.atHour}'.`,
+        ErrorCategory.CONFIG
+      );
+    }
+    if (nearMinute !== null && !(nearMinute >= 0 && nearMinute <= 59)) {
+      return new Failure(
+        `Invalid nearMinute '${spec.nearMinute}'.`,
+        ErrorCategory.CONFIG
+      );
+    }
+    if (unit === "everyDays") {
+      return new Success(new Cadence(unit, every, atHour, nearMinute, null));
+    }
+    try {
+      const onWeekDay = Schedule.parseDay(spec.onWeekDay);
+      return new Success(
+        new Cadence(unit, every, atHour, nearMinute, onWeekDay)
+      );
+    } catch (e) {
+      return new Failure(
+        `everyWeeks needs an 'onWeekDay': ${e.message}`,
+        ErrorCategory.CONFIG
+      );
+    }
+  }
+
+  /**
+   * The cadence in the same form as its spec; two cadences are the same
+   * when these are equal.
+   * @returns {Object}
+   */
+  toSpec() {
+    const spec = { [this.unit]: this.every };
+    if (this.onWeekDay !== null) {
+      spec.onWeekDay = Schedule.DAY_NAMES[this.onWeekDay - 1];
+    }
+    if (this.atHour !== null) spec.atHour = this.atHour;
+    if (this.nearMinute !== null) spec.nearMinute = this.nearMinute;
+    return spec;
+  }
+
+  /** @returns {string} e.g. "every 30 minutes", "every 1 day at 03:00 KST". */
+  describe() {
+    const noun = Cadence.NOUNS[this.unit];
+    const parts = [`every ${this.every} ${noun}${this.every === 1 ? "" : "s"}`];
+    if (this.onWeekDay !== null) {
+      parts.push(`on ${Schedule.FULL_DAY_NAMES[this.onWeekDay - 1]}`);
+    }
+    if (this.atHour !== null) {
+      parts.push(`at ${this.clockTime()} KST`);
+    }
+    return parts.join(" ");
+  }
+
+  /** @returns {string} "HH:mm" */
+  clockTime() {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${pad(this.atHour)}:${pad(this.nearMinute || 0)}`;
+  }
+
+  /** @returns {?number} Minutes between runs; null for daily and weekly cadences. */
+  intervalMinutes() {
+    return this.atHour === null
+      ? (this.every * Cadence.MILLIS[this.unit]) / 60000
+      : null;
+  }
+
+  /**
+   * Installs a time-based trigger for the handler with this cadence.
+   * @param {string} handler
+   * @returns {GoogleAppsScript.Script.Trigger}
+   */
+  install(handler) {
+    let builder = ScriptApp.newTrigger(handler).timeBased();
+    builder = builder[this.unit](this.every);
+    if (this.onWeekDay !== null) {
+      builder = builder.onWeekDay(
+        ScriptApp.WeekDay[
+          Schedule.FULL_DAY_NAMES[this.onWeekDay - 1].toUpperCase()
+        ]
+      );
+    }
+    if (this.atHour !== null) {
+      builder = builder.atHour(this.atHour);
+      if (this.nearMinute !== null)
+        builder = builder.nearMinute(this.nearMinute);
+      builder = builder.inTimezone(Complexity.TIME_ZONE);
+    }
+    return builder.create();
+  }
+
+  /**
+   * When the trigger should next run. Apps Script picks its own offset for
+   * minute and hour intervals and runs daily triggers within about 15
+   * minutes of the hour, so this is an estimate.
+   * @param {Date} installedAt
+   * @param {Date} now
+   * @returns {?Date}
+   */
+  nextRun(installedAt, now) {
+    if (this.atHour === null) {
+      const interval = this.every * Cadence.MILLIS[this.unit];
+      const elapsed = Math.max(0, now.getTime() - installedAt.getTime());
+      return new Date(
+        installedAt.getTime() + (Math.floor(elapsed / interval) + 1) * interval
+      );
+    }
+
+    const period = this.unit === "everyWeeks" ? 7 * this.every : this.every;
+    const installedOn = Utilities.formatDate(
+      installedAt,
+      Complexity.TIME_ZONE,
+      "yyyy-MM-dd"
+    );
+    const today = Utilities.formatDate(now, Complexity.TIME_ZONE, "yyyy-MM-dd");
+    for (let offset = 0; offset <= period + 7; offset++) {
+      const date = Forecaster.addDays(today, offset);
+      const at = Utilities.parseDate(
+        `${date} ${this.clockTime()}`,
+        Complexity.TIME_ZONE,
+        "yyyy-MM-dd HH:mm"
+      );
+      const weekday = parseInt(
+        Utilities.formatDate(at, Complexity.TIME_ZONE, "u"),
+        10
+      );
+      const days = Forecaster.daysBetween(installedOn, date);
+      const due =
+        this.unit === "everyWeeks"
+          ? weekday === this.onWeekDay &&
+            Math.floor(days / 7) % this.every === 0
+          : days % this.every === 0;
+      if (due && at > now) {
+        return at;
+      }
+    }
+    return null;
+  }
+}
+
+/** Builder methods, with the values Apps Script accepts where it limits them. */
+Cadence.UNITS = {
+  everyMinutes: [1, 5, 10, 15, 30],
+  everyHours: [1, 2, 4, 6, 8, 12],
+  everyDays: null,
+  everyWeeks: null,
+};
+
+Cadence.NOUNS = {
+  everyMinutes: "minute",
+  everyHours: "hour",
+  everyDays: "day",
+  everyWeeks: "week",
+};
+
+Cadence.MILLIS = {
+  everyMinutes: 60 * 1000,
+  everyHours: 60 * 60 * 1000,
+};
+
+/**
+ * The project's time-based triggers, declared as handler -> cadence.
+ * `syncTriggers` makes the installed triggers match the plan; triggers for
+ * handlers the plan doesn't manage are left alone. Which cadence each
+ * trigger was installed with is kept in the `TRIGGER_STATE` script
+ * property, since Apps Script can't report it.
+ */
+class TriggerPlan {
+  /**
+   * @param {Object<string, ?Cadence>} cadences Handler -> cadence; null
+   *     means the handler should have no trigger.
+   */
+  constructor(cadences) {
+    this.cadences = cadences;
+  }
+
+  /**
+   * Starts from TriggerPlan.DEFAULTS, applies `SCRAPE_INTERVAL_MINUTES`
+   * (minutes, or whole hours given in minutes, e.g. 120) and then
+   * `TRIGGERS_JSON`, e.g. `{"main": {"everyMinutes": 15},
+   * "retentionTrigger_": null}`. Old handler names in TriggerPlan.RENAMED
+   * still work there.
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @returns {Success<TriggerPlan>|Failure}
+   */
+  static fromProperties(properties) {
+    const specs = Object.assign({}, TriggerPlan.DEFAULTS);
+
+    const interval = properties.getProperty("SCRAPE_INTERVAL_MINUTES");
+    if (interval) {
+      const minutes = Number(interval);
+      specs.main =
+        minutes >= 60 && minutes % 60 === 0
+          ? { everyHours: minutes / 60 }
+          : { everyMinutes: minutes };
+    }
+
+    try {
+      const overrides = JSON.parse(
+        properties.getProperty("TRIGGERS_JSON") || "{}"
+      );
+      Object.keys(overrides).forEach((handler) => {
+        specs[TriggerPlan.RENAMED[handler] || handler] = overrides[handler];
+      });
+    } catch (e) {
+      return new Failure(
+        `TRIGGERS_JSON is not valid JSON: ${e.message}`,
+        ErrorCategory.CONFIG
+      );
+    }
+
+    const cadences = {};
+    for (const handler of Object.keys(specs)) {
+      if (typeof globalThis[handler] !== "function") {
+        return new Failure(
+          `Trigger handler '${handler}' is not a function in this project.`,
+          ErrorCategory.CONFIG
+        );
+      }
+      if (specs[handler] === null) {
+        cadences[handler] = null;
+        continue;
+      }
+      const cadence = Cadence.fromSpec(specs[handler]);
+      if (cadence instanceof Failure) {
+        return new Failure(
+          `Trigger for '${handler}': ${cadence.getMessage()}`,
+          ErrorCategory.CONFIG
+        );
+      }
+      cadences[handler] = cadence.getValue();
+    }
+    return new Success(new TriggerPlan(cadences));
+  }
+
+  /** @returns {string[]} Every handler the plan manages. */
+  getHandlers() {
+    return Object.keys(this.cadences);
+  }
+
+  /**
+   * @param {string} handler
+   * @returns {?Cadence}
+   */
+  getCadence(handler) {
+    return this.cadences[handler] || null;
+  }
+
+  /**
+   * Deletes and installs triggers until each managed handler has exactly
+   * one trigger with its planned cadence. A trigger that already matches
+   * is kept, so re-running this changes nothing. Triggers left on a
+   * renamed handler (see TriggerPlan.RENAMED) are deleted.
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @param {Date} now
+   * @returns {Success<{created: string[], kept: string[], removed: string[]}>|Failure}
+   */
+  sync(properties, now) {
+    try {
+      const state = TriggerPlan.stateOf(properties);
+      const installed = ScriptApp.getProjectTriggers();
+      const report = { created: [], kept: [], removed: [] };
+      const nextState = {};
+
+      const handlers = this.getHandlers().concat(
+        Object.keys(TriggerPlan.RENAMED).filter(
+          (handler) => !this.getHandlers().includes(handler)
+        )
+      );
+      handlers.forEach((handler) => {
+        const cadence = this.getCadence(handler);
+        const wanted = cadence ? JSON.stringify(cadence.toSpec()) : null;
+        let keep = null;
+        installed
+          .filter((trigger) => trigger.getHandlerFunction() === handler)
+          .forEach((trigger) => {
+            const id = trigger.getUniqueId();
+            const recorded = state[id];
+            if (
+              keep === null &&
+              wanted !== null &&
+              recorded &&
+              JSON.stringify(recorded.cadence) === wanted
+            ) {
+              keep = trigger;
+              nextState[id] = recorded;
+              report.kept.push(handler);
+              return;
+            }
+            ScriptApp.deleteTrigger(trigger);
+            report.removed.push(handler);
+            Logger.log(`Deleted trigger ${id} for '${handler}'.`);
+          });
+
+        if (cadence && keep === null) {
+          const trigger = cadence.install(handler);
+          nextState[trigger.getUniqueId()] = {
+            handler: handler,
+            cadence: cadence.toSpec(),
+            installedAt: now.toISOString(),
+          };
+          report.created.push(handler);
+          Logger.log(
+            `Created trigger for '${handler}': ${cadence.describe()}.`
+          );
+        }
+      });
+
+      properties.setProperty(TriggerPlan.STATE_KEY, JSON.stringify(nextState));
+      return new Success(report);
+    } catch (e) {
+      return new Failure(`Error in 'sync': ${e}`);
+    }
+  }
+
+  /**
+   * Lists every installed trigger, whether this plan manages it, and when
+   * it should next run, plus planned handlers that have no trigger.
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @param {Date} now
+   * @returns {Success<{triggers: Object[], missing: string[]}>|Failure}
+   */
+  status(properties, now) {
+    try {
+      const state = TriggerPlan.stateOf(properties);
+      const handlers = this.getHandlers();
+      const triggers = ScriptApp.getProjectTriggers().map((trigger) => {
+        const handler = trigger.getHandlerFunction();
+        const recorded = state[trigger.getUniqueId()];
+        const parsed = recorded ? Cadence.fromSpec(recorded.cadence) : null;
+        const cadence = parsed instanceof Success ? parsed.getValue() : null;
+        const planned = this.getCadence(handler);
+        const nextRun = cadence
+          ? cadence.nextRun(new Date(recorded.installedAt), now)
+          : null;
+        return {
+          id: trigger.getUniqueId(),
+          handler: handler,
+          managed:
+            handlers.includes(handler) ||
+            TriggerPlan.RENAMED[handler] !== undefined,
+          cadence: cadence ? cadence.describe() : "unknown",
+          upToDate:
+            cadence !== null &&
+            planned !== null &&
+            JSON.stringify(cadence.toSpec()) ===
+              JSON.stringify(planned.toSpec()),
+          installedAt: recorded ? recorded.installedAt : null,
+          nextRun: nextRun
+            ? Utilities.formatDate(
+                nextRun,
+                Complexity.TIME_ZONE,
+                "yyyy-MM-dd HH:mm"
+              )
+            : null,
+        };
+      });
+      const missing = handlers.filter(
+        (handler) =>
+          this.getCadence(handler) &&
+          !triggers.some((trigger) => trigger.handler === handler)
+      );
+      return new Success({ triggers: triggers, missing: missing });
+    } catch (e) {
+      return new Failure(`Error in 'status': ${e}`);
+    }
+  }
+
+  /**
+   * @param {GoogleAppsScript.Properties.Properties} properties
+   * @returns {Object<string, {handler: string, cadence: Object, installedAt: string}>}
+   *     Trigger ID -> what it was installed with.
+   */
+  static stateOf(properties) {
+    const saved = properties.getProperty(TriggerPlan.STATE_KEY);
+    return saved ? JSON.parse(saved) : {};
+  }
+}
+
+TriggerPlan.STATE_KEY = "TRIGGER_STATE";
+
+/**
+ * The scrape every 30 minutes, the nightly retention job, and the
+ * congestion reports for the day before and, on Mondays, the week before.
+ */
+TriggerPlan.DEFAULTS = {
+  main: { everyMinutes: 30 },
+  retentionTrigger_: { everyDays: 1, atHour: 3 },
+  dailyReportTrigger_: { everyDays: 1, atHour: 6 },
+  weeklyReportTrigger_: { everyWeeks: 1, onWeekDay: "mon", atHour: 7 },
+};
+
+/**
+ * Handlers that earlier versions installed triggers for -> the handler
+ * that replaced them. They took the trigger's event object for an argument.
+ */
+TriggerPlan.RENAMED = {
+  applyRetention: "retentionTrigger_",
+  sendDailyReport: "dailyReportTrigger_",
+  sendWeeklyReport: "weeklyReportTrigger_",
+};
@@ -1,27 +1,87 @@
 /**
- * Deletes all existing triggers for the main function and
- * creates a new 30-minute time-based trigger.
+ * Installs the project's time-based triggers (see syncTriggers). Unlike
+ * earlier versions this no longer runs main() first, so setting up or
+ * changing the cadence never scrapes by accident.
  * Run this using 'clasp run setupTrigger'.
  */
 function setupTrigger() {
-  main();
-  var functionToRun = "main";
+  return syncTriggers();
+}
+
+/**
+ * Kept for projects that installed the retention job on its own; the
+ * retention trigger is now part of the plan that syncTriggers installs.
+ * Run this using 'clasp run setupRetentionTrigger'.
+ */
+function setupRetentionTrigger() {
+  return syncTriggers();
+}
+
+/**
+ * Makes the installed triggers match the plan: the scrape every 30
+ * minutes (`SCRAPE_INTERVAL_MINUTES`), the nightly retention job
+ * (retentionTrigger_), the daily and weekly reports, and
+ * anything set in `TRIGGERS_JSON` (see TriggerPlan). Triggers that already
+ * match are kept, so this is safe to re-run after every config change.
+ * Run this using 'clasp run syncTriggers'.
+ */
+function syncTriggers() {
+  var properties = PropertiesService.getScriptProperties();
+  var result = TriggerPlan.fromProperties(properties).bind(function (plan) {
+    return plan.sync(properties, new Date());
+  });
 
-  // 1. Delete all existing triggers for this function to prevent duplicates
-  var allTriggers = ScriptApp.getProjectTriggers();
-  for (var i = 0; i < allTriggers.length; i++) {
-    if (allTriggers[i].getHandlerFunction() === functionToRun) {
-      ScriptApp.deleteTrigger(allTriggers[i]);
-      Logger.log("Deleted existing trigger: " + allTriggers[i].getUniqueId());
-    }
+  if (result instanceof Failure) {
+    Logger.log("Could not sync triggers: " + result.getMessage());
+    return { error: result.getMessage() };
   }
 
-  // 2. Create the new 30-minute trigger
-  ScriptApp.newTrigger(functionToRun)
-    .timeBased()
-    .everyMinutes(30) // <-- You can change this to 15 if you want
-    .create();
+  var report = result.getValue();
+  Logger.log(
+    "Triggers synced: " +
+      report.created.length +
+      " created, " +
+      report.kept.length +
+      " kept, " +
+      report.removed.length +
+      " removed."
+  );
+  return report;
+}
+
+/**
+ * Lists the installed triggers with their cadence and next expected run
+ * (KST), and any planned trigger that is missing.
+ * Run this using 'clasp run getTriggerStatus'.
+ */
+function getTriggerStatus() {
+  var properties = PropertiesService.getScriptProperties();
+  var result = TriggerPlan.fromProperties(properties).bind(function (plan) {
+    return plan.status(properties, new Date());
+  });
+
+  if (result instanceof Failure) {
+    Logger.log("Could not read trigger status: " + result.getMessage());
+    return { error: result.getMessage() };
+  }
 
-  Logger.log("Successfully created new trigger for " + functionToRun);
-  return "Trigger created successfully.";
+  var status = result.getValue();
+  status.triggers.forEach(function (trigger) {
+    Logger.log(
+      "  - " +
+        trigger.handler +
+        ": " +
+        trigger.cadence +
+        (trigger.nextRun ? ", next run ~" + trigger.nextRun : "") +
+        (!trigger.managed
+          ? " (not managed)"
+          : trigger.upToDate
+          ? ""
+          : " (out of date; run syncTriggers)")
+    );
+  });
+  status.missing.forEach(function (handler) {
+    Logger.log("  - " + handler + ": missing; run syncTriggers");
+  });
+  return status;
 }
@@ -0,0 +1,152 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, plain } = require("./helpers/loadProject");
+const {
+  QUIET,
+  scraperProject,
+  scrapeAt,
+  sheetRows,
+} = require("./helpers/scraper");
+
+/** The fixture without 디지털자료실. */
+const WITHOUT_DIGITAL = fixture("traffic.html").replace(
+  /<p[^>]*><span class='situ1'>원활<\/span>디지털자료실<\/p>/,
+  ""
+);
+
+/** Two quiet Tuesday mornings, then 일반열람실 congested at 09:00. */
+const CONGESTED_TUESDAY = [
+  ["2025-10-21T00:00:00Z", QUIET],
+  ["2025-10-21T00:30:00Z", QUIET],
+  ["2025-10-28T00:00:00Z", QUIET],
+  ["2025-10-28T00:30:00Z", QUIET],
+  ["2025-11-04T00:00:00Z", fixture("traffic.html")],
+];
+
+/**
+ * A project that runs main() once per [time, page] pair.
+ * @param {Array<Array<string>>} runs
+ * @param {Object} [properties]
+ * @returns {Object} From scraperProject.
+ */
+function scrape(runs, properties) {
+  return scrapeAt(
+    scraperProject({
+      properties: Object.assign({ ANOMALY_MIN_SAMPLES: "2" }, properties),
+    }),
+    runs
+  );
+}
+
+/**
+ * @param {Object} project From loadProject.
+ * @returns {Array<Array<*>>} Rows of the Anomalies sheet without the header.
+ */
+function anomalies(project) {
+  return (sheetRows(project, "Anomalies") || [[]]).slice(1);
+}
+
+test("a status that is rare for the weekday and hour is flagged", () => {
+  const project = scrape(CONGESTED_TUESDAY);
+
+  const rows = anomalies(project);
+  assert.equal(rows.length, 1);
+  assert.deepEqual(rows[0].slice(1, 7), [
+    "sejong",
+    "unusual",
+    "2F",
+    "일반열람실",
+    "혼잡",
+    "원활",
+  ]);
+  assert.ok(rows[0][7] < 0.05);
+  assert.match(rows[0][9], /혼잡 is rare at 09:00 on Tuesday/);
+});
+
+test("flags reach the dashboard", () => {
+  const project = scrape(CONGESTED_TUESDAY);
+
+  const data = plain(project.run("getSheetData()"));
+  assert.equal(data.error, undefined);
+  assert.deepEqual(
+    data.anomalies.map((anomaly) => [
+      anomaly.detected,
+      anomaly.kind,
+      anomaly.location,
+    ]),
+    [["2025-11-04 09:00", "unusual", "일반열람실 (2F)"]]
+  );
+
+  const earlier = plain(project.run("getSheetData({ to: '2025-11-03' })"));
+  assert.deepEqual(earlier.anomalies, []);
+});
+
+test("a location missing from the page is flagged once per outage", () => {
+  const project = scrape([
+    ["2025-11-05T03:00:00Z", fixture("traffic.html")],
+    ["2025-11-05T03:30:00Z", WITHOUT_DIGITAL],
+    ["2025-11-05T04:00:00Z", WITHOUT_DIGITAL],
+    ["2025-11-05T04:30:00Z", fixture("traffic.html")],
+    ["2025-11-05T05:00:00Z", WITHOUT_DIGITAL],
+  ]);
+
+  const rows = anomalies(project);
+  assert.deepEqual(
+    rows.map((row) => [row[2], row[4]]),
+    [
+      ["missing", "디지털자료실"],
+      ["missing", "디지털자료실"],
+    ]
+  );
+  assert.match(rows[0][9], /last seen on 2025-11-05 as 원활/);
+});
+
+test("a status held through hours that are usually different is a stuck sensor", () => {
+  const busy = (date) =>
+    ["03", "04", "05"].map((hour) => [
+      `${date}T${hour}:00:00Z`,
+      fixture("traffic.html"),
+    ]);
+  const project = scrape(
+    busy("2025-10-22")
+      .concat(busy("2025-10-29"))
+      .concat([
+        ["2025-11-05T03:00:00Z", QUIET],
+        ["2025-11-05T03:30:00Z", QUIET],
+        ["2025-11-05T04:00:00Z", QUIET],
+        ["2025-11-05T05:00:00Z", QUIET],
+        ["2025-11-05T06:00:00Z", QUIET],
+      ]),
+    { ANOMALY_STUCK_HOURS: "3" }
+  );
+
+  const rows = anomalies(project);
+  assert.equal(rows.filter((row) => row[2] === "unusual").length, 4);
+  const stuck = rows.filter((row) => row[2] === "stuck");
+  assert.equal(stuck.length, 1);
+  assert.equal(stuck[0][4], "일반열람실");
+  assert.equal(stuck[0][8], "2025-11-05T03:00:00.000Z");
+  // Always quiet elsewhere, which is what the history expects.
+  assert.ok(rows.every((row) => row[4] === "일반열람실"));
+});
+
+test("invalid settings are logged and don't fail the run", () => {
+  const project = scrape([["2025-11-05T03:00:00Z", fixture("traffic.html")]], {
+    ANOMALY_MIN_PROBABILITY: "2",
+  });
+
+  assert.ok(
+    project.services.Logger.lines.some((line) =>
+      /Could not check for anomalies: Invalid anomaly settings/.test(line)
+    )
+  );
+  const log = plain(
+    project.run(`
+      SpreadsheetApp.open(DriveApp.getFilesByName("SJCityLib").next())
+        .getSheetByName("RunLog").getDataRange().getValues()
+    `)
+  );
+  assert.equal(log[1][3], "success");
+});
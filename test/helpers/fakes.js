@@ -0,0 +1,868 @@
+"use strict";
+
+/**
+ * In-memory fakes for the Apps Script services used by src/.
+ */
+
+let nextId = 1;
+const newId = (prefix) => `${prefix}-${nextId++}`;
+
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows;
+    this.numColumns = numColumns;
+  }
+
+  getValues() {
+    const values = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const source = this.sheet.rows[this.row - 1 + r] || [];
+      const row = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        const value = source[this.column - 1 + c];
+        row.push(value === undefined || value === null ? "" : value);
+      }
+      values.push(row);
+    }
+    return values;
+  }
+
+  getValue() {
+    return this.getValues()[0][0];
+  }
+
+  setValues(values) {
+    if (values.length !== this.numRows) {
+      throw new Error(
+        `The number of rows in the data does not match the range (${values.length} vs ${this.numRows}).`
+      );
+    }
+    values.forEach((row, r) => {
+      if (row.length !== this.numColumns) {
+        throw new Error(
+          `The number of columns in the data does not match the range (${row.length} vs ${this.numColumns}).`
+        );
+      }
+      const target = this.sheet.ensureRow(this.row + r);
+      row.forEach((value, c) => {
+        target[this.column - 1 + c] = value;
+      });
+    });
+    this.sheet.trim();
+    return this;
+  }
+
+  setValue(value) {
+    return this.setValues([[value]]);
+  }
+
+  clearContent() {
+    for (let r = 0; r < this.numRows; r++) {
+      const target = this.sheet.rows[this.row - 1 + r];
+      if (!target) continue;
+      for (let c = 0; c < this.numColumns; c++) {
+        target[this.column - 1 + c] = "";
+      }
+    }
+    this.sheet.trim();
+    return this;
+  }
+
+  setNumberFormat() {
+    return this;
+  }
+}
+
+class FakeSheet {
+  constructor(name, spreadsheet) {
+    this.name = name;
+    this.spreadsheet = spreadsheet;
+    this.rows = [];
+    this.metadata = {};
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  getParent() {
+    return this.spreadsheet;
+  }
+
+  ensureRow(rowNumber) {
+    while (this.rows.length < rowNumber) this.rows.push([]);
+    return this.rows[rowNumber - 1];
+  }
+
+  trim() {
+    const isEmpty = (row) => row.every((v) => v === "" || v === undefined);
+    while (this.rows.length > 0 && isEmpty(this.rows[this.rows.length - 1])) {
+      this.rows.pop();
+    }
+  }
+
+  getLastRow() {
+    return this.rows.length;
+  }
+
+  getLastColumn() {
+    return this.rows.reduce((max, row) => Math.max(max, row.length), 0);
+  }
+
+  getRange(row, column, numRows = 1, numColumns = 1) {
+    if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+      throw new Error(
+        `Invalid range (${row}, ${column}, ${numRows}, ${numColumns}).`
+      );
+    }
+    return new FakeRange(this, row, column, numRows, numColumns);
+  }
+
+  getDataRange() {
+    return this.getRange(
+      1,
+      1,
+      Math.max(1, this.getLastRow()),
+      Math.max(1, this.getLastColumn())
+    );
+  }
+
+  appendRow(values) {
+    this.rows.push(values.slice());
+    return this;
+  }
+
+  deleteRows(position, howMany) {
+    this.rows.splice(position - 1, howMany);
+  }
+
+  deleteRow(position) {
+    this.deleteRows(position, 1);
+  }
+
+  clearContents() {
+    this.rows = [];
+    return this;
+  }
+
+  clear() {
+    return this.clearContents();
+  }
+
+  setFrozenRows() {}
+
+  copyTo(spreadsheet) {
+    const copy = spreadsheet.insertSheet(`Copy of ${this.name}`);
+    copy.rows = this.rows.map((row) => row.slice());
+    return copy;
+  }
+
+  setName(name) {
+    this.name = name;
+    return this;
+  }
+}
+
+class FakeSpreadsheet {
+  constructor(name, timeZone = "Asia/Seoul") {
+    this.id = newId("spreadsheet");
+    this.name = name;
+    this.timeZone = timeZone;
+    this.sheets = [new FakeSheet("Sheet1", this)];
+  }
+
+  getId() {
+    return this.id;
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  getUrl() {
+    return `https://docs.google.com/spreadsheets/d/${this.id}`;
+  }
+
+  getSpreadsheetTimeZone() {
+    return this.timeZone;
+  }
+
+  getSheets() {
+    return this.sheets.slice();
+  }
+
+  getSheetByName(name) {
+    return this.sheets.find((sheet) => sheet.getName() === name) || null;
+  }
+
+  insertSheet(name) {
+    if (this.getSheetByName(name)) {
+      throw new Error(`A sheet with the name "${name}" already exists.`);
+    }
+    const sheet = new FakeSheet(name, this);
+    this.sheets.push(sheet);
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    this.sheets = this.sheets.filter((s) => s !== sheet);
+  }
+}
+
+class FakeBlob {
+  constructor(content) {
+    this.content = content;
+  }
+
+  getDataAsString() {
+    return this.content;
+  }
+}
+
+class FakeFile {
+  constructor(name, content, mimeType, folder) {
+    this.id = newId("file");
+    this.name = name;
+    this.content = content;
+    this.mimeType = mimeType;
+    this.folder = folder;
+    this.trashed = false;
+    this.created = new Date();
+  }
+
+  getId() {
+    return this.id;
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  getMimeType() {
+    return this.mimeType;
+  }
+
+  getBlob() {
+    return new FakeBlob(this.content);
+  }
+
+  getDateCreated() {
+    return this.created;
+  }
+
+  getUrl() {
+    return `https://drive.google.com/file/d/${this.id}`;
+  }
+
+  getParents() {
+    return new FakeIterator(this.folder ? [this.folder] : []);
+  }
+
+  setTrashed(trashed) {
+    this.trashed = trashed;
+    return this;
+  }
+
+  isTrashed() {
+    return this.trashed;
+  }
+}
+
+class FakeIterator {
+  constructor(items) {
+    this.items = items.slice();
+  }
+
+  hasNext() {
+    return this.items.length > 0;
+  }
+
+  next() {
+    if (!this.hasNext()) throw new Error("No more items.");
+    return this.items.shift();
+  }
+}
+
+class FakeFolder {
+  constructor(name, drive) {
+    this.id = newId("folder");
+    this.name = name;
+    this.drive = drive;
+    this.files = [];
+    this.folders = [];
+  }
+
+  getId() {
+    return this.id;
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  live(items) {
+    return items.filter((item) => !item.trashed);
+  }
+
+  getFiles() {
+    return new FakeIterator(this.live(this.files));
+  }
+
+  getFilesByName(name) {
+    return new FakeIterator(
+      this.live(this.files).filter((f) => f.getName() === name)
+    );
+  }
+
+  getFolders() {
+    return new FakeIterator(this.folders);
+  }
+
+  getFoldersByName(name) {
+    return new FakeIterator(this.folders.filter((f) => f.getName() === name));
+  }
+
+  createFolder(name) {
+    const folder = new FakeFolder(name, this.drive);
+    this.folders.push(folder);
+    return folder;
+  }
+
+  createFile(name, content, mimeType) {
+    const file = new FakeFile(name, content, mimeType || "text/plain", this);
+    this.files.push(file);
+    this.drive.filesById[file.getId()] = file;
+    return file;
+  }
+
+  addFile(file) {
+    this.files.push(file);
+    this.drive.filesById[file.getId()] = file;
+    return this;
+  }
+}
+
+const MimeType = {
+  GOOGLE_SHEETS: "application/vnd.google-apps.spreadsheet",
+  HTML: "text/html",
+  PLAIN_TEXT: "text/plain",
+  CSV: "text/csv",
+};
+
+class FakeDrive {
+  constructor() {
+    this.filesById = {};
+    this.root = new FakeFolder("My Drive", this);
+  }
+
+  getRootFolder() {
+    return this.root;
+  }
+
+  getFilesByName(name) {
+    return new FakeIterator(
+      Object.values(this.filesById).filter(
+        (f) => f.getName() === name && !f.trashed
+      )
+    );
+  }
+
+  getFileById(id) {
+    const file = this.filesById[id];
+    if (!file) throw new Error(`No item with the given ID could be found.`);
+    return file;
+  }
+
+  getFolderById(id) {
+    const visit = (folder) => {
+      if (folder.getId() === id) return folder;
+      for (const child of folder.folders) {
+        const found = visit(child);
+        if (found) return found;
+      }
+      return null;
+    };
+    const folder = visit(this.root);
+    if (!folder) throw new Error(`No item with the given ID could be found.`);
+    return folder;
+  }
+}
+
+class FakeSpreadsheetApp {
+  constructor(drive) {
+    this.drive = drive;
+    this.spreadsheets = {};
+  }
+
+  create(name) {
+    const spreadsheet = new FakeSpreadsheet(name);
+    const file = new FakeFile(
+      name,
+      "",
+      MimeType.GOOGLE_SHEETS,
+      this.drive.root
+    );
+    file.id = spreadsheet.getId();
+    this.drive.root.addFile(file);
+    this.spreadsheets[spreadsheet.getId()] = spreadsheet;
+    return spreadsheet;
+  }
+
+  openById(id) {
+    const spreadsheet = this.spreadsheets[id];
+    if (!spreadsheet) throw new Error(`Spreadsheet ${id} not found.`);
+    return spreadsheet;
+  }
+
+  open(file) {
+    return this.openById(file.getId());
+  }
+}
+
+class FakeProperties {
+  constructor(initial = {}) {
+    this.values = Object.assign({}, initial);
+  }
+
+  getProperty(key) {
+    return Object.prototype.hasOwnProperty.call(this.values, key)
+      ? this.values[key]
+      : null;
+  }
+
+  setProperty(key, value) {
+    this.values[key] = String(value);
+    return this;
+  }
+
+  setProperties(properties) {
+    Object.keys(properties).forEach((key) =>
+      this.setProperty(key, properties[key])
+    );
+    return this;
+  }
+
+  deleteProperty(key) {
+    delete this.values[key];
+    return this;
+  }
+
+  getProperties() {
+    return Object.assign({}, this.values);
+  }
+
+  getKeys() {
+    return Object.keys(this.values);
+  }
+}
+
+/**
+ * Formats a date in a time zone using the subset of SimpleDateFormat
+ * patterns this project uses.
+ */
+function formatDate(date, timeZone, pattern) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone: timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    weekday: "short",
+    hourCycle: "h23",
+  })
+    .formatToParts(date)
+    .forEach((part) => {
+      parts[part.type] = part.value;
+    });
+  const weekday = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+  const tokens = {
+    yyyy: parts.year,
+    MM: parts.month,
+    dd: parts.day,
+    HH: parts.hour,
+    H: String(parseInt(parts.hour, 10)),
+    mm: parts.minute,
+    ss: parts.second,
+    u: String(weekday.indexOf(parts.weekday) + 1),
+    EEE: parts.weekday,
+  };
+  return pattern.replace(/yyyy|MM|dd|HH|H|mm|ss|u|EEE|'[^']*'/g, (token) =>
+    token[0] === "'" ? token.slice(1, -1) : tokens[token]
+  );
+}
+
+/** Offset of a time zone from UTC at the given instant, in minutes. */
+function zoneOffsetMinutes(date, timeZone) {
+  const local = formatDate(date, timeZone, "yyyy-MM-dd'T'HH:mm:ss");
+  return (Date.parse(`${local}Z`) - date.getTime()) / 60000;
+}
+
+function parseDate(text, timeZone, pattern) {
+  const order = [];
+  const regex = new RegExp(
+    "^" +
+      pattern.replace(/yyyy|MM|dd|HH|mm|ss|[.*+?^${}()|[\]\\]/g, (token) => {
+        if (/^[a-zA-Z]+$/.test(token)) {
+          order.push(token);
+          return token === "yyyy" ? "(\\d{4})" : "(\\d{1,2})";
+        }
+        return `\\${token}`;
+      }) +
+      "$"
+  );
+  const match = regex.exec(text);
+  if (!match) throw new Error(`Unparseable date: "${text}"`);
+  const values = { yyyy: 1970, MM: 1, dd: 1, HH: 0, mm: 0, ss: 0 };
+  order.forEach((token, i) => {
+    values[token] = parseInt(match[i + 1], 10);
+  });
+  const utc = Date.UTC(
+    values.yyyy,
+    values.MM - 1,
+    values.dd,
+    values.HH,
+    values.mm,
+    values.ss
+  );
+  const offset = zoneOffsetMinutes(new Date(utc), timeZone);
+  return new Date(utc - offset * 60000);
+}
+
+class FakeHttpResponse {
+  constructor(code, content) {
+    this.code = code;
+    this.content = content;
+  }
+
+  getResponseCode() {
+    return this.code;
+  }
+
+  getContentText() {
+    return this.content;
+  }
+}
+
+class FakeUrlFetchApp {
+  constructor() {
+    this.requests = [];
+    this.handler = () => new FakeHttpResponse(404, "Not Found");
+  }
+
+  /**
+   * @param {function(string, Object): ({code: number, content: string}|Error)} handler
+   */
+  respondWith(handler) {
+    this.handler = (url, options) => {
+      const result = handler(url, options);
+      if (result instanceof Error) throw result;
+      return new FakeHttpResponse(result.code, result.content);
+    };
+  }
+
+  fetch(url, options) {
+    this.requests.push({ url: url, options: options || {} });
+    return this.handler(url, options || {});
+  }
+}
+
+class FakeLogger {
+  constructor() {
+    this.lines = [];
+  }
+
+  log(message) {
+    this.lines.push(String(message));
+  }
+}
+
+class FakeMailApp {
+  constructor() {
+    this.sent = [];
+  }
+
+  sendEmail(recipient, subject, body, options) {
+    const message =
+      typeof recipient === "object"
+        ? recipient
+        : Object.assign(
+            { to: recipient, subject: subject, body: body },
+            options || {}
+          );
+    this.sent.push(message);
+  }
+}
+
+class FakeLock {
+  constructor(service) {
+    this.service = service;
+    this.held = false;
+  }
+
+  tryLock() {
+    if (this.service.locked) return false;
+    this.service.locked = true;
+    this.held = true;
+    return true;
+  }
+
+  waitLock(timeout) {
+    if (!this.tryLock()) {
+      throw new Error("Lock timeout: another process was holding the lock.");
+    }
+  }
+
+  hasLock() {
+    return this.held;
+  }
+
+  releaseLock() {
+    if (this.held) {
+      this.service.locked = false;
+      this.held = false;
+    }
+  }
+}
+
+class FakeLockService {
+  constructor() {
+    this.locked = false;
+  }
+
+  getScriptLock() {
+    return new FakeLock(this);
+  }
+
+  getDocumentLock() {
+    return new FakeLock(this);
+  }
+}
+
+class FakeCache {
+  constructor() {
+    this.values = {};
+  }
+
+  get(key) {
+    return Object.prototype.hasOwnProperty.call(this.values, key)
+      ? this.values[key]
+      : null;
+  }
+
+  put(key, value) {
+    this.values[key] = String(value);
+  }
+
+  remove(key) {
+    delete this.values[key];
+  }
+
+  removeAll(keys) {
+    keys.forEach((key) => this.remove(key));
+  }
+}
+
+class FakeTriggerBuilder {
+  constructor(scriptApp, handler) {
+    this.scriptApp = scriptApp;
+    this.handler = handler;
+    this.schedule = {};
+  }
+
+  timeBased() {
+    return this;
+  }
+
+  everyMinutes(minutes) {
+    this.schedule.everyMinutes = minutes;
+    return this;
+  }
+
+  everyHours(hours) {
+    this.schedule.everyHours = hours;
+    return this;
+  }
+
+  everyDays(days) {
+    this.schedule.everyDays = days;
+    return this;
+  }
+
+  everyWeeks(weeks) {
+    this.schedule.everyWeeks = weeks;
+    return this;
+  }
+
+  onWeekDay(day) {
+    this.schedule.onWeekDay = day;
+    return this;
+  }
+
+  atHour(hour) {
+    this.schedule.atHour = hour;
+    return this;
+  }
+
+  nearMinute(minute) {
+    this.schedule.nearMinute = minute;
+    return this;
+  }
+
+  inTimezone(timeZone) {
+    this.schedule.timeZone = timeZone;
+    return this;
+  }
+
+  create() {
+    const trigger = {
+      id: newId("trigger"),
+      handler: this.handler,
+      schedule: this.schedule,
+      getHandlerFunction() {
+        return this.handler;
+      },
+      getUniqueId() {
+        return this.id;
+      },
+      getEventType() {
+        return "CLOCK";
+      },
+    };
+    this.scriptApp.triggers.push(trigger);
+    return trigger;
+  }
+}
+
+class FakeScriptApp {
+  constructor() {
+    this.triggers = [];
+    this.EventType = { CLOCK: "CLOCK" };
+    this.WeekDay = {
+      MONDAY: "MONDAY",
+      TUESDAY: "TUESDAY",
+      WEDNESDAY: "WEDNESDAY",
+      THURSDAY: "THURSDAY",
+      FRIDAY: "FRIDAY",
+      SATURDAY: "SATURDAY",
+      SUNDAY: "SUNDAY",
+    };
+  }
+
+  getProjectTriggers() {
+    return this.triggers.slice();
+  }
+
+  deleteTrigger(trigger) {
+    this.triggers = this.triggers.filter((t) => t !== trigger);
+  }
+
+  newTrigger(handler) {
+    return new FakeTriggerBuilder(this, handler);
+  }
+
+  getService() {
+    return { getUrl: () => "https://script.google.com/macros/s/fake/exec" };
+  }
+}
+
+class FakeTextOutput {
+  constructor(content) {
+    this.content = content;
+    this.mimeType = "text/plain";
+  }
+
+  setMimeType(mimeType) {
+    this.mimeType = mimeType;
+    return this;
+  }
+
+  getContent() {
+    return this.content;
+  }
+
+  getMimeType() {
+    return this.mimeType;
+  }
+
+  downloadAsFile(name) {
+    this.fileName = name;
+    return this;
+  }
+}
+
+const ContentService = {
+  MimeType: { JSON: "application/json", CSV: "text/csv", TEXT: "text/plain" },
+  createTextOutput(content) {
+    return new FakeTextOutput(content);
+  },
+};
+
+/**
+ * Builds a fresh set of service fakes. Each test gets its own world.
+ * @param {{properties?: Object<string, string>, now?: Date}} [options]
+ */
+function createServices(options = {}) {
+  const drive = new FakeDrive();
+  const spreadsheetApp = new FakeSpreadsheetApp(drive);
+  const scriptProperties = new FakeProperties(options.properties);
+  const userProperties = new FakeProperties();
+  const documentProperties = new FakeProperties();
+  const scriptCache = new FakeCache();
+  const logger = new FakeLogger();
+  const sleeps = [];
+
+  return {
+    DriveApp: drive,
+    SpreadsheetApp: spreadsheetApp,
+    MimeType: MimeType,
+    PropertiesService: {
+      getScriptProperties: () => scriptProperties,
+      getUserProperties: () => userProperties,
+      getDocumentProperties: () => documentProperties,
+    },
+    CacheService: {
+      getScriptCache: () => scriptCache,
+    },
+    Utilities: {
+      formatDate: formatDate,
+      parseDate: parseDate,
+      sleep: (ms) => sleeps.push(ms),
+      sleeps: sleeps,
+      DigestAlgorithm: { MD5: "md5", SHA_256: "sha256" },
+      Charset: { UTF_8: "utf8" },
+      computeDigest: (algorithm, value) =>
+        Array.from(nodeCrypto.createHash(algorithm).update(value).digest()).map(
+          (b) => (b > 127 ? b - 256 : b)
+        ),
+      base64EncodeWebSafe: (bytes) =>
+        Buffer.from(bytes.map((b) => b & 255))
+          .toString("base64")
+          .replace(/\+/g, "-")
+          .replace(/\//g, "_"),
+    },
+    UrlFetchApp: new FakeUrlFetchApp(),
+    Logger: logger,
+    MailApp: new FakeMailApp(),
+    LockService: new FakeLockService(),
+    ScriptApp: new FakeScriptApp(),
+    ContentService: ContentService,
+    Session: {
+      getEffectiveUser: () => ({ getEmail: () => "owner@example.com" }),
+      getScriptTimeZone: () => "America/New_York",
+    },
+  };
+}
+
+module.exports = {
+  createServices,
+  formatDate,
+  parseDate,
+  FakeSpreadsheet,
+  FakeSheet,
+};
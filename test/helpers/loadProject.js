@@ -0,0 +1,98 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const SRC = path.join(__dirname, "..", "..", "src");
+const FIXTURES = path.join(__dirname, "..", "fixtures");
+
+/**
+ * Loads every src/*.js file into one fresh V8 context, the way Apps Script
+ * shares a single global scope between script files.
+ *
+ * The fakes are evaluated inside the same context so that Dates and errors
+ * they create pass `instanceof` checks in the project code.
+ *
+ * @param {{properties?: Object<string, string>, now?: (string|number|Date)}} [options]
+ * @returns {{context: Object, services: Object, fakes: Object, run: function(string): *, setNow: function(*): void}}
+ */
+function loadProject(options = {}) {
+  const context = vm.createContext({ console: console });
+
+  const fakesSource = fs.readFileSync(path.join(__dirname, "fakes.js"), "utf8");
+  const fakesModule = { exports: {} };
+  vm.runInContext(
+    `(function (module, exports, nodeCrypto, Buffer) {\n${fakesSource}\n})`,
+    context,
+    { filename: "fakes.js" }
+  )(fakesModule, fakesModule.exports, require("crypto"), Buffer);
+
+  // A controllable clock: `new Date()` and `Date.now()` return `now`.
+  vm.runInContext(
+    `
+    const RealDate = Date;
+    let fakeNow = null;
+    globalThis.__setNow = (value) => {
+      fakeNow = value === null ? null : new RealDate(value).getTime();
+    };
+    globalThis.Date = class extends RealDate {
+      constructor(...args) {
+        if (args.length === 0 && fakeNow !== null) {
+          super(fakeNow);
+        } else {
+          super(...args);
+        }
+      }
+      static now() {
+        return fakeNow === null ? RealDate.now() : fakeNow;
+      }
+    };
+    `,
+    context
+  );
+  if (options.now !== undefined) {
+    context.__setNow(options.now);
+  }
+
+  const services = fakesModule.exports.createServices(options);
+  Object.assign(context, services);
+
+  fs.readdirSync(SRC)
+    .filter((name) => name.endsWith(".js"))
+    .sort()
+    .forEach((name) => {
+      vm.runInContext(fs.readFileSync(path.join(SRC, name), "utf8"), context, {
+        filename: name,
+      });
+    });
+
+  return {
+    context: context,
+    services: services,
+    fakes: fakesModule.exports,
+    run: (code) => vm.runInContext(code, context),
+    setNow: (value) => context.__setNow(value),
+  };
+}
+
+/**
+ * Reads an HTML page from test/fixtures.
+ * @param {string} name
+ * @returns {string}
+ */
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), "utf8");
+}
+
+/**
+ * Copies a value out of the project's context. Objects made there have
+ * that context's prototypes, which deepStrictEqual would reject.
+ * @param {*} value
+ * @returns {*}
+ */
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadProject, fixture, plain };
@@ -0,0 +1,70 @@
+"use strict";
+
+const { loadProject, fixture, plain } = require("./loadProject");
+
+/** The fixture with 일반열람실 quiet as well. */
+const QUIET = fixture("traffic.html").replace(
+  "<span class='situ3'>혼잡</span>",
+  "<span class='situ1'>원활</span>"
+);
+
+/**
+ * A project with a ScraperAPI key whose fetches return `project.page`
+ * with `project.code`; change them between runs to serve something else.
+ * @param {{code?: number, page?: string, now?: string, properties?: Object}} [options]
+ * @returns {Object} From loadProject, plus `page` and `code`.
+ */
+function scraperProject(options = {}) {
+  const project = loadProject({
+    now: options.now,
+    properties: Object.assign(
+      { SCRAPERAPI_API_KEY: "test-key" },
+      options.properties
+    ),
+  });
+  project.code = options.code || 200;
+  project.page =
+    options.page === undefined ? fixture("traffic.html") : options.page;
+  project.services.UrlFetchApp.respondWith(() => ({
+    code: project.code,
+    content: project.page,
+  }));
+  return project;
+}
+
+/**
+ * Runs main() once per [time, page] pair.
+ * @param {Object} project From scraperProject.
+ * @param {Array<Array<string>>} runs
+ * @returns {Object} The project.
+ */
+function scrapeAt(project, runs) {
+  runs.forEach(([at, page]) => {
+    project.setNow(at);
+    project.page = page;
+    project.run("main()");
+  });
+  return project;
+}
+
+/**
+ * @param {Object} project From loadProject.
+ * @param {string} sheetName
+ * @returns {?Array<Array<*>>} The sheet's rows, or null when it is missing.
+ */
+function sheetRows(project, sheetName) {
+  return plain(
+    project.run(`
+      (() => {
+        const files = DriveApp.getFilesByName("SJCityLib");
+        if (!files.hasNext()) return null;
+        const sheet = SpreadsheetApp.open(files.next()).getSheetByName(
+          ${JSON.stringify(sheetName)}
+        );
+        return sheet ? sheet.getDataRange().getValues() : null;
+      })()
+    `)
+  );
+}
+
+module.exports = { QUIET, scraperProject, scrapeAt, sheetRows };
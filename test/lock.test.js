@@ -0,0 +1,149 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { scraperProject, sheetRows } = require("./helpers/scraper");
+
+/** Wednesday 12:30 KST. */
+const NOW = "2025-11-05T03:30:00Z";
+
+/**
+ * A project serving the normal fixture, optionally with the lock held and
+ * a heartbeat left some minutes before NOW.
+ * @param {{locked?: boolean, heartbeatMinutesAgo?: number}} [options]
+ * @returns {Object} From scraperProject.
+ */
+function project(options = {}) {
+  const properties = { ALERT_EMAIL: "admin@example.com" };
+  if (options.heartbeatMinutesAgo !== undefined) {
+    const beat = new Date(
+      Date.parse(NOW) - options.heartbeatMinutesAgo * 60 * 1000
+    ).toISOString();
+    properties.RUN_LOCK = JSON.stringify({
+      startedAt: beat,
+      heartbeat: beat,
+      site: "sejong",
+      stage: "scrape",
+    });
+  }
+  const loaded = scraperProject({ now: NOW, properties: properties });
+  loaded.services.LockService.locked = Boolean(options.locked);
+  return loaded;
+}
+
+test("a run releases the lock and clears its heartbeat", () => {
+  const loaded = project();
+  loaded.run("main()");
+
+  assert.equal(loaded.services.LockService.locked, false);
+  assert.equal(
+    loaded.services.PropertiesService.getScriptProperties().getProperty(
+      "RUN_LOCK"
+    ),
+    null
+  );
+  assert.equal(sheetRows(loaded, "RunLog")[1][3], "success");
+});
+
+test("a run that can't get the lock is skipped and never alerts", () => {
+  const loaded = project({ locked: true, heartbeatMinutesAgo: 2 });
+  for (let i = 0; i < 4; i++) loaded.run("main()");
+
+  assert.equal(loaded.services.UrlFetchApp.requests.length, 0);
+  assert.equal(sheetRows(loaded, "Complexity").length, 1);
+  const log = sheetRows(loaded, "RunLog");
+  assert.equal(log.length, 5);
+  assert.ok(log.slice(1).every((row) => row[3] === "skipped"));
+  assert.equal(log[1][4], "lock");
+  assert.match(log[1][5], /Another run holds the lock/);
+  assert.equal(loaded.services.MailApp.sent.length, 0);
+  // The other run still holds it.
+  assert.equal(loaded.services.LockService.locked, true);
+});
+
+test("a lock whose holder stopped reporting is a failure", () => {
+  const loaded = project({ locked: true, heartbeatMinutesAgo: 25 });
+  for (let i = 0; i < 3; i++) loaded.run("main()");
+
+  const log = sheetRows(loaded, "RunLog");
+  assert.ok(log.slice(1).every((row) => row[3] === "failure"));
+  assert.match(log[1][5], /has not reported for 25 min/);
+  assert.equal(loaded.services.MailApp.sent.length, 1);
+});
+
+test("an unreadable heartbeat is ignored", () => {
+  const loaded = project();
+  loaded.services.PropertiesService.getScriptProperties().setProperty(
+    "RUN_LOCK",
+    "{not json"
+  );
+  loaded.run("main()");
+
+  const log = sheetRows(loaded, "RunLog");
+  assert.equal(log.length, 2);
+  assert.equal(log[1][3], "success");
+  assert.equal(loaded.services.LockService.locked, false);
+});
+
+test("an error while taking the lock is a failure and frees the lock", () => {
+  const loaded = project();
+  const properties = loaded.services.PropertiesService.getScriptProperties();
+  const setProperty = properties.setProperty.bind(properties);
+  properties.setProperty = (key, value) => {
+    if (key === "RUN_LOCK") throw new Error("Service unavailable");
+    return setProperty(key, value);
+  };
+  for (let i = 0; i < 3; i++) loaded.run("main()");
+
+  const log = sheetRows(loaded, "RunLog");
+  assert.ok(log.slice(1).every((row) => row[3] === "failure"));
+  assert.equal(log[1][4], "unknown");
+  assert.match(log[1][5], /Service unavailable/);
+  assert.equal(loaded.services.LockService.locked, false);
+  assert.equal(loaded.services.MailApp.sent.length, 1);
+});
+
+test("a run that never released the lock is reported by the next one", () => {
+  const loaded = project({ heartbeatMinutesAgo: 30 });
+  loaded.run("main()");
+
+  const log = sheetRows(loaded, "RunLog");
+  assert.equal(log.length, 3);
+  assert.deepEqual(log[1].slice(3, 5), ["failure", "lock"]);
+  assert.match(log[1][5], /stopped without releasing the lock/);
+  assert.equal(log[1][1], 0);
+  assert.equal(log[2][3], "success");
+  assert.equal(sheetRows(loaded, "Complexity").length, 5);
+});
+
+test("retention waits for the lock too", () => {
+  const loaded = project({ locked: true, heartbeatMinutesAgo: 1 });
+  loaded.run("applyRetention()");
+
+  assert.ok(
+    loaded.services.Logger.lines.some((line) =>
+      /Retention skipped: Another run holds the lock/.test(line)
+    )
+  );
+});
+
+test("backfill and the sheet rewrites wait for the lock too", () => {
+  for (const [call, label] of [
+    ["backfill()", "Backfill"],
+    ["removeDuplicateRows()", "Duplicate removal"],
+    ["migrateComplexitySchema()", "Schema migration"],
+    ["rebuildSummary()", "Summary rebuild"],
+  ]) {
+    const loaded = project();
+    loaded.run("main()");
+    loaded.services.LockService.locked = true;
+    loaded.run(call);
+
+    assert.ok(
+      loaded.services.Logger.lines.some((line) =>
+        new RegExp(`${label} skipped: Another run holds the lock`).test(line)
+      ),
+      call
+    );
+  }
+});
@@ -0,0 +1,387 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, plain } = require("./helpers/loadProject");
+const {
+  QUIET,
+  scraperProject,
+  scrapeAt,
+  sheetRows,
+} = require("./helpers/scraper");
+
+/** Wednesday 12:30 KST, inside the default opening hours. */
+const OPEN = "2025-11-05T03:30:00Z";
+
+/**
+ * A project whose fetches return the given status and page.
+ * @param {{code?: number, page?: string, now?: string, properties?: Object}} [options]
+ * @returns {Object} From scraperProject.
+ */
+function scraper(options = {}) {
+  return scraperProject(
+    Object.assign({}, options, {
+      now: options.now || OPEN,
+      properties: Object.assign(
+        { ALERT_EMAIL: "admin@example.com" },
+        options.properties
+      ),
+    })
+  );
+}
+
+test("a run saves the page, its rows, the summary and a run log entry", () => {
+  const project = scraper();
+  project.run("main()");
+
+  const snapshots = plain(
+    project.run(`
+      (() => {
+        const folder = DriveApp.getRootFolder()
+          .getFoldersByName(Site.DEFAULT.folder).next();
+        const names = [];
+        const files = folder.getFiles();
+        while (files.hasNext()) names.push(files.next().getName());
+        return names;
+      })()
+    `)
+  );
+  assert.equal(snapshots.length, 1);
+  assert.match(snapshots[0], /2025-11-05_12-30-00/);
+
+  const rows = sheetRows(project, "Complexity");
+  assert.equal(rows.length, 5);
+  assert.deepEqual(
+    rows.slice(1).map((row) => row[3]),
+    ["원활", "보통", "혼잡", "원활"]
+  );
+
+  const summary = sheetRows(project, "Summary");
+  assert.equal(summary.length, 5);
+  assert.ok(summary.slice(1).every((row) => row[2] === 12 && row[8] === 1));
+
+  const log = sheetRows(project, "RunLog");
+  assert.equal(log.length, 2);
+  assert.deepEqual(log[1].slice(2, 4), ["done", "success"]);
+  assert.deepEqual(log[1].slice(6), [200, 4, 4, "sejong", ""]);
+});
+
+test("the dashboard reads back what a run saved", () => {
+  const project = scraper();
+  project.run("main()");
+
+  const data = plain(project.run("getSheetData({ floors: ['2F'] })"));
+  assert.equal(data.error, undefined);
+  assert.deepEqual(data.barChartData.slice(1), [
+    ["일반열람실 (2F)", 0, 0, 1],
+    ["디지털자료실 (2F)", 1, 0, 0],
+  ]);
+
+  const invalid = plain(project.run("getSheetData({ from: '2025/11/01' })"));
+  assert.match(invalid.error, /Invalid 'from' date/);
+});
+
+test("the dashboard is cached until the next run saves rows", () => {
+  const project = scraper();
+  project.run("main()");
+  const query = "getSheetData({ floors: ['2F'] })";
+  project.run(query);
+  project.run(query);
+  const served = () =>
+    project.services.Logger.lines.filter((line) =>
+      /Serving dashboard data from cache/.test(line)
+    ).length;
+  assert.equal(served(), 1);
+
+  // No index key that CacheService could evict: every key is a payload's.
+  const cache = project.services.CacheService.getScriptCache();
+  assert.ok(
+    Object.keys(cache.values).every((key) =>
+      /^dashboard:.+@\d+:(\d+|chunks)$/.test(key)
+    )
+  );
+
+  project.setNow("2025-11-05T04:00:00Z");
+  project.run("main()");
+  const data = plain(project.run(query));
+  assert.equal(served(), 1);
+  assert.deepEqual(data.barChartData[1], ["일반열람실 (2F)", 0, 0, 2]);
+});
+
+/** Scrapes over three weeks, each run in opening hours. */
+const WEEKS = [
+  ["2025-10-21T00:00:00Z", QUIET],
+  ["2025-10-21T00:30:00Z", fixture("traffic.html")],
+  ["2025-10-28T00:00:00Z", QUIET],
+  ["2025-11-04T00:00:00Z", fixture("traffic.html")],
+  [OPEN, QUIET],
+];
+
+/**
+ * @param {Object} project From scraperProject.
+ * @returns {number} How many log lines report reading the hourly summary.
+ */
+function hourlyReads(project) {
+  return project.services.Logger.lines.filter((line) =>
+    /hourly summary rows\.$/.test(line)
+  ).length;
+}
+
+test("the dashboard reads the weekly profile unless the query has dates", () => {
+  const project = scrapeAt(scraper(), WEEKS);
+  const reads = hourlyReads(project);
+  const weekly = plain(project.run("getSheetData()"));
+  assert.equal(hourlyReads(project), reads);
+  assert.deepEqual(weekly.filters.dateRange, {
+    from: "2025-10-21",
+    to: "2025-11-05",
+  });
+
+  plain(project.run("getSheetData({ from: '2025-10-28' })"));
+  assert.equal(hourlyReads(project), reads + 1);
+
+  // Without the profile, the same query reads every hourly bucket.
+  project.run(`
+    (() => {
+      const ss = SpreadsheetApp.open(DriveApp.getFilesByName("SJCityLib").next());
+      ss.deleteSheet(ss.getSheetByName("Weekly Profile"));
+      DashboardCache.clear();
+    })()
+  `);
+  const hourly = plain(project.run("getSheetData()"));
+  assert.equal(hourlyReads(project), reads + 2);
+  const rounded = (data) =>
+    JSON.stringify(data, (key, value) =>
+      typeof value === "number" ? Math.round(value * 1e9) / 1e9 : value
+    );
+  assert.equal(rounded(weekly), rounded(hourly));
+});
+
+test("a new forecast half-life rebuilds the weekly profile on the next run", () => {
+  const project = scrapeAt(scraper(), WEEKS.slice(0, 3));
+  project.services.PropertiesService.getScriptProperties().setProperty(
+    "FORECAST_HALF_LIFE_DAYS",
+    "7"
+  );
+  const reads = hourlyReads(project);
+  project.run("getSheetData()");
+  assert.equal(hourlyReads(project), reads + 1);
+
+  scrapeAt(project, WEEKS.slice(3));
+  const profile = sheetRows(project, "Weekly Profile");
+  assert.ok(profile.slice(1).every((row) => row[19] === 7));
+});
+
+test("a run writes back only the summary rows it changed", () => {
+  const project = scraper();
+  project.run("main()");
+  // Older buckets after the run's own, as a backfill leaves them.
+  project.run(`
+    (() => {
+      const mySheet = Summary.sheetOf(
+        SpreadsheetApp.open(DriveApp.getFilesByName("SJCityLib").next())
+      ).getValue();
+      const filler = [];
+      for (let i = 0; i < 100; i++) {
+        filler.push(
+          Summary.toRow(Summary.emptyBucket("2025-01-01", 3, 12, "1F", "Room " + i))
+        );
+      }
+      mySheet.append(filler);
+      const sheet = mySheet.getSheet();
+      const getRange = sheet.getRange.bind(sheet);
+      globalThis.written = [];
+      sheet.getRange = (row, column, numRows, numColumns) => {
+        const range = getRange(row, column, numRows, numColumns);
+        const setValues = range.setValues.bind(range);
+        range.setValues = (values) => {
+          written.push([row, values.length]);
+          return setValues(values);
+        };
+        return range;
+      };
+    })()
+  `);
+
+  project.setNow("2025-11-05T03:40:00Z");
+  project.run("main()");
+  assert.deepEqual(plain(project.run("written")), [[2, 4]]);
+  const summary = sheetRows(project, "Summary");
+  assert.ok(summary.slice(1, 5).every((row) => row[8] === 2));
+});
+
+test("runs outside opening hours fetch nothing", () => {
+  // Wednesday 23:30 KST
+  const project = scraper({ now: "2025-11-05T14:30:00Z" });
+  project.run("main()");
+
+  assert.equal(project.services.UrlFetchApp.requests.length, 0);
+  const log = sheetRows(project, "RunLog");
+  assert.equal(log[1][2], "schedule");
+  assert.equal(log[1][4], "schedule");
+  assert.equal(sheetRows(project, "Complexity").length, 1);
+});
+
+test("repeated server errors send one alert", () => {
+  const project = scraper({ code: 500, page: "Internal Server Error" });
+  for (let minute = 0; minute < 4; minute++) {
+    project.setNow(Date.parse(OPEN) + minute * 10 * 60 * 1000);
+    project.run("main()");
+  }
+
+  const log = sheetRows(project, "RunLog");
+  assert.equal(log.length, 5);
+  assert.ok(log.slice(1).every((row) => row[3] === "failure"));
+  assert.equal(sheetRows(project, "Complexity").length, 1);
+
+  const sent = project.services.MailApp.sent;
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, "admin@example.com");
+  assert.match(sent[0].subject, /failed 3 times in a row/);
+});
+
+test("network errors are logged without the ScraperAPI key", () => {
+  const project = scraper();
+  const VmError = project.run("Error");
+  project.services.UrlFetchApp.respondWith(
+    (url) => new VmError(`Address unavailable: ${url}`)
+  );
+  project.run("main()");
+
+  const message = sheetRows(project, "RunLog")[1][5];
+  assert.match(message, /api_key=\*\*\*/);
+  assert.doesNotMatch(message, /test-key/);
+});
+
+test("alerts and their saved errors leave out the ScraperAPI key", () => {
+  const project = scraper();
+  const VmError = project.run("Error");
+  project.services.UrlFetchApp.respondWith(
+    (url) => new VmError(`Address unavailable: ${url}`)
+  );
+  for (let minute = 0; minute < 3; minute++) {
+    project.setNow(Date.parse(OPEN) + minute * 10 * 60 * 1000);
+    project.run("main()");
+  }
+
+  const sent = project.services.MailApp.sent;
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].body, /api_key=\*\*\*/);
+  assert.doesNotMatch(sent[0].body, /test-key/);
+  const state =
+    project.services.PropertiesService.getScriptProperties().values[
+      "ALERT_STATE:sejong"
+    ];
+  assert.doesNotMatch(state, /test-key/);
+});
+
+test("retries stop when the run's retry budget is spent", () => {
+  const project = scraper({
+    code: 500,
+    page: "Internal Server Error",
+    properties: { RETRY_BUDGET_MS: "5000" },
+  });
+  let now = Date.parse(OPEN);
+  // Every request takes three seconds.
+  project.services.UrlFetchApp.respondWith(() => {
+    now += 3000;
+    project.setNow(now);
+    return { code: 500, content: "Internal Server Error" };
+  });
+  project.run("main()");
+
+  assert.deepEqual(plain(project.services.Utilities.sleeps), [2000]);
+  assert.equal(project.services.UrlFetchApp.requests.length, 3);
+  assert.ok(
+    project.services.Logger.lines.some((line) =>
+      /retry budget of 5000 ms is spent/.test(line)
+    )
+  );
+  assert.equal(sheetRows(project, "RunLog")[1][3], "failure");
+});
+
+test("a streak saved before sites had their own state carries over", () => {
+  const project = scraper({
+    code: 500,
+    page: "Internal Server Error",
+    properties: {
+      ALERT_STATE: JSON.stringify({
+        failures: 2,
+        alerted: false,
+        recentErrors: [],
+      }),
+    },
+  });
+  project.run("main()");
+
+  const sent = project.services.MailApp.sent;
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].subject, /failed 3 times in a row/);
+  const properties = project.services.PropertiesService.getScriptProperties();
+  assert.equal(properties.getProperty("ALERT_STATE"), null);
+  assert.equal(
+    JSON.parse(properties.getProperty("ALERT_STATE:sejong")).failures,
+    3
+  );
+});
+
+test("a site registry outage alerts, recovers and alerts again", () => {
+  const project = scraper({ properties: { ALERT_AFTER_FAILURES: "1" } });
+  const properties = project.services.PropertiesService.getScriptProperties();
+  const runWith = (sitesJson) => {
+    if (sitesJson) properties.setProperty("SITES_JSON", sitesJson);
+    else properties.deleteProperty("SITES_JSON");
+    project.run("main()");
+  };
+  runWith("not json");
+  runWith(null);
+  runWith("not json");
+
+  assert.deepEqual(
+    plain(project.services.MailApp.sent).map((mail) =>
+      /recovered/.test(mail.subject) ? "recovery" : "alert"
+    ),
+    ["alert", "recovery", "alert"]
+  );
+  assert.equal(properties.getProperty("ALERT_STATE"), null);
+  assert.equal(
+    JSON.parse(properties.getProperty("ALERT_STATE:sejong")).failures,
+    0
+  );
+});
+
+test("a changed page layout is logged as a parse failure", () => {
+  const project = scraper({ page: fixture("traffic-drifted.html") });
+  project.run("main()");
+
+  const log = sheetRows(project, "RunLog");
+  assert.equal(log[1][2], "parse");
+  assert.equal(log[1][4], "parse");
+  assert.match(log[1][5], /Layout drift detected/);
+});
+
+test("partial layout drift saves the rows but flags the run once", () => {
+  const drifted = fixture("traffic.html").replace(
+    "<span class='situ2'>보통</span>",
+    "<span class='situ2'>점검중</span>"
+  );
+  const project = scraper({ page: drifted });
+  for (let run = 0; run < 2; run++) {
+    project.setNow(Date.parse(OPEN) + run * 30 * 60 * 1000);
+    project.run("main()");
+  }
+
+  assert.equal(sheetRows(project, "Complexity").length, 9);
+  const log = sheetRows(project, "RunLog");
+  assert.equal(log[0][10], "Warnings");
+  assert.ok(log.slice(1).every((row) => row[3] === "success"));
+  assert.match(
+    log[1][10],
+    /Layout drift detected.*unknown status\(es\) \[점검중\]/
+  );
+
+  const sent = project.services.MailApp.sent;
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].subject, /succeeded with warnings/);
+  assert.match(sent[0].body, /점검중/);
+});
@@ -0,0 +1,71 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadProject, fixture, plain } = require("./helpers/loadProject");
+
+/**
+ * Parses a fixture page as if it had been fetched at 12:30 KST.
+ * @param {string} name
+ * @returns {*} The plain result: `{rows}` or `{error, category}`.
+ */
+function parse(name) {
+  const project = loadProject();
+  project.context.page = fixture(name);
+  return plain(
+    project.run(`
+      (() => {
+        const result = Complexity.fromResponse(
+          new Response("2025-11-05_12-30-00", page, 200)
+        );
+        return result instanceof Success
+          ? { rows: result.getValue() }
+          : {
+              error: result.getMessage(),
+              category: result.getCategory(),
+              drift: result.getError() instanceof LayoutDriftError,
+            };
+      })()
+    `)
+  );
+}
+
+test("parses every pin under its floor", () => {
+  const { rows } = parse("traffic.html");
+  assert.deepEqual(
+    rows.map((row) => [row.floor, row.location, row.status, row.severity]),
+    [
+      ["1F", "어린이자료실", "원활", 1],
+      ["1F", "종합자료실", "보통", 2],
+      ["2F", "일반열람실", "혼잡", 3],
+      ["2F", "디지털자료실", "원활", 1],
+    ]
+  );
+  assert.ok(rows.every((row) => row.timestamp === "2025-11-05_12-30-00"));
+});
+
+test("ignores markup inside scripts", () => {
+  const { rows } = parse("traffic.html");
+  assert.ok(rows.every((row) => row.floor !== "X"));
+});
+
+test("splits seat and visitor counts off the location name", () => {
+  const { rows } = parse("traffic-counts.html");
+  assert.deepEqual(
+    rows.map((row) => [row.location, row.occupied, row.capacity]),
+    [
+      ["어린이자료실", 12, null],
+      ["종합자료실", 32, 120],
+      ["일반열람실", 95, 100],
+      ["디지털자료실", null, null],
+    ]
+  );
+});
+
+test("reports layout drift when the classes change", () => {
+  const result = parse("traffic-drifted.html");
+  assert.equal(result.rows, undefined);
+  assert.equal(result.category, "parse");
+  assert.equal(result.drift, true);
+  assert.match(result.error, /Layout drift detected/);
+});
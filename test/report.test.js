@@ -0,0 +1,141 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fixture, plain } = require("./helpers/loadProject");
+const {
+  QUIET,
+  scraperProject,
+  scrapeAt,
+  sheetRows,
+} = require("./helpers/scraper");
+
+/**
+ * A project that scraped Wednesday 2025-10-29 at 12:00 and 12:30 KST with
+ * every location quiet, and Wednesday 2025-11-05 at 12:00, 12:30 and
+ * 13:00 with 일반열람실 congested and at 14:00 quiet again. The clock is
+ * left at Thursday 06:00 KST, when the daily report trigger runs.
+ * @param {Object} [properties]
+ * @returns {Object} From scraperProject.
+ */
+function scraped(properties) {
+  const project = scrapeAt(scraperProject({ properties: properties }), [
+    ["2025-10-29T03:00:00Z", QUIET],
+    ["2025-10-29T03:30:00Z", QUIET],
+    ["2025-11-05T03:00:00Z", fixture("traffic.html")],
+    ["2025-11-05T03:30:00Z", fixture("traffic.html")],
+    ["2025-11-05T04:00:00Z", fixture("traffic.html")],
+    ["2025-11-05T05:00:00Z", QUIET],
+  ]);
+  project.setNow("2025-11-05T21:00:00Z");
+  return project;
+}
+
+test("the daily report compares yesterday with the same weekday before", () => {
+  const project = scraped();
+  const [report] = plain(project.run("sendDailyReport()"));
+
+  assert.deepEqual(report.period, {
+    kind: "daily",
+    from: "2025-11-05",
+    to: "2025-11-05",
+    previousFrom: "2025-10-29",
+    previousTo: "2025-10-29",
+  });
+  assert.deepEqual(report.rows[0], {
+    location: "All locations",
+    samples: 16,
+    congested: 18.8,
+    previous: 0,
+    change: 18.8,
+    peakHours: [12, 13, 14],
+  });
+  const reading = report.rows.find((row) => row.location === "일반열람실 (2F)");
+  assert.deepEqual(
+    [reading.samples, reading.congested, reading.previous, reading.change],
+    [4, 75, 0, 75]
+  );
+  // Open 09:00-22:00 with a scrape every 30 minutes; four were made.
+  assert.deepEqual(report.scrapes, { expected: 26, missed: 22 });
+  assert.equal(project.services.MailApp.sent.length, 0);
+});
+
+test("reports are written to the Reports sheet once per period", () => {
+  const project = scraped();
+  project.run("sendDailyReport()");
+  project.run("sendDailyReport()");
+
+  const rows = sheetRows(project, "Reports");
+  assert.equal(rows.length, 6);
+  assert.deepEqual(rows[1].slice(1, 13), [
+    "sejong",
+    "daily",
+    "2025-11-05",
+    "2025-11-05",
+    "All locations",
+    16,
+    18.8,
+    0,
+    18.8,
+    "12:00, 13:00, 14:00",
+    26,
+    22,
+  ]);
+  assert.ok(rows.slice(2).every((row) => row[11] === "" && row[12] === ""));
+});
+
+test("the weekly report covers the seven days ending yesterday", () => {
+  const project = scraped();
+  project.setNow("2025-11-09T22:00:00Z"); // Monday 07:00 KST
+  const [report] = plain(project.run("sendWeeklyReport()"));
+
+  assert.deepEqual(
+    [report.period.from, report.period.to, report.period.previousFrom],
+    ["2025-11-03", "2025-11-09", "2025-10-27"]
+  );
+  assert.equal(report.rows[0].samples, 16);
+  assert.equal(report.rows[0].previous, 0);
+  assert.ok(report.scrapes.expected > report.scrapes.missed);
+});
+
+test("the report triggers ignore their event objects", () => {
+  const project = scraped();
+  project.run(`dailyReportTrigger_({ triggerUid: "2", year: 2025 })`);
+  project.setNow("2025-11-09T22:00:00Z"); // Monday 07:00 KST
+  project.run(`weeklyReportTrigger_({ triggerUid: "3", year: 2025 })`);
+
+  const rows = sheetRows(project, "Reports");
+  assert.deepEqual(
+    [...new Set(rows.slice(1).map((row) => row.slice(1, 5).join(" ")))],
+    [
+      "sejong daily 2025-11-05 2025-11-05",
+      "sejong weekly 2025-11-03 2025-11-09",
+    ]
+  );
+});
+
+test("reports are emailed as HTML when REPORT_EMAIL is set", () => {
+  const project = scraped({ REPORT_EMAIL: "staff@example.com" });
+  project.run("sendDailyReport()");
+
+  const sent = project.services.MailApp.sent;
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, "staff@example.com");
+  assert.match(sent[0].subject, /Daily congestion report, 2025-11-05/);
+  assert.match(sent[0].htmlBody, /<td[^>]*>일반열람실 \(2F\)<\/td>/);
+  assert.match(sent[0].htmlBody, /\+75 pp/);
+  assert.match(sent[0].body, /Missed scrapes: 22 of 26/);
+});
+
+test("an invalid date is logged and writes nothing", () => {
+  const project = scraped();
+  const reports = plain(project.run(`sendDailyReport("sejong", "2025/11/05")`));
+
+  assert.deepEqual(reports, []);
+  assert.equal(sheetRows(project, "Reports"), null);
+  assert.ok(
+    project.services.Logger.lines.some((line) =>
+      /Report failed for 'sejong': Invalid report date/.test(line)
+    )
+  );
+});
@@ -0,0 +1,153 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadProject, plain } = require("./helpers/loadProject");
+
+const project = loadProject();
+
+/**
+ * Evaluates code in the project and copies the result out.
+ * @param {string} code
+ * @returns {*}
+ */
+function run(code) {
+  return plain(project.run(code));
+}
+
+test("fold and match pick the branch for the result", () => {
+  assert.equal(run(`new Success(2).fold((v) => v * 10, () => -1)`), 20);
+  assert.equal(
+    run(`new Failure("boom").match({
+      success: () => "ok",
+      failure: (f) => "failed: " + f.getMessage(),
+    })`),
+    "failed: boom"
+  );
+});
+
+test("tap runs side effects only for its branch and passes the result on", () => {
+  assert.deepEqual(
+    run(`(() => {
+      const seen = [];
+      const a = new Success(1)
+        .tap((v) => seen.push("tap " + v))
+        .tapError(() => seen.push("tapError"));
+      const b = new Failure("x")
+        .tap(() => seen.push("tap"))
+        .tapError((f) => seen.push("tapError " + f.getMessage()));
+      return [seen, a.getValue(), b.getMessage()];
+    })()`),
+    [["tap 1", "tapError x"], 1, "x"]
+  );
+});
+
+test("a throwing tap becomes a failure", () => {
+  assert.equal(
+    run(
+      `new Success(1).tap(() => { throw new Error("log broke"); }).getMessage()`
+    ),
+    "log broke"
+  );
+});
+
+test("mapError replaces the error but keeps category and step", () => {
+  assert.deepEqual(
+    run(`new Failure("raw", ErrorCategory.HTTP, "fetch")
+      .mapError((e) => "wrapped " + e)
+      .toObject()`),
+    { step: "fetch", category: "http", message: "wrapped raw", cause: null }
+  );
+  assert.equal(run(`new Success(1).mapError(() => "x").getValue()`), 1);
+});
+
+test("orElse and recover fall back from failures only", () => {
+  assert.equal(
+    run(
+      `new Failure("primary").orElse(() => new Success("backup")).getValue()`
+    ),
+    "backup"
+  );
+  assert.equal(
+    run(`new Failure("primary")
+      .orElse(() => new Failure("backup too"))
+      .getMessage()`),
+    "backup too"
+  );
+  assert.equal(
+    run(`new Failure("x").recover((f) => f.getMessage().length).getValue()`),
+    1
+  );
+  assert.equal(run(`new Success(5).recover(() => 0).getValue()`), 5);
+});
+
+test("withContext keeps the innermost step and the original error", () => {
+  assert.deepEqual(
+    run(`(() => {
+      const failure = new Failure(new HttpError(503), ErrorCategory.HTTP)
+        .withContext({ step: "validate" })
+        .withContext({ step: "outer", category: ErrorCategory.UNKNOWN });
+      return [failure.toObject(), failure.getCause() instanceof HttpError];
+    })()`),
+    [
+      {
+        step: "validate",
+        category: "http",
+        message: "Response code was 503, not 2XX.",
+        cause: "HttpError",
+      },
+      true,
+    ]
+  );
+});
+
+test("Result.all and combine collect values or the first failure", () => {
+  assert.deepEqual(
+    run(`Result.all([new Success(1), new Success(2)]).getValue()`),
+    [1, 2]
+  );
+  assert.equal(
+    run(`Result.all([
+      new Success(1),
+      new Failure("second"),
+      new Failure("third"),
+    ]).getMessage()`),
+    "second"
+  );
+  assert.deepEqual(
+    run(
+      `Result.combine({ a: new Success(1), b: new Success("x") }).getValue()`
+    ),
+    { a: 1, b: "x" }
+  );
+  assert.deepEqual(run(`Result.all([]).getValue()`), []);
+});
+
+test("fromTry wraps returned values and thrown errors", () => {
+  assert.equal(run(`Result.fromTry(() => 42).getValue()`), 42);
+  const failure = run(`Result.fromTry(
+    () => JSON.parse("{"),
+    ErrorCategory.CONFIG,
+    "config"
+  ).toObject()`);
+  assert.deepEqual(
+    [failure.step, failure.category, failure.cause],
+    ["config", "config", "SyntaxError"]
+  );
+});
+
+test("a step tags the failures of its function with its name", () => {
+  assert.deepEqual(
+    run(`(() => {
+      const log = RunLog.start("sejong");
+      const thrown = new Success(1).bind(
+        log.step("parse", () => { throw new Error("bad"); })
+      );
+      const returned = new Success(1)
+        .bind(log.step("fetch", () => new Failure("down", ErrorCategory.NETWORK)))
+        .bind(log.step("parse", () => new Success(2)));
+      return [thrown.getStep(), returned.getStep(), returned.getCategory()];
+    })()`),
+    ["parse", "fetch", "network"]
+  );
+});
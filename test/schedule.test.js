@@ -0,0 +1,84 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadProject, plain } = require("./helpers/loadProject");
+
+/**
+ * Checks the default schedule at the given instant.
+ * @param {string} now An ISO time; KST is UTC+9.
+ * @param {Object<string, string>} [properties]
+ * @returns {{open: boolean, category?: string, message?: string}}
+ */
+function checkAt(now, properties = {}) {
+  const project = loadProject({ now: now, properties: properties });
+  return plain(
+    project.run(`
+      (() => {
+        const result = Schedule.fromProperties(
+          PropertiesService.getScriptProperties()
+        ).bind((schedule) =>
+          ScraperAPI.fromFetchers("https://example.com", null).bind(
+            (scraper) => scraper.hasValidTime(schedule)
+          )
+        );
+        return result instanceof Success
+          ? { open: true }
+          : {
+              open: false,
+              category: result.getCategory(),
+              message: result.getMessage(),
+            };
+      })()
+    `)
+  );
+}
+
+test("is open on a weekday afternoon", () => {
+  // Wednesday 12:30 KST
+  assert.deepEqual(checkAt("2025-11-05T03:30:00Z"), { open: true });
+});
+
+test("is closed before opening and after closing", () => {
+  // Wednesday 08:30 KST
+  assert.equal(checkAt("2025-11-04T23:30:00Z").open, false);
+  // Wednesday 22:00 KST; closing hours are exclusive
+  assert.equal(checkAt("2025-11-05T13:00:00Z").open, false);
+});
+
+test("closes earlier at the weekend", () => {
+  // Saturday 18:30 KST
+  const result = checkAt("2025-11-08T09:30:00Z");
+  assert.equal(result.open, false);
+  assert.equal(result.category, "schedule");
+});
+
+test("is closed on public holidays", () => {
+  // Christmas Day, a Thursday, 12:30 KST
+  const result = checkAt("2025-12-25T03:30:00Z");
+  assert.equal(result.open, false);
+  assert.match(result.message, /Date: 2025-12-25/);
+});
+
+test("applies closed dates from SCHEDULE_JSON", () => {
+  const result = checkAt("2025-11-05T03:30:00Z", {
+    SCHEDULE_JSON: JSON.stringify({ closedDates: ["2025-11-05"] }),
+  });
+  assert.equal(result.open, false);
+});
+
+test("warns when the holiday list doesn't cover the year", () => {
+  const warned = (now) => {
+    const project = loadProject({ now: now });
+    project.run(
+      "Schedule.fromProperties(PropertiesService.getScriptProperties())"
+    );
+    return project.services.Logger.lines.some((line) =>
+      /built-in Korean public holidays end before/.test(line)
+    );
+  };
+  // 2027-12-27, the substitute for Christmas on a Saturday.
+  assert.equal(checkAt("2027-12-27T03:30:00Z").open, false);
+  assert.equal(warned("2027-06-01T03:00:00Z"), false);
+  assert.equal(warned("2028-06-01T03:00:00Z"), true);
+});
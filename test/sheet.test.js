@@ -0,0 +1,181 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadProject, fixture, plain } = require("./helpers/loadProject");
+
+/**
+ * Parses a fixture and saves it to the default Complexity sheet.
+ * @param {Object} project From loadProject.
+ * @param {string} name The fixture.
+ * @returns {{inserted: number, updated: number}}
+ */
+function save(project, name) {
+  project.context.page = fixture(name);
+  return plain(
+    project.run(`
+      (() => {
+        const rows = Complexity.fromResponse(
+          new Response("2025-11-05_12-30-00", page, 200)
+        );
+        const saved = Result.combine({
+          mySheet: MySheet.fromNames("SJCityLib", "Complexity"),
+          rows: rows,
+        }).bind(({ mySheet, rows }) => mySheet.saveFrom(rows));
+        if (saved instanceof Failure) throw new Error(saved.getMessage());
+        const { inserted, updated } = saved.getValue().getLastSave();
+        return { inserted, updated };
+      })()
+    `)
+  );
+}
+
+/**
+ * @param {Object} project From loadProject.
+ * @returns {Array<Array<*>>} Every row of the Complexity sheet.
+ */
+function rowsOf(project) {
+  return plain(
+    project.run(
+      `SpreadsheetApp.open(DriveApp.getFilesByName("SJCityLib").next())
+        .getSheetByName("Complexity").getDataRange().getValues()`
+    )
+  );
+}
+
+test("creates the spreadsheet with a header row", () => {
+  const project = loadProject();
+  assert.deepEqual(save(project, "traffic.html"), { inserted: 4, updated: 0 });
+
+  const rows = rowsOf(project);
+  assert.deepEqual(rows[0], plain(project.run("MySheet.HEADER")));
+  assert.equal(rows.length, 5);
+});
+
+test("saving the same timestamp again updates instead of appending", () => {
+  const project = loadProject();
+  save(project, "traffic.html");
+  assert.deepEqual(save(project, "traffic-counts.html"), {
+    inserted: 0,
+    updated: 4,
+  });
+
+  const rows = rowsOf(project);
+  assert.equal(rows.length, 5);
+  const general = rows.find((row) => row[2] === "종합자료실");
+  assert.deepEqual(general.slice(6), [32, 120]);
+});
+
+test("a new timestamp reads only the last rows of the sheet", () => {
+  const project = loadProject();
+  save(project, "traffic.html");
+  const result = plain(
+    project.run(`
+      (() => {
+        const mySheet = MySheet.fromNames("SJCityLib", "Complexity").getValue();
+        const sheet = mySheet.getSheet();
+        const [first] = sheet.getRange(2, 1, 1, 8).getValues();
+        const filler = [];
+        for (let i = 0; i < 1000; i++) {
+          filler.push([new Date(0), "1F", "Room " + i, "원활", 1, "", "", ""]);
+        }
+        mySheet.append(filler);
+
+        const rowsRead = [];
+        const getRange = sheet.getRange.bind(sheet);
+        sheet.getRange = (row, column, numRows, numColumns) => {
+          rowsRead.push(numRows || 1);
+          return getRange(row, column, numRows, numColumns);
+        };
+        const [, floor, location, status] = first;
+        mySheet.saveFrom([
+          new Complexity("2025-11-05_13-00-00", floor, location, status),
+        ]);
+        const fresh = { rowsRead: rowsRead.splice(0), ...mySheet.getLastSave() };
+        mySheet.saveFrom([
+          new Complexity("2025-11-05_12-30-00", floor, location, status),
+        ]);
+        return { fresh, repeat: { rowsRead, ...mySheet.getLastSave() } };
+      })()
+    `)
+  );
+
+  assert.equal(result.fresh.inserted, 1);
+  assert.ok(Math.max(...result.fresh.rowsRead) <= 500);
+  // A timestamp that isn't new still finds its row anywhere in the sheet.
+  assert.deepEqual([result.repeat.inserted, result.repeat.updated], [0, 1]);
+  assert.ok(Math.max(...result.repeat.rowsRead) > 1000);
+});
+
+test("migrates a registered site's v1 sheet", () => {
+  const project = loadProject({
+    properties: {
+      SITES_JSON: JSON.stringify([
+        { id: "sejong", url: "https://example.com/sejong" },
+        {
+          id: "branch",
+          url: "https://example.com/branch",
+          sheet: "Branch",
+          folder: "BRANCH",
+        },
+      ]),
+    },
+  });
+  project.run(`
+    SpreadsheetApp.create("SJCityLib").insertSheet("Branch").getRange(1, 1, 2, 4)
+      .setValues([
+        ["Timestamp", "Location", "Status", "Snapshot"],
+        ["2025-11-05_12-30-00", "일반열람실 (2F)", "혼잡", "file-1"],
+      ])
+  `);
+  project.run(`migrateComplexitySchema("branch")`);
+
+  const rows = plain(
+    project.run(`
+      (() => {
+        const spreadsheet = SpreadsheetApp.open(
+          DriveApp.getFilesByName("SJCityLib").next()
+        );
+        return {
+          branch: spreadsheet.getSheetByName("Branch").getDataRange().getValues(),
+          backup: Boolean(spreadsheet.getSheetByName("Branch (v1 backup)")),
+        };
+      })()
+    `)
+  );
+  assert.deepEqual(rows.branch[0], plain(project.run("MySheet.HEADER")));
+  assert.deepEqual(rows.branch[1].slice(1, 4), ["2F", "일반열람실", "혼잡"]);
+  assert.equal(rows.backup, true);
+});
+
+test("archives are only opened from the root folder", () => {
+  const project = loadProject({
+    properties: {
+      "ARCHIVE_STATE:sejong": JSON.stringify({
+        years: ["2023", "2024"],
+        before: "2025-01-01",
+      }),
+    },
+  });
+  const opened = plain(
+    project.run(`
+      (() => {
+        const root = DriveApp.getRootFolder();
+        SpreadsheetApp.create("SJCityLib Archive 2023");
+        // A file with an archive's name, shared from someone else's Drive.
+        SpreadsheetApp.create("SJCityLib Archive 2024");
+        const shared = root.files.pop();
+        root.createFolder("Shared").addFile(shared);
+
+        const properties = PropertiesService.getScriptProperties();
+        const site = Site.find(properties, "sejong").getValue();
+        const query = DashboardQuery.fromObject({}).getValue();
+        return Archive.open(properties, site, query)
+          .getValue()
+          .map((spreadsheet) => spreadsheet.getName());
+      })()
+    `)
+  );
+
+  assert.deepEqual(opened, ["SJCityLib Archive 2023"]);
+});
@@ -0,0 +1,219 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadProject, plain } = require("./helpers/loadProject");
+
+/** Wednesday 12:30 KST. */
+const NOW = "2025-11-05T03:30:00Z";
+
+/**
+ * @param {Object} project From loadProject.
+ * @returns {Array<{handler: string, schedule: Object}>} Installed triggers.
+ */
+function installed(project) {
+  return plain(
+    project.services.ScriptApp.getProjectTriggers().map((trigger) => ({
+      handler: trigger.handler,
+      schedule: trigger.schedule,
+    }))
+  );
+}
+
+test("setupTrigger installs the default plan without scraping", () => {
+  const project = loadProject({ now: NOW });
+  const report = plain(project.run("setupTrigger()"));
+
+  assert.deepEqual(report.created, [
+    "main",
+    "retentionTrigger_",
+    "dailyReportTrigger_",
+    "weeklyReportTrigger_",
+  ]);
+  assert.equal(project.services.UrlFetchApp.requests.length, 0);
+  assert.deepEqual(installed(project), [
+    { handler: "main", schedule: { everyMinutes: 30 } },
+    {
+      handler: "retentionTrigger_",
+      schedule: { everyDays: 1, atHour: 3, timeZone: "Asia/Seoul" },
+    },
+    {
+      handler: "dailyReportTrigger_",
+      schedule: { everyDays: 1, atHour: 6, timeZone: "Asia/Seoul" },
+    },
+    {
+      handler: "weeklyReportTrigger_",
+      schedule: {
+        everyWeeks: 1,
+        onWeekDay: "MONDAY",
+        atHour: 7,
+        timeZone: "Asia/Seoul",
+      },
+    },
+  ]);
+});
+
+test("syncing twice keeps the triggers it installed", () => {
+  const project = loadProject({ now: NOW });
+  project.run("syncTriggers()");
+  const ids = project.services.ScriptApp.getProjectTriggers().map((t) => t.id);
+
+  const report = plain(project.run("syncTriggers()"));
+  assert.deepEqual(report, {
+    created: [],
+    kept: [
+      "main",
+      "retentionTrigger_",
+      "dailyReportTrigger_",
+      "weeklyReportTrigger_",
+    ],
+    removed: [],
+  });
+  assert.deepEqual(
+    project.services.ScriptApp.getProjectTriggers().map((t) => t.id),
+    ids
+  );
+});
+
+test("a changed interval replaces only the scrape trigger", () => {
+  const project = loadProject({ now: NOW });
+  project.run("syncTriggers()");
+  project.run(
+    `PropertiesService.getScriptProperties()
+      .setProperty("SCRAPE_INTERVAL_MINUTES", "120")`
+  );
+
+  const report = plain(project.run("syncTriggers()"));
+  assert.deepEqual(report, {
+    created: ["main"],
+    kept: ["retentionTrigger_", "dailyReportTrigger_", "weeklyReportTrigger_"],
+    removed: ["main"],
+  });
+  assert.deepEqual(
+    installed(project).find((t) => t.handler === "main").schedule,
+    { everyHours: 2 }
+  );
+});
+
+test("TRIGGERS_JSON can add, change and disable triggers", () => {
+  const project = loadProject({
+    now: NOW,
+    properties: {
+      TRIGGERS_JSON: JSON.stringify({
+        main: { everyMinutes: 15 },
+        applyRetention: null,
+        sendDailyReport: null,
+        sendWeeklyReport: null,
+        backtestForecast: { everyWeeks: 1, onWeekDay: "mon", atHour: 8 },
+      }),
+    },
+  });
+  project.run("syncTriggers()");
+
+  assert.deepEqual(installed(project), [
+    { handler: "main", schedule: { everyMinutes: 15 } },
+    {
+      handler: "backtestForecast",
+      schedule: {
+        everyWeeks: 1,
+        onWeekDay: "MONDAY",
+        atHour: 8,
+        timeZone: "Asia/Seoul",
+      },
+    },
+  ]);
+});
+
+test("leaves triggers it does not manage alone", () => {
+  const project = loadProject({ now: NOW });
+  project.run(
+    `ScriptApp.newTrigger("removeDuplicateRows").timeBased().everyDays(7).create()`
+  );
+  project.run("syncTriggers()");
+
+  const status = plain(project.run("getTriggerStatus()"));
+  const other = status.triggers.find(
+    (t) => t.handler === "removeDuplicateRows"
+  );
+  assert.equal(other.managed, false);
+  assert.equal(other.cadence, "unknown");
+});
+
+test("rejects invalid configuration without touching triggers", () => {
+  for (const [key, value, message] of [
+    ["SCRAPE_INTERVAL_MINUTES", "20", /Invalid everyMinutes '20'/],
+    ["TRIGGERS_JSON", '{"scrape": {"everyMinutes": 5}}', /not a function/],
+    ["TRIGGERS_JSON", '{"main": {"everyDays": 1}}', /needs an 'atHour'/],
+  ]) {
+    const project = loadProject({ now: NOW, properties: { [key]: value } });
+    const result = plain(project.run("syncTriggers()"));
+    assert.match(result.error, message);
+    assert.equal(installed(project).length, 0);
+  }
+});
+
+test("reports each trigger's next expected run", () => {
+  const project = loadProject({ now: NOW });
+  project.run("syncTriggers()");
+  project.setNow("2025-11-05T04:10:00Z");
+
+  const status = plain(project.run("getTriggerStatus()"));
+  assert.deepEqual(status.missing, []);
+  assert.deepEqual(
+    status.triggers.map((t) => [t.handler, t.cadence, t.nextRun, t.upToDate]),
+    [
+      ["main", "every 30 minutes", "2025-11-05 13:30", true],
+      [
+        "retentionTrigger_",
+        "every 1 day at 03:00 KST",
+        "2025-11-06 03:00",
+        true,
+      ],
+      [
+        "dailyReportTrigger_",
+        "every 1 day at 06:00 KST",
+        "2025-11-06 06:00",
+        true,
+      ],
+      [
+        "weeklyReportTrigger_",
+        "every 1 week on Monday at 07:00 KST",
+        "2025-11-10 07:00",
+        true,
+      ],
+    ]
+  );
+});
+
+test("reports planned triggers that are missing", () => {
+  const project = loadProject({ now: NOW });
+  project.run("syncTriggers()");
+  const retention = project.services.ScriptApp.getProjectTriggers().find(
+    (t) => t.handler === "retentionTrigger_"
+  );
+  project.services.ScriptApp.deleteTrigger(retention);
+
+  const status = plain(project.run("getTriggerStatus()"));
+  assert.deepEqual(status.missing, ["retentionTrigger_"]);
+});
+
+test("a trigger left on applyRetention is replaced", () => {
+  const project = loadProject({ now: NOW });
+  project.run(
+    `ScriptApp.newTrigger("applyRetention").timeBased().everyDays(1).create()`
+  );
+
+  const report = plain(project.run("syncTriggers()"));
+  assert.deepEqual(report.removed, ["applyRetention"]);
+  assert.ok(report.created.includes("retentionTrigger_"));
+  assert.ok(installed(project).every((t) => t.handler !== "applyRetention"));
+});
+
+test("the retention trigger ignores its event object", () => {
+  const project = loadProject({ now: NOW });
+  project.run(`retentionTrigger_({ triggerUid: "1", year: 2025 })`);
+
+  const lines = project.services.Logger.lines;
+  assert.ok(!lines.some((line) => /Unknown site/.test(line)));
+  assert.ok(lines.some((line) => /Retention finished for 'sejong'/.test(line)));
+});